@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+// Writes the payload JSON Schema to public/ so the built site serves it.
+// Run after changing the parameter or criteria registries.
+import { writeFile } from "node:fs/promises";
+import { PAYLOAD_SCHEMA_FILE, payloadSchema } from "../src/lib/jsonschema.js";
+
+const target = new URL(`../public/${PAYLOAD_SCHEMA_FILE}`, import.meta.url);
+await writeFile(target, JSON.stringify(payloadSchema(), null, 2) + "\n");
+console.log(`Wrote public/${PAYLOAD_SCHEMA_FILE}`);
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+// Builds the calibration setpoint JSON from a plan file without the web UI.
+//
+//   node scripts/build-setpoints.mjs plan.yaml -o setpoints.json
+//   cat plan.csv | node scripts/build-setpoints.mjs - --format csv --systems 1,2
+//
+// Accepted inputs: a YAML/JSON plan (see src/lib/plan.js), a CSV plan, or an
+// existing payload JSON array (re-validated and normalised). Exits 1 when the
+// plan has errors, 2 on usage errors.
+import { readFile, writeFile } from "node:fs/promises";
+import { extname } from "node:path";
+import { parseArgs } from "node:util";
+import YAML from "yaml";
+import { buildPayload, parsePayload, validateGroups, validateSystems } from "../src/lib/calibration.js";
+import { DEFAULT_SCHEMA } from "../src/lib/criteria.js";
+import { getParameter } from "../src/lib/parameters.js";
+import { findProfile, planFromCsv, planFromObject } from "../src/lib/plan.js";
+import { payloadToYaml } from "../src/lib/formats.js";
+import { DEFAULT_OUTPUT, MAX_DECIMALS, TEMPERATURE_UNITS } from "../src/lib/units.js";
+
+const USAGE = `Usage: build-setpoints <plan> [options]
+
+  <plan>              .yaml, .yml, .json or .csv file, or - for stdin
+  -o, --out <file>    write the payload here instead of stdout (YAML for .yaml/.yml)
+  -f, --format <fmt>  input format: yaml | json | csv (default: from extension)
+  -p, --profile <id>  validate against a built-in device profile
+  -s, --systems <ids> comma-separated system ids when the plan lists none
+      --delimiter <d> CSV delimiter: , | ; | tab (default: detected)
+      --decimal <d>   CSV decimal separator: point | comma (default: detected)
+      --schema <n>    output schema: 1 (minimal) or 2 (with criteria, default)
+      --unit <u>      write temperatures in C (default), F or K
+      --unit-key      add a unit key to every object
+      --decimals <l>  output decimals per parameter, e.g. Temperature=2,CO2=0
+      --pretty        indent the JSON output
+  -h, --help          show this help`;
+
+const FORMATS = { ".yaml": "yaml", ".yml": "yaml", ".json": "json", ".csv": "csv" };
+
+function fail(message, code) {
+  console.error(message);
+  process.exit(code);
+}
+
+async function readInput(path) {
+  if (path !== "-") return readFile(path, "utf8");
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+function parseSystemIds(text) {
+  const ids = text.split(",").map((s) => Number(s.trim()));
+  if (ids.length === 0 || !ids.every((n) => Number.isInteger(n) && n > 0)) fail(`--systems: expected positive integers, got "${text}".`, 2);
+  return ids;
+}
+
+function parseUnit(text) {
+  const unit = TEMPERATURE_UNITS.find((u) => u.id.replace("°", "") === text.replace("°", "").toUpperCase());
+  if (!unit) fail(`--unit: expected C, F or K, got "${text}".`, 2);
+  return unit.id;
+}
+
+function parseDecimals(text) {
+  const decimals = {};
+  for (const entry of text.split(",")) {
+    const [name, n] = entry.split("=").map((s) => s.trim());
+    const def = getParameter(name);
+    const d = Number(n);
+    if (!def || n === "" || !Number.isInteger(d) || d < 0 || d > MAX_DECIMALS) fail(`--decimals: expected Parameter=0..${MAX_DECIMALS}, got "${entry}".`, 2);
+    decimals[def.name] = d;
+  }
+  return decimals;
+}
+
+function loadPlan(text, format, systemIds, csvOptions) {
+  if (format === "csv") return planFromCsv(text, { systems: systemIds, ...csvOptions });
+  let data;
+  try {
+    data = format === "yaml" ? YAML.parse(text) : JSON.parse(text);
+  } catch (e) {
+    return { systems: [], groups: [], profile: null, errors: [`Could not parse ${format.toUpperCase()}: ${e.message}`] };
+  }
+  if (Array.isArray(data)) return { ...parsePayload(JSON.stringify(data)), profile: null };
+  if (data && typeof data === "object" && data.systems == null && systemIds) data.systems = systemIds;
+  return planFromObject(data);
+}
+
+// Validator problems are keyed by internal ids; report them by position instead.
+function describeProblems(systems, groups, problems) {
+  const where = {};
+  systems.forEach((s, i) => { where[s.id] = `System #${i + 1}`; });
+  groups.forEach((g, i) => {
+    where[g.id] = `Setpoint #${i + 1}`;
+    g.values.forEach((v) => { where[v.id] = `Setpoint #${i + 1}`; });
+  });
+  return Object.entries(problems).map(([key, msg]) => `${where[key.split(":")[0]] ?? "Plan"}: ${msg}`);
+}
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: "string", short: "o" },
+      format: { type: "string", short: "f" },
+      profile: { type: "string", short: "p" },
+      systems: { type: "string", short: "s" },
+      delimiter: { type: "string" },
+      decimal: { type: "string" },
+      schema: { type: "string" },
+      unit: { type: "string" },
+      "unit-key": { type: "boolean" },
+      decimals: { type: "string" },
+      pretty: { type: "boolean" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+} catch (e) {
+  fail(`${e.message}\n\n${USAGE}`, 2);
+}
+const { values: opts, positionals } = args;
+if (opts.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+if (positionals.length !== 1) fail(USAGE, 2);
+
+const [input] = positionals;
+const format = opts.format ?? FORMATS[extname(input).toLowerCase()];
+if (!Object.values(FORMATS).includes(format)) fail(`Cannot tell the format of "${input}"; pass --format yaml|json|csv.`, 2);
+
+let text;
+try {
+  text = await readInput(input);
+} catch (e) {
+  fail(`Could not read ${input}: ${e.message}`, 2);
+}
+
+const delimiter = opts.delimiter === "tab" ? "\t" : opts.delimiter;
+if (delimiter !== undefined && ![",", ";", "\t"].includes(delimiter)) fail(`--delimiter: expected , ; or tab, got "${opts.delimiter}".`, 2);
+if (opts.decimal !== undefined && !["point", "comma"].includes(opts.decimal)) fail(`--decimal: expected point or comma, got "${opts.decimal}".`, 2);
+const schema = opts.schema === undefined ? DEFAULT_SCHEMA : Number(opts.schema);
+if (schema !== 1 && schema !== 2) fail(`--schema: expected 1 or 2, got "${opts.schema}".`, 2);
+const output = {
+  temperatureUnit: opts.unit === undefined ? DEFAULT_OUTPUT.temperatureUnit : parseUnit(opts.unit),
+  decimals: opts.decimals === undefined ? {} : parseDecimals(opts.decimals),
+  unitKey: Boolean(opts["unit-key"]),
+};
+
+const plan = loadPlan(text, format, opts.systems ? parseSystemIds(opts.systems) : undefined, { delimiter, decimal: opts.decimal });
+let profile = plan.profile;
+if (opts.profile) {
+  profile = findProfile(opts.profile);
+  if (!profile) fail(`Unknown profile "${opts.profile}".`, 2);
+}
+
+const errors = plan.errors.length
+  ? plan.errors
+  : describeProblems(plan.systems, plan.groups, { ...validateSystems(plan.systems), ...validateGroups(plan.groups, plan.systems, profile, { output }) });
+if (errors.length) fail(errors.map((e) => `error: ${e}`).join("\n"), 1);
+
+const payload = buildPayload(plan.systems, plan.groups, { schema, output });
+const json = (opts.pretty ? JSON.stringify(payload, null, 2) : JSON.stringify(payload)) + "\n";
+if (opts.out) {
+  await writeFile(opts.out, FORMATS[extname(opts.out).toLowerCase()] === "yaml" ? payloadToYaml(payload) : json);
+  console.error(`Wrote ${payload.length} setpoint${payload.length === 1 ? "" : "s"} to ${opts.out}.`);
+} else {
+  process.stdout.write(json);
+}
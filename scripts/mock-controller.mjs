@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+// Mock chamber controller for developing "Send to controller" without
+// hardware. Speaks the protocol described in src/lib/controller.js: accepts
+// a payload, then pretends to ramp, soak and measure each setpoint in turn.
+//
+//   node scripts/mock-controller.mjs --port 8787 --step-ms 3000
+//   node scripts/mock-controller.mjs --token secret --fail-at 2
+//   node scripts/mock-controller.mjs --flaky 2
+//
+// Runs are kept in memory and their progress is derived from the time they
+// were started, so nothing happens between requests.
+import { createServer } from "node:http";
+import { randomUUID } from "node:crypto";
+import { parseArgs } from "node:util";
+import { parsePayload } from "../src/lib/calibration.js";
+
+const USAGE = `Usage: mock-controller [options]
+
+  -p, --port <n>      port to listen on (default 8787, 0 picks a free one)
+      --host <h>      address to bind (default 127.0.0.1)
+      --step-ms <n>   time per setpoint in milliseconds (default 3000)
+      --fail-at <n>   fail setpoint n (1-based) while ramping
+      --token <t>     require "Authorization: Bearer <t>"
+      --flaky <n>     answer the first n status requests with 500
+  -h, --help          show this help`;
+
+const MAX_BODY = 1024 * 1024;
+const PHASES = ["ramping", "soaking", "measuring"];
+
+function fail(message) {
+  console.error(message);
+  process.exit(2);
+}
+
+let args;
+try {
+  ({ values: args } = parseArgs({
+    options: {
+      port: { type: "string", short: "p", default: "8787" },
+      host: { type: "string", default: "127.0.0.1" },
+      "step-ms": { type: "string", default: "3000" },
+      "fail-at": { type: "string" },
+      token: { type: "string" },
+      flaky: { type: "string", default: "0" },
+      help: { type: "boolean", short: "h" },
+    },
+  }));
+} catch (e) {
+  fail(`${e.message}\n\n${USAGE}`);
+}
+if (args.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+const port = Number(args.port);
+const stepMs = Number(args["step-ms"]);
+const failAt = args["fail-at"] === undefined ? null : Number(args["fail-at"]);
+let flaky = Number(args.flaky);
+if (!Number.isInteger(port) || port < 0 || port > 65535) fail(`--port: expected 0–65535, got "${args.port}".`);
+if (!Number.isInteger(stepMs) || stepMs < 1) fail(`--step-ms: expected a positive integer, got "${args["step-ms"]}".`);
+if (failAt !== null && !(Number.isInteger(failAt) && failAt > 0)) fail(`--fail-at: expected a setpoint number, got "${args["fail-at"]}".`);
+if (!Number.isInteger(flaky) || flaky < 0) fail(`--flaky: expected a number of requests, got "${args.flaky}".`);
+
+const runs = new Map();
+
+// The run as of `now`: setpoint i occupies [i·step, (i+1)·step), split into
+// the three phases; a failure or cancellation freezes it at that moment.
+function runStatus(run, now = Date.now()) {
+  const count = run.payload.length;
+  const until = run.cancelledAt ?? now;
+  const elapsed = until - run.startedAt;
+  let index = Math.floor(elapsed / stepMs);
+  const failing = failAt !== null && failAt <= count && index >= failAt - 1;
+  if (failing) index = failAt - 1;
+  const finished = !failing && index >= count;
+  const setpoints = run.payload.map((setpoint, i) => {
+    if (i < index || finished) return { state: "done" };
+    if (i > index) return { state: run.cancelledAt || failing ? "skipped" : "pending" };
+    if (failing) {
+      const primary = setpoint[0];
+      return { state: "failed", error: `Chamber did not reach ${primary.nominal}${primary.unit ? ` ${primary.unit}` : ""} within the ramp timeout.` };
+    }
+    if (run.cancelledAt) return { state: "skipped" };
+    return { state: PHASES[Math.min(PHASES.length - 1, Math.floor(((elapsed % stepMs) / stepMs) * PHASES.length))] };
+  });
+  const state = failing ? "failed" : finished ? "completed" : run.cancelledAt ? "cancelled" : "running";
+  return {
+    id: run.id,
+    state,
+    current_setpoint: state === "running" ? index + 1 : null,
+    setpoints,
+    ...(failing ? { error: `Setpoint ${failAt} failed; the run was stopped.` } : {}),
+  };
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY) return null;
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+async function handle(req, res) {
+  // The builder runs on another origin, so every answer allows it.
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", req.headers["access-control-request-headers"] || "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+  if (args.token !== undefined && req.headers.authorization !== `Bearer ${args.token}`) {
+    send(res, 401, { error: "Missing or wrong Authorization header." });
+    return;
+  }
+
+  const path = new URL(req.url, "http://localhost").pathname.replace(/\/+$/, "");
+  const [, root, id, action] = path.split("/");
+  if (root !== "runs" || path.split("/").length > 4) {
+    send(res, 404, { error: `No such resource: ${path || "/"}.` });
+    return;
+  }
+
+  if (id === undefined) {
+    if (req.method !== "POST") {
+      send(res, 405, { error: "POST the payload to /runs." });
+      return;
+    }
+    const text = await readBody(req);
+    if (text === null) {
+      send(res, 413, { error: "The payload is larger than 1 MB." });
+      return;
+    }
+    const { errors } = parsePayload(text);
+    if (errors.length) {
+      send(res, 422, { error: "The payload is not valid.", errors });
+      return;
+    }
+    const run = { id: randomUUID(), payload: JSON.parse(text), startedAt: Date.now(), cancelledAt: null };
+    runs.set(run.id, run);
+    console.log(`run ${run.id}: ${run.payload.length} setpoint${run.payload.length === 1 ? "" : "s"}`);
+    send(res, 201, runStatus(run));
+    return;
+  }
+
+  const run = runs.get(id);
+  if (!run) {
+    send(res, 404, { error: `No run with id ${id}.` });
+    return;
+  }
+  if (action === undefined && req.method === "GET") {
+    if (flaky > 0) {
+      flaky -= 1;
+      send(res, 500, { error: "Simulated controller fault." });
+      return;
+    }
+    send(res, 200, runStatus(run));
+  } else if (action === "cancel" && req.method === "POST") {
+    const state = runStatus(run).state;
+    if (state !== "running") {
+      send(res, 409, { error: `The run is already ${state}.` });
+      return;
+    }
+    run.cancelledAt = Date.now();
+    console.log(`run ${run.id}: cancelled`);
+    send(res, 200, runStatus(run, run.cancelledAt));
+  } else {
+    send(res, 405, { error: `${req.method} is not supported here.` });
+  }
+}
+
+const server = createServer((req, res) => {
+  handle(req, res).catch((e) => send(res, 500, { error: e.message }));
+});
+server.listen(port, args.host, () => {
+  const { port: actual } = server.address();
+  console.log(`Mock controller listening on http://${args.host}:${actual}`);
+});
@@ -1,74 +1,252 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { Card, CardContent, CardFooter, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Switch } from "@/components/ui/switch";
 import { Textarea } from "@/components/ui/textarea";
-import { Plus, Trash2, Copy, RefreshCw, Link as LinkIcon } from "lucide-react";
-
-// --- helpers ---
-const uid = () => Math.random().toString(36).slice(2) + Date.now().toString(36);
-
-function clampNumberOrEmpty(v, opts) {
-  if (v === "" || v === "-" || v === ".") return "";
-  const n = Number(v);
-  if (Number.isNaN(n)) return "";
-  if (opts && opts.min != null && n < opts.min) return String(opts.min);
-  if (opts && opts.max != null && n > opts.max) return String(opts.max);
-  return String(n);
+import { Select } from "@/components/ui/select";
+import ImportJsonCard from "@/components/ImportJsonCard";
+import ProfileLibraryCard from "@/components/ProfileLibraryCard";
+import DraftsPanel from "@/components/DraftsPanel";
+import SweepGeneratorDialog from "@/components/SweepGeneratorDialog";
+import ChamberEnvelopeCard from "@/components/ChamberEnvelopeCard";
+import CsvImportCard from "@/components/CsvImportCard";
+import GroupToolbar from "@/components/GroupToolbar";
+import CriteriaEditor from "@/components/CriteriaEditor";
+import RunTimelineCard from "@/components/RunTimelineCard";
+import CompareCard from "@/components/CompareCard";
+import ResultsCard from "@/components/ResultsCard";
+import ControllerCard from "@/components/ControllerCard";
+import ConvertedInput from "@/components/ConvertedInput";
+import useDownloadHref from "@/hooks/useDownloadHref";
+import useAnnouncer from "@/hooks/useAnnouncer";
+import { PARAMETERS, PRIMARY_PARAMETER, SECONDARY_PARAMETERS, getParameter, roundTo } from "@/lib/parameters";
+import {
+  buildPayload, clampNumberOrEmpty, groupsToSetpoints, newGroup, newSystem, newValue, parsePayload,
+  setpointToGroup, systemLabel, targetSystems, uid, validateGroups, validateSystems,
+} from "@/lib/calibration";
+import { BUILT_IN_PROFILES, DEFAULT_PROFILE_ID, formatSetpoint, loadUserProfiles, profileParameter, saveUserProfiles, validateProfile } from "@/lib/profiles";
+import { PLAN_VERSION, loadAutosave, loadDrafts, saveAutosave, saveDrafts } from "@/lib/storage";
+import { evaluateEnvelope, loadEnvelope, saveEnvelope } from "@/lib/envelope";
+import { loadRunSettings, saveRunSettings } from "@/lib/timeline";
+import { PAYLOAD_SCHEMA_FILE, describeSchemaError, payloadSchema, validateJson } from "@/lib/jsonschema";
+import { DEFAULT_OUTPUT, MAX_DECIMALS, TEMPERATURE_UNITS, defaultOutputDecimals, displayParameter, fromCanonical, outputDecimals, unitFor } from "@/lib/units";
+import { decodeShare, encodeShare, readShareToken, shareUrl } from "@/lib/share";
+import { CSV_EXPORT_FORMATS, setpointsToCsv } from "@/lib/csv";
+import {
+  DEFAULT_FILENAME_TEMPLATE, EXPORT_FORMATS, FILENAME_FIELDS, checkFilenameTemplate, filenameContext, loadFilenameTemplate, payloadToYaml, renderFilename,
+  saveFilenameTemplate, setpointFiles,
+} from "@/lib/formats";
+import { testSheetHtml } from "@/lib/sheet";
+import { createZip } from "@/lib/zip";
+import { EMPTY_RESULTS, resultPoints } from "@/lib/results";
+import { loadController, saveController } from "@/lib/controller";
+import { insertDuplicate, moveById, moveItem, neighbourId, shiftPrimaries, sortByPrimary, stepValue, withBlankValue } from "@/lib/groups";
+import { SHORTCUTS, matchShortcut, shortcutKeys } from "@/lib/shortcuts";
+import { commit, initHistory, redo, undo } from "@/lib/history";
+import { CRITERIA_PAYLOAD_KEYS, DEFAULT_SCHEMA, OUTPUT_SCHEMAS, hasCriteria } from "@/lib/criteria";
+import { Plus, Trash2, Copy, CopyPlus, Download, Grid3x3, GripVertical, ArrowUp, ArrowDown, Link as LinkIcon, Printer, Share2, Sheet, TriangleAlert, X } from "lucide-react";
+
+// Per-parameter system selection; hidden while only one system is defined.
+function TargetPicker({ group, parameter, systems, onToggle, problem }) {
+  if (systems.length < 2) return null;
+  const selected = targetSystems(group, parameter, systems).map((s) => s.id);
+  return (
+    <div className="space-y-1">
+      <div className="flex flex-wrap items-center gap-1 text-xs">
+        <span className="text-muted-foreground mr-1">Systems:</span>
+        {systems.map((s, si) => {
+          const on = selected.includes(s.id);
+          return (
+            <button
+              key={s.id}
+              type="button"
+              aria-pressed={on}
+              onClick={() => onToggle(group.id, parameter, s.id)}
+              className={`rounded-full border px-2 py-0.5 ${on ? "bg-black text-white border-black" : "bg-white text-gray-600 hover:bg-gray-100"}`}
+            >
+              {systemLabel(s, si)}
+            </button>
+          );
+        })}
+      </div>
+      {problem && <p className="text-xs text-red-600">{problem}</p>}
+    </div>
+  );
 }
 
-// ---- pure builder (used by UI + self-checks) ----
-function buildPayload(systemId, groups) {
-  const out = [];
-  for (const g of groups) {
-    const tVal = Number(g.temperature);
-    if (!Number.isFinite(tVal)) continue;
-    const setpoint = [{ system_id: systemId, parameter: "Temperature", nominal: tVal }];
-    const humidityValues = (g.humidities || [])
-      .map((h) => h.nominal)
-      .filter((v) => v !== "")
-      .map((v) => Number(v))
-      .filter((n) => Number.isFinite(n) && n >= 0 && n <= 100);
-    for (const rh of humidityValues) {
-      setpoint.push({ system_id: systemId, parameter: "Humidity", nominal: rh });
-    }
-    out.push(setpoint);
-  }
-  return out;
+// Envelope findings under an input: dew point / absolute humidity when known, then any messages.
+function EnvelopeNote({ entry, unit }) {
+  if (!entry) return null;
+  const color = entry.level === "error" ? "text-red-600" : entry.level === "warning" ? "text-amber-700" : "text-muted-foreground";
+  return (
+    <div className={`text-xs ${color}`}>
+      {(entry.dewPoint !== undefined || entry.absoluteHumidity !== undefined) && (
+        <p>
+          {entry.dewPoint !== undefined && `Td ${Number.isFinite(entry.dewPoint) ? fromCanonical(entry.dewPoint, PRIMARY_PARAMETER, unit).toFixed(1) : "–∞"} ${unitFor(PRIMARY_PARAMETER, unit)}`}
+          {entry.dewPoint !== undefined && entry.absoluteHumidity !== undefined && " · "}
+          {entry.absoluteHumidity !== undefined && `AH ${entry.absoluteHumidity.toFixed(1)} g/m³`}
+        </p>
+      )}
+      {entry.messages.map((m, i) => <p key={i}>{m}</p>)}
+    </div>
+  );
 }
 
 export default function CalibrationJsonSetpointBuilder() {
-  const [systemId, setSystemId] = useState("1");
-  const [groups, setGroups] = useState([{ id: uid(), temperature: "", humidities: [] }]);
-  const [compact, setCompact] = useState(true);
+  // Autosave and drafts are read once; their messages surface in the notice banner.
+  const [restored] = useState(loadAutosave);
+  const [storedDrafts] = useState(loadDrafts);
+
+  const [planHistory, setPlanHistory] = useState(() => initHistory({
+    systems: restored.plan?.systems ?? [newSystem()],
+    groups: restored.plan?.groups ?? [newGroup()],
+  }));
+  const { systems, groups } = planHistory.present;
+  const [userProfiles, setUserProfiles] = useState(loadUserProfiles);
+  const [activeProfileId, setActiveProfileId] = useState(restored.plan?.activeProfileId ?? DEFAULT_PROFILE_ID);
+  const [compact, setCompact] = useState(restored.plan?.compact ?? true);
+  const [schema, setSchema] = useState(restored.plan?.schema ?? DEFAULT_SCHEMA);
+  const [output, setOutput] = useState(restored.plan?.output ?? DEFAULT_OUTPUT);
+  const [inputUnit, setInputUnit] = useState(restored.plan?.inputUnit ?? DEFAULT_OUTPUT.temperatureUnit);
+  const [results, setResults] = useState(restored.plan?.results ?? EMPTY_RESULTS);
+  const [drafts, setDrafts] = useState(storedDrafts.drafts);
+  const [currentDraftId, setCurrentDraftId] = useState(null);
+  const [sweepOpen, setSweepOpen] = useState(false);
+  const [envelope, setEnvelope] = useState(loadEnvelope);
+  const [envelopeAck, setEnvelopeAck] = useState(false);
+  const [runSettings, setRunSettings] = useState(loadRunSettings);
+  const [controller, setController] = useState(loadController);
+  const [hoveredGroupId, setHoveredGroupId] = useState(null);
+  const [csvFormatId, setCsvFormatId] = useState(CSV_EXPORT_FORMATS[0].id);
+  const [exportFormatId, setExportFormatId] = useState(EXPORT_FORMATS[0].id);
+  const [filenameTemplate, setFilenameTemplate] = useState(loadFilenameTemplate);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [dropTargetId, setDropTargetId] = useState(null);
   const [copied, setCopied] = useState(false);
+  const [shareLink, setShareLink] = useState("");
+  const [shareCopied, setShareCopied] = useState(false);
   const [errorMsg, setErrorMsg] = useState("");
-  const [testSummary, setTestSummary] = useState("");
+  const [notice, setNotice] = useState(() => [restored.message, storedDrafts.message].filter(Boolean).join(" "));
+
+  const [focusRequest, setFocusRequest] = useState(null);
+  const [announcement, announce] = useAnnouncer();
 
   const outputRef = useRef(null);
+  const downloadRef = useRef(null);
+  const dragRef = useRef(null);
+  const shortcutHandler = useRef(null);
 
-  const parsedSystemId = useMemo(() => Number(systemId), [systemId]);
-
-  const isFormValid = useMemo(() => {
-    if (!Number.isFinite(parsedSystemId) || parsedSystemId <= 0) return false;
-    for (const g of groups) {
-      if (g.temperature === "") return false;
-      const t = Number(g.temperature);
-      if (!Number.isFinite(t)) return false;
-      for (const h of g.humidities) {
-        if (h.nominal === "") continue;
-        const rh = Number(h.nominal);
-        if (!Number.isFinite(rh)) return false;
-        if (rh < 0 || rh > 100) return false;
-      }
+  // Every change to the systems and groups goes through the undo history, so
+  // an undo never leaves targets pointing at systems that are gone; edits
+  // sharing a `tag` (one input being typed into) collapse into a single step.
+  // `setPlan` changes both in one step.
+  const setPlan = useCallback((update, tag = null) => {
+    setPlanHistory((h) => {
+      const next = update(h.present);
+      return next.systems === h.present.systems && next.groups === h.present.groups ? h : commit(h, next, tag);
+    });
+  }, []);
+  const setGroups = useCallback((update, tag = null) => {
+    setPlan((p) => ({ ...p, groups: typeof update === "function" ? update(p.groups) : update }), tag);
+  }, [setPlan]);
+  const setSystems = useCallback((update, tag = null) => {
+    setPlan((p) => ({ ...p, systems: typeof update === "function" ? update(p.systems) : update }), tag);
+  }, [setPlan]);
+
+  // Keyboard shortcuts (lib/shortcuts.js); undo and redo are left to text
+  // fields, which keep their native undo. The handler is refreshed on every
+  // render so it sees the current state.
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.defaultPrevented) return;
+      const t = e.target;
+      const typing = t instanceof HTMLElement &&
+        (t.isContentEditable || t.tagName === "TEXTAREA" || (t.tagName === "INPUT" && !["checkbox", "radio", "button"].includes(t.type)));
+      const id = matchShortcut(e, { typing });
+      if (!id) return;
+      e.preventDefault();
+      shortcutHandler.current(id);
     }
-    return true;
-  }, [groups, parsedSystemId]);
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  // Focus asked for by an add or remove, once the new list has rendered.
+  useEffect(() => {
+    if (focusRequest) document.getElementById(focusRequest.id)?.focus();
+  }, [focusRequest]);
+  const requestFocus = (id) => setFocusRequest({ id });
+
+  const selected = useMemo(() => selectedIds.filter((id) => groups.some((g) => g.id === id)), [selectedIds, groups]);
+
+  const profiles = useMemo(() => [...BUILT_IN_PROFILES, ...userProfiles], [userProfiles]);
+  const activeProfile = useMemo(() => profiles.find((p) => p.id === activeProfileId) || profiles[0], [profiles, activeProfileId]);
+
+  useEffect(() => {
+    if (!saveUserProfiles(userProfiles)) setErrorMsg("Could not save profiles in this browser (storage unavailable or full).");
+  }, [userProfiles]);
+
+  const currentPlan = useMemo(
+    () => ({ version: PLAN_VERSION, systems, groups, compact, schema, output, inputUnit, activeProfileId, results }),
+    [systems, groups, compact, schema, output, inputUnit, activeProfileId, results]
+  );
+
+  // A link describes the plan at the time it was made.
+  useEffect(() => setShareLink(""), [currentPlan]);
 
-  const payload = useMemo(() => buildPayload(parsedSystemId, groups), [parsedSystemId, groups]);
+  useEffect(() => {
+    if (!saveAutosave(currentPlan)) setNotice("Autosave failed – browser storage is unavailable or full.");
+  }, [currentPlan]);
+
+  useEffect(() => {
+    if (!saveDrafts(drafts)) setNotice("Could not save drafts – browser storage is unavailable or full.");
+  }, [drafts]);
+
+  const systemProblems = useMemo(() => validateSystems(systems), [systems]);
+  const fieldProblems = useMemo(
+    () => validateGroups(groups, systems, activeProfile, { output, unit: inputUnit }),
+    [groups, systems, activeProfile, output, inputUnit]
+  );
+
+  const isFormValid = useMemo(
+    () => Object.keys(systemProblems).length === 0 && Object.keys(fieldProblems).length === 0,
+    [systemProblems, fieldProblems]
+  );
+
+  const payload = useMemo(() => buildPayload(systems, groups, { schema, output }), [systems, groups, schema, output]);
+  // The controller is always told the units so it never has to assume °C.
+  const controllerPayload = useMemo(
+    () => (output.unitKey ? payload : buildPayload(systems, groups, { schema, output: { ...output, unitKey: true } })),
+    [payload, systems, groups, schema, output]
+  );
+  const criteriaDropped = schema < 2 && groups.some(hasCriteria);
   const isPayloadReady = useMemo(() => isFormValid && payload.length > 0, [isFormValid, payload]);
+  const points = useMemo(() => resultPoints(groups, systems), [groups, systems]);
+
+  useEffect(() => {
+    if (!saveEnvelope(envelope)) setNotice("Could not save the chamber envelope – browser storage is unavailable or full.");
+  }, [envelope]);
+
+  useEffect(() => {
+    if (!checkFilenameTemplate(filenameTemplate) && !saveFilenameTemplate(filenameTemplate)) {
+      setNotice("Could not save the filename template – browser storage is unavailable or full.");
+    }
+  }, [filenameTemplate]);
+
+  useEffect(() => {
+    if (!saveController(controller)) setNotice("Could not save the controller URL – browser storage is unavailable or full.");
+  }, [controller]);
+
+  useEffect(() => {
+    if (!saveRunSettings(runSettings)) setNotice("Could not save the ramp settings – browser storage is unavailable or full.");
+  }, [runSettings]);
+
+  // Points outside the chamber envelope do not make the form invalid, but
+  // exporting them needs an explicit confirmation.
+  const envelopeReport = useMemo(() => evaluateEnvelope(groups, envelope, inputUnit), [groups, envelope, inputUnit]);
+  const needsEnvelopeAck = envelopeReport.errors > 0;
 
   const jsonString = useMemo(() => {
     try {
@@ -79,40 +257,144 @@ export default function CalibrationJsonSetpointBuilder() {
     }
   }, [payload, compact]);
 
-  // --- Download link management (no programmatic clicks) ---
-  const [downloadHref, setDownloadHref] = useState("");
-  const [hrefType, setHrefType] = useState(null);
+  // The exact text that would be exported is checked against the published schema.
+  const schemaErrors = useMemo(() => {
+    if (!isPayloadReady) return [];
+    try {
+      const parsed = JSON.parse(jsonString);
+      return validateJson(parsed, payloadSchema({ temperatureUnit: output.temperatureUnit })).map((err) => describeSchemaError(err, parsed));
+    } catch {
+      return ["The output is not valid JSON."];
+    }
+  }, [isPayloadReady, jsonString, output.temperatureUnit]);
+  const matchesSchema = schemaErrors.length === 0;
+  const canExport = isPayloadReady && matchesSchema && (!needsEnvelopeAck || envelopeAck);
+  const exportStatus = !isPayloadReady ? "Please complete required fields" : !matchesSchema ? "Does not match the payload schema" : canExport ? "Valid – ready to export" : "Outside chamber envelope";
+  const problemCount = Object.keys(systemProblems).length + Object.keys(fieldProblems).length;
 
+  // Screen readers hear when the plan becomes exportable or stops being so
+  // (not on load, and not on every keystroke that changes the problem count).
+  const announcedStatus = useRef(exportStatus);
   useEffect(() => {
-    let urlToRevoke = null;
+    if (announcedStatus.current === exportStatus) return;
+    announcedStatus.current = exportStatus;
+    announce(`${exportStatus}.${problemCount ? ` ${problemCount} problem${problemCount === 1 ? "" : "s"} in the form.` : ""}`);
+  }, [exportStatus, problemCount, announce]);
+
+  const { href: downloadHref, kind: hrefType } = useDownloadHref(jsonString, "application/json", canExport);
+
+  // The CSV is a plan for editing in a spreadsheet, not controller output, so
+  // it does not wait for the envelope confirmation.
+  const csvFormat = CSV_EXPORT_FORMATS.find((f) => f.id === csvFormatId) || CSV_EXPORT_FORMATS[0];
+  const csvString = useMemo(
+    () => (isPayloadReady ? setpointsToCsv(groupsToSetpoints(groups), csvFormat) : ""),
+    [isPayloadReady, groups, csvFormat]
+  );
+  const { href: csvHref } = useDownloadHref(csvString, "text/csv", isPayloadReady);
+
+  // YAML, per-setpoint ZIP and test sheet are controller-side output like the
+  // JSON, so they wait for the same checks. All names follow the template.
+  const templateError = checkFilenameTemplate(filenameTemplate);
+  const draftName = drafts.find((d) => d.id === currentDraftId)?.name ?? "";
+  // {date} and {time} are the moment a file is saved, so the download links
+  // fill in their names again when clicked (see saveAs).
+  const nameContextAt = useCallback(
+    (date) => filenameContext(payload, { date, draft: draftName, profile: activeProfile.name, output }),
+    [payload, draftName, activeProfile.name, output]
+  );
+  const nameTemplate = templateError ? DEFAULT_FILENAME_TEMPLATE : filenameTemplate;
+  const exportFormat = EXPORT_FORMATS.find((f) => f.id === exportFormatId) || EXPORT_FORMATS[0];
+  const exportContent = useMemo(() => {
+    if (!canExport) return "";
+    if (exportFormat.id === "yaml") return payloadToYaml(payload);
+    if (exportFormat.id === "zip") return createZip(setpointFiles(payload, nameTemplate, nameContextAt(new Date())));
+    return testSheetHtml(payload, { systems, profile: activeProfile.name, output });
+  }, [canExport, exportFormat, payload, nameTemplate, nameContextAt, systems, activeProfile.name, output]);
+  const { href: exportHref } = useDownloadHref(exportContent, exportFormat.mimeType, canExport);
+
+  // A confirmation covers exactly the output it was given for.
+  useEffect(() => setEnvelopeAck(false), [payload]);
 
+  // ---- share links ----
+  async function handleCopyShareLink() {
+    setErrorMsg("");
     if (!isPayloadReady) {
-      setDownloadHref("");
-      setHrefType(null);
-      return () => {};
+      setErrorMsg("Complete at least one valid setpoint before sharing.");
+      return;
     }
-
+    let url;
     try {
-      const blob = new Blob([jsonString], { type: "application/json" });
-      const url = URL.createObjectURL(blob);
-      setDownloadHref(url);
-      setHrefType("blob");
-      urlToRevoke = url;
+      // User profiles live in this browser only, so links carry built-in profile ids alone.
+      const sharedProfileId = activeProfile.builtIn ? activeProfile.id : null;
+      url = shareUrl(window.location, await encodeShare({ ...currentPlan, activeProfileId: sharedProfileId }));
     } catch {
-      try {
-        const dataHref = "data:application/json;charset=utf-8," + encodeURIComponent(jsonString);
-        setDownloadHref(dataHref);
-        setHrefType("data");
-      } catch {
-        setDownloadHref("");
-        setHrefType(null);
-      }
+      setErrorMsg("Could not create a share link.");
+      return;
     }
+    setShareLink(url);
+    try {
+      if (navigator.clipboard && typeof navigator.clipboard.writeText === "function") {
+        await navigator.clipboard.writeText(url);
+        setShareCopied(true);
+        setTimeout(() => setShareCopied(false), 1200);
+        return;
+      }
+    } catch {}
+    setShareCopied(false);
+    setErrorMsg("Clipboard blocked. Copy the share link from the field below the output.");
+  }
 
+  // Load a plan from `#plan=...` on start and whenever the hash changes. The
+  // shared plan must pass the same checks as isFormValid, otherwise the
+  // current (autosaved) work is kept.
+  useEffect(() => {
+    let cancelled = false;
+    async function hydrateFromHash() {
+      const token = readShareToken(window.location.hash);
+      if (!token) return;
+      const { plan, error } = await decodeShare(token, uid);
+      if (cancelled) return;
+      window.history.replaceState(null, "", window.location.pathname + window.location.search);
+      if (error) {
+        setNotice(`${error} Your previous work was kept.`);
+        return;
+      }
+      // A link made under a user profile names none, so its plan is checked
+      // against the registry and opened under the first profile it fits.
+      const profile = BUILT_IN_PROFILES.find((p) => p.id === plan.activeProfileId) || null;
+      const checks = { output: plan.output ?? DEFAULT_OUTPUT };
+      const problems = {
+        ...validateSystems(plan.systems),
+        ...validateGroups(plan.groups, plan.systems, profile, checks),
+      };
+      const count = Object.keys(problems).length;
+      if (count > 0) {
+        setNotice(`The shared plan has ${count} invalid value${count === 1 ? "" : "s"} and was not loaded. Your previous work was kept.`);
+        return;
+      }
+      if (buildPayload(plan.systems, plan.groups).length === 0) {
+        setNotice("The shared plan contains no setpoints and was not loaded. Your previous work was kept.");
+        return;
+      }
+      const fits = (p) => Object.keys(validateGroups(plan.groups, plan.systems, p, checks)).length === 0;
+      const opened = profile ?? [...BUILT_IN_PROFILES, ...loadUserProfiles()].find(fits);
+      setPlan(() => ({ systems: plan.systems, groups: plan.groups }));
+      setActiveProfileId(opened ? opened.id : DEFAULT_PROFILE_ID);
+      if (plan.schema) setSchema(plan.schema);
+      if (plan.output) setOutput(plan.output);
+      setResults(EMPTY_RESULTS);
+      setCurrentDraftId(null);
+      setNotice(opened
+        ? "Loaded the shared plan from the link."
+        : "Loaded the shared plan from the link. It was made under a profile this browser does not have; save one that allows its values.");
+    }
+    hydrateFromHash();
+    window.addEventListener("hashchange", hydrateFromHash);
     return () => {
-      if (urlToRevoke) URL.revokeObjectURL(urlToRevoke);
+      cancelled = true;
+      window.removeEventListener("hashchange", hydrateFromHash);
     };
-  }, [jsonString, isPayloadReady]);
+  }, []);
 
   async function handleCopy() {
     setErrorMsg("");
@@ -120,11 +402,20 @@ export default function CalibrationJsonSetpointBuilder() {
       setErrorMsg("Complete at least one valid setpoint before copying.");
       return;
     }
+    if (!matchesSchema) {
+      setErrorMsg("The output does not match the payload schema. See the problems below the output.");
+      return;
+    }
+    if (!canExport) {
+      setErrorMsg("Some setpoints are outside the chamber envelope. Confirm below the output to export them anyway.");
+      return;
+    }
     const textToCopy = jsonString;
     try {
       if (navigator.clipboard && typeof navigator.clipboard.writeText === "function") {
         await navigator.clipboard.writeText(textToCopy);
         setCopied(true);
+        announce("Output JSON copied to the clipboard.");
         setTimeout(() => setCopied(false), 1200);
         return;
       }
@@ -139,59 +430,349 @@ export default function CalibrationJsonSetpointBuilder() {
     }
   }
 
-  function loadDefaultLHT65N() {
-    setSystemId("1");
-    setGroups([
-      { id: uid(), temperature: "20.0", humidities: [{ id: uid(), nominal: "60.0" }] },
-      { id: uid(), temperature: "40.0", humidities: [{ id: uid(), nominal: "33.0" }] },
-    ]);
+  function groupEnvelopeLevel(g) {
+    const levels = [g.id, ...g.values.map((v) => v.id)].map((id) => envelopeReport.entries[id]?.level);
+    return levels.includes("error") ? "error" : levels.includes("warning") ? "warning" : null;
   }
 
-  function resetAll() {
-    setSystemId("1");
-    setGroups([{ id: uid(), temperature: "", humidities: [] }]);
+  function addSetpoints(setpoints, mode) {
+    const generated = setpoints.map(setpointToGroup);
+    // Appending drops blank groups such as the empty one a fresh builder starts with.
+    setGroups((gs) => mode === "replace" ? generated : [...gs.filter((g) => g.primary !== "" || g.values.length > 0), ...generated]);
     setErrorMsg("");
+    return generated;
   }
 
-  function runSelfChecks() {
-    try {
-      const t1 = buildPayload(1, [{ id: "a", temperature: "-95.0", humidities: [] }]);
-      const ok1 = JSON.stringify(t1) === JSON.stringify([[{ system_id: 1, parameter: "Temperature", nominal: -95 }]]);
+  // The dialog's fields are gone once it closes, so focus goes back to where it was opened or to the first new group.
+  function closeSweep() {
+    setSweepOpen(false);
+    requestFocus("generate-sweep");
+  }
 
-      const t2 = buildPayload(1, [{ id: "b", temperature: "40.0", humidities: [{ id: "h1", nominal: "33.0" }, { id: "h2", nominal: "80.0" }] }]);
-      const ok2 = JSON.stringify(t2) === JSON.stringify([[{ system_id: 1, parameter: "Temperature", nominal: 40 }, { system_id: 1, parameter: "Humidity", nominal: 33 }, { system_id: 1, parameter: "Humidity", nominal: 80 }]]);
+  function applySweep(setpoints, mode) {
+    const generated = addSetpoints(setpoints, mode);
+    setSweepOpen(false);
+    requestFocus(`primary-${generated[0].id}`);
+    const count = `${generated.length} setpoint group${generated.length === 1 ? "" : "s"}`;
+    announce(mode === "replace" ? `Groups replaced by ${count} from the sweep.` : `${count} added from the sweep.`);
+  }
 
-      const t3 = buildPayload(2, [{ id: "c", temperature: "40.0", humidities: [{ id: "h1", nominal: "" }] }]);
-      const ok3 = JSON.stringify(t3) === JSON.stringify([[{ system_id: 2, parameter: "Temperature", nominal: 40 }]]);
+  function loadProfile() {
+    setGroups(activeProfile.setpoints.map(setpointToGroup));
+  }
 
-      const t4 = buildPayload(3, [
-        { id: "d1", temperature: "0.0", humidities: [] },
-        { id: "d2", temperature: "40.0", humidities: [{ id: "h1", nominal: "33" }] },
-      ]);
-      const ok4 = JSON.stringify(t4) === JSON.stringify([
-        [{ system_id: 3, parameter: "Temperature", nominal: 0 }],
-        [{ system_id: 3, parameter: "Temperature", nominal: 40 }, { system_id: 3, parameter: "Humidity", nominal: 33 }],
-      ]);
+  // Returns the problems that kept the profile from being saved.
+  function saveProfile(name, description) {
+    const setpoints = groupsToSetpoints(groups);
+    if (setpoints.length === 0) return ["Enter at least one setpoint before saving a profile."];
+    // Keep the active profile's ranges and add registry ranges for any other parameter in use.
+    const ranges = { ...activeProfile.ranges };
+    for (const sp of setpoints) {
+      for (const name of [PRIMARY_PARAMETER.name, ...sp.values.map((v) => v.parameter)]) {
+        const def = getParameter(name);
+        if (def && !ranges[name]) ranges[name] = { min: def.min, max: def.max };
+      }
+    }
+    return addUserProfile({ name, description, setpoints, ranges });
+  }
 
-      const t5 = buildPayload(4, [{ id: "e", temperature: "25.0", humidities: [{ id: "x", nominal: "-5" }, { id: "y", nominal: "120" }, { id: "z", nominal: "50" }] }]);
-      const ok5 = JSON.stringify(t5) === JSON.stringify([[{ system_id: 4, parameter: "Temperature", nominal: 25 }, { system_id: 4, parameter: "Humidity", nominal: 50 }]]);
+  // Validated like an import so that loadUserProfiles keeps it after a reload.
+  function addUserProfile(raw) {
+    const { profile, errors } = validateProfile(raw);
+    if (!profile) return errors;
+    const taken = (n) => profiles.some((p) => p.name === n);
+    let name = profile.name;
+    for (let i = 2; taken(name); i++) name = `${profile.name} (${i})`;
+    const id = `user:${uid()}`;
+    setUserProfiles((ps) => [...ps, { ...profile, name, id, builtIn: false }]);
+    setActiveProfileId(id);
+    setErrorMsg("");
+    return [];
+  }
 
-      const t6 = buildPayload(5, [{ id: "f", temperature: "10", humidities: [{ id: "n", nominal: "abc" }, { id: "m", nominal: "75" }] }]);
-      const ok6 = JSON.stringify(t6) === JSON.stringify([[{ system_id: 5, parameter: "Temperature", nominal: 10 }, { system_id: 5, parameter: "Humidity", nominal: 75 }]]);
+  function deleteProfile(id) {
+    setUserProfiles((ps) => ps.filter((p) => p.id !== id));
+    setActiveProfileId(DEFAULT_PROFILE_ID);
+  }
 
-      const results = [ok1, ok2, ok3, ok4, ok5, ok6];
-      const passedCount = results.filter(Boolean).length;
-      setTestSummary(passedCount === results.length ? `Self-checks passed (${passedCount}/${results.length}).` : `Self-checks failed (${passedCount}/${results.length}).`);
-    } catch {
-      setTestSummary("Self-checks crashed – see console for details.");
+  function updateGroup(groupId, fn, tag = null) {
+    setGroups((gs) => gs.map((row) => row.id === groupId ? fn(row) : row), tag);
+  }
+
+  // ---- adding and removing, with focus and announcements ----
+  function addGroup() {
+    const g = newGroup();
+    setGroups((gs) => [...gs, g]);
+    requestFocus(`primary-${g.id}`);
+    announce(`Setpoint group #${groups.length + 1} added.`);
+  }
+
+  function removeGroup(groupId) {
+    const next = neighbourId(groups, groupId);
+    setGroups((gs) => gs.filter((row) => row.id !== groupId));
+    requestFocus(next ? `primary-${next}` : "add-group");
+    announce(`Setpoint group #${groups.findIndex((g) => g.id === groupId) + 1} removed; Undo brings it back.`);
+  }
+
+  function addValue(groupId, def) {
+    const v = newValue(def.name);
+    updateGroup(groupId, (row) => ({ ...row, values: [...row.values, v] }));
+    requestFocus(`value-${v.id}`);
+  }
+
+  function removeValue(group, value) {
+    const def = getParameter(value.parameter);
+    const next = neighbourId(group.values.filter((v) => v.parameter === value.parameter), value.id);
+    updateGroup(group.id, (row) => ({ ...row, values: row.values.filter((v) => v.id !== value.id) }));
+    requestFocus(next ? `value-${next}` : `primary-${group.id}`);
+    announce(`${def.label} removed from group #${groups.indexOf(group) + 1}.`);
+  }
+
+  // Enter in a filled-in field moves on to a blank value: a humidity (the
+  // first secondary parameter the profile has) from the temperature, another
+  // of the same parameter from a value.
+  function enterValue(e, group, parameter, filled) {
+    if (e.key !== "Enter" || e.ctrlKey || e.metaKey || e.altKey || e.shiftKey) return;
+    e.preventDefault();
+    if (!filled || !parameter) return;
+    const result = withBlankValue(group, parameter);
+    if (result.group !== group) {
+      updateGroup(group.id, () => result.group);
+      announce(`${getParameter(parameter).label} added to group #${groups.indexOf(group) + 1}.`);
     }
+    requestFocus(`value-${result.id}`);
   }
 
-  useEffect(() => {
-    runSelfChecks();
-  }, []);
+  // ---- reordering and bulk edits ----
+  function moveGroup(groupId, dir) {
+    setGroups((gs) => {
+      const i = gs.findIndex((row) => row.id === groupId);
+      return moveItem(gs, i, i + dir);
+    });
+  }
+
+  function toggleSelected(groupId, on) {
+    setSelectedIds((ids) => on ? [...ids.filter((id) => id !== groupId), groupId] : ids.filter((id) => id !== groupId));
+  }
+
+  function shiftSelected(delta) {
+    const result = shiftPrimaries(groups, selected, delta, inputUnit);
+    if (result.error) return result.error;
+    setGroups(result.groups);
+    return null;
+  }
+
+  function deleteSelected() {
+    setGroups((gs) => gs.filter((row) => !selected.includes(row.id)));
+    setSelectedIds([]);
+  }
+
+  // Drag and drop: `dragRef` holds { kind: "group" } or { kind: "value", groupId, parameter }
+  // plus the dragged id; drop targets only accept items of the same kind and list.
+  function startDrag(e, item) {
+    dragRef.current = item;
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", item.id);
+    const card = e.currentTarget.closest("[data-drag-item]");
+    if (card) e.dataTransfer.setDragImage(card, 16, 16);
+  }
 
-  const filename = `calibration_setpoints_system_${parsedSystemId}.json`;
+  function endDrag() {
+    dragRef.current = null;
+    setDropTargetId(null);
+  }
+
+  const accepts = (item) => {
+    const d = dragRef.current;
+    return d && d.kind === item.kind && d.groupId === item.groupId && d.parameter === item.parameter;
+  };
+
+  function dragOver(e, item) {
+    if (!accepts(item)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = "move";
+    setDropTargetId(item.id);
+  }
+
+  function drop(e, item) {
+    if (!accepts(item)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const dragged = dragRef.current.id;
+    if (item.kind === "group") setGroups((gs) => moveById(gs, dragged, item.id));
+    else updateGroup(item.groupId, (row) => ({ ...row, values: moveById(row.values, dragged, item.id) }));
+    endDrag();
+  }
+
+  // Arrow keys on a drag handle move the item one step.
+  function handleKeyMove(e, move) {
+    const dir = e.key === "ArrowUp" ? -1 : e.key === "ArrowDown" ? 1 : 0;
+    if (!dir) return;
+    e.preventDefault();
+    move(dir);
+  }
+
+  function updateSystem(key, patch) {
+    setSystems((ss) => ss.map((row) => row.id === key ? { ...row, ...patch } : row), `system:${key}:${Object.keys(patch).join()}`);
+  }
+
+  function addSystem() {
+    setSystems((ss) => {
+      const next = Math.max(0, ...ss.map((row) => Number(row.systemId)).filter(Number.isFinite)) + 1;
+      return [...ss, newSystem(String(next))];
+    });
+  }
+
+  function removeSystem(key) {
+    // Drop the removed key from explicit selections; a selection that ends up
+    // empty is kept so validation asks the user to pick again.
+    setPlan((p) => ({
+      systems: p.systems.filter((row) => row.id !== key),
+      groups: p.groups.map((row) => ({
+        ...row,
+        targets: Object.fromEntries(Object.entries(row.targets || {}).map(([name, keys]) => [name, keys.filter((k) => k !== key)])),
+      })),
+    }));
+  }
+
+  // Blank or the registry default removes a parameter's decimals override.
+  function setOutputDecimals(def, raw) {
+    setOutput((o) => {
+      const decimals = { ...o.decimals };
+      const n = Math.round(Number(raw));
+      if (raw === "" || !Number.isFinite(n) || n === defaultOutputDecimals(def, o.temperatureUnit)) delete decimals[def.name];
+      else decimals[def.name] = Math.min(MAX_DECIMALS, Math.max(0, n));
+      return { ...o, decimals };
+    });
+  }
+
+  function updateCriterion(groupId, scope, key, value) {
+    updateGroup(groupId, (row) => {
+      const entries = { ...row.criteria?.[scope], [key]: value };
+      if (value === "") delete entries[key];
+      const criteria = { ...row.criteria, [scope]: entries };
+      if (Object.keys(entries).length === 0) delete criteria[scope];
+      return { ...row, criteria };
+    }, `criteria:${groupId}:${scope}:${key}`);
+  }
+
+  function toggleTarget(groupId, parameter, key) {
+    updateGroup(groupId, (row) => {
+      const current = targetSystems(row, parameter, systems).map((s) => s.id);
+      const nextKeys = current.includes(key) ? current.filter((k) => k !== key) : [...current, key];
+      const targets = { ...row.targets };
+      if (nextKeys.length === systems.length) delete targets[parameter];
+      else targets[parameter] = nextKeys;
+      return { ...row, targets };
+    });
+  }
+
+  function handleImport(text) {
+    const { systems: importedSystems, groups: importedGroups, schema: importedSchema, output: importedOutput, errors } = parsePayload(text);
+    if (errors.length) return errors;
+    setPlan(() => ({ systems: importedSystems, groups: importedGroups }));
+    // Keep a v1 choice unless the file itself carries criteria.
+    if (importedSchema > schema) setSchema(importedSchema);
+    // A file with unit keys says which unit its target expects.
+    if (importedOutput) setOutput((o) => ({ ...o, ...importedOutput }));
+    setErrorMsg("");
+    return [];
+  }
+
+  function applyMerge(plan) {
+    setPlan(() => ({ systems: plan.systems, groups: plan.groups }));
+    setErrorMsg("");
+  }
+
+  function resetAll() {
+    setPlan(() => ({ systems: [newSystem()], groups: [newGroup()] }));
+    setResults(EMPTY_RESULTS);
+    setCurrentDraftId(null);
+    setErrorMsg("");
+  }
+
+  // ---- drafts ----
+  function applyPlan(plan) {
+    setPlan(() => ({ systems: plan.systems, groups: plan.groups }));
+    setCompact(plan.compact);
+    if (plan.schema) setSchema(plan.schema);
+    if (plan.output) setOutput(plan.output);
+    if (plan.inputUnit) setInputUnit(plan.inputUnit);
+    if (plan.activeProfileId) setActiveProfileId(plan.activeProfileId);
+    setResults(plan.results ?? EMPTY_RESULTS);
+    setErrorMsg("");
+  }
+
+  function saveDraftAs(name) {
+    const id = uid();
+    setDrafts((ds) => [...ds, { id, name, updatedAt: new Date().toISOString(), plan: currentPlan }]);
+    setCurrentDraftId(id);
+  }
+
+  function saveDraft() {
+    setDrafts((ds) => ds.map((d) => d.id === currentDraftId ? { ...d, updatedAt: new Date().toISOString(), plan: currentPlan } : d));
+  }
+
+  function openDraft(id) {
+    const draft = drafts.find((d) => d.id === id);
+    if (!draft) return;
+    applyPlan(draft.plan);
+    setCurrentDraftId(id);
+  }
+
+  function renameDraft(id, name) {
+    setDrafts((ds) => ds.map((d) => d.id === id ? { ...d, name, updatedAt: new Date().toISOString() } : d));
+  }
+
+  function duplicateDraft(id) {
+    setDrafts((ds) => {
+      const src = ds.find((d) => d.id === id);
+      return src ? [...ds, { ...src, id: uid(), name: `${src.name} (copy)`, updatedAt: new Date().toISOString() }] : ds;
+    });
+  }
+
+  function deleteDraft(id) {
+    setDrafts((ds) => ds.filter((d) => d.id !== id));
+    if (currentDraftId === id) setCurrentDraftId(null);
+  }
+
+  const nameContext = nameContextAt(new Date());
+  const filename = renderFilename(nameTemplate, nameContext, "json");
+
+  const saveAs = (extension) => (e) => {
+    e.currentTarget.download = renderFilename(nameTemplate, nameContextAt(new Date()), extension);
+  };
+
+  function saveExport(e) {
+    const context = nameContextAt(new Date());
+    e.currentTarget.download = renderFilename(nameTemplate, context, exportFormat.extension);
+    if (exportFormat.id !== "zip") return;
+    // The entry names use the template too: zip again for this click.
+    const url = URL.createObjectURL(new Blob([createZip(setpointFiles(payload, nameTemplate, context))], { type: exportFormat.mimeType }));
+    e.currentTarget.href = url;
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+
+  function focusDownload() {
+    if (!canExport || !downloadHref) {
+      announce(`Download is not available: ${exportStatus.toLowerCase()}.`);
+      return;
+    }
+    downloadRef.current?.focus();
+    announce("Download .json – press Enter to save.");
+  }
+
+  shortcutHandler.current = (id) => {
+    if (sweepOpen) return;
+    if (id === "undo") setPlanHistory(undo);
+    else if (id === "redo") setPlanHistory(redo);
+    else if (id === "add-group") addGroup();
+    else if (id === "copy") handleCopy();
+    else if (id === "download") focusDownload();
+  };
+  const csvFilename = renderFilename(nameTemplate, nameContext, "csv");
+  const exportFilename = renderFilename(nameTemplate, nameContext, exportFormat.extension);
 
   return (
     <div className="mx-auto max-w-5xl p-6 space-y-6">
@@ -202,164 +783,510 @@ export default function CalibrationJsonSetpointBuilder() {
             <Label htmlFor="compact">Compact JSON</Label>
             <Switch id="compact" checked={compact} onCheckedChange={setCompact} />
           </div>
-          <Button variant="outline" onClick={loadDefaultLHT65N}>
-            <RefreshCw className="mr-2 h-4 w-4" /> Load LHT65N Default
-          </Button>
+          <div className="flex items-center gap-2">
+            <Label htmlFor="input-unit">Temperature unit</Label>
+            <Select id="input-unit" value={inputUnit} onChange={(e) => setInputUnit(e.target.value)} className="w-auto">
+              {TEMPERATURE_UNITS.map((u) => <option key={u.id} value={u.id}>{u.label}</option>)}
+            </Select>
+          </div>
+          <div className="flex items-center gap-2">
+            <Label htmlFor="output-schema">Output format</Label>
+            <Select id="output-schema" value={schema} onChange={(e) => setSchema(Number(e.target.value))} className="w-auto">
+              {OUTPUT_SCHEMAS.map((o) => <option key={o.id} value={o.id}>{o.label}</option>)}
+            </Select>
+          </div>
           <Button variant="ghost" onClick={resetAll}>
             Reset
           </Button>
         </div>
       </div>
 
+      <div role="status" aria-live="polite" className="sr-only">{announcement}</div>
+
       {errorMsg && (
-        <div className="rounded-md border border-red-400 bg-red-50 px-4 py-2 text-sm text-red-700">
+        <div role="alert" className="rounded-md border border-red-400 bg-red-50 px-4 py-2 text-sm text-red-700">
           {errorMsg}
         </div>
       )}
 
+      {notice && (
+        <div className="flex items-center justify-between gap-3 rounded-md border border-amber-400 bg-amber-50 px-4 py-2 text-sm text-amber-800">
+          <span>{notice}</span>
+          <Button variant="ghost" size="icon" className="h-6 w-6 px-0 py-0" onClick={() => setNotice("")} aria-label="Dismiss message">
+            <X className="h-4 w-4" />
+          </Button>
+        </div>
+      )}
+
+      <DraftsPanel
+        drafts={drafts}
+        currentDraftId={currentDraftId}
+        onSave={saveDraft}
+        onSaveAs={saveDraftAs}
+        onOpen={openDraft}
+        onRename={renameDraft}
+        onDuplicate={duplicateDraft}
+        onDelete={deleteDraft}
+      />
+
+      <ProfileLibraryCard
+        profiles={profiles}
+        activeProfile={activeProfile}
+        onSelect={setActiveProfileId}
+        onLoad={loadProfile}
+        onSave={saveProfile}
+        onDelete={deleteProfile}
+        onImport={addUserProfile}
+      />
+
       <Card className="shadow-sm">
         <CardHeader>
           <CardTitle className="text-lg">Global Settings</CardTitle>
         </CardHeader>
-        <CardContent className="grid grid-cols-1 sm:grid-cols-3 gap-4">
-          <div className="space-y-1">
-            <Label htmlFor="systemId">System ID</Label>
-            <Input
-              id="systemId"
-              type="number"
-              min={1}
-              value={systemId}
-              onChange={(e) => setSystemId(clampNumberOrEmpty(e.target.value, { min: 1 }))}
-              placeholder="1"
-            />
-          </div>
+        <CardContent className="space-y-3">
+          <Label>Systems</Label>
+          {systems.map((s, si) => (
+            <div key={s.id} className="space-y-1">
+              <div className="grid grid-cols-1 sm:grid-cols-[8rem_1fr_auto] gap-3 items-center">
+                <Input
+                  type="number"
+                  min={1}
+                  value={s.systemId}
+                  onChange={(e) => updateSystem(s.id, { systemId: clampNumberOrEmpty(e.target.value, { min: 1 }) })}
+                  placeholder="System ID"
+                  aria-label={`System ID #${si + 1}`}
+                  invalid={Boolean(systemProblems[s.id])}
+                  aria-describedby={systemProblems[s.id] ? `problem-${s.id}` : undefined}
+                />
+                <Input
+                  value={s.name}
+                  onChange={(e) => updateSystem(s.id, { name: e.target.value })}
+                  placeholder="Name (optional), e.g., Reference probe"
+                  aria-label={`System name #${si + 1}`}
+                />
+                <Button variant="ghost" size="icon" onClick={() => removeSystem(s.id)} disabled={systems.length === 1} aria-label={`Remove system #${si + 1}`}>
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+              {systemProblems[s.id] && <p id={`problem-${s.id}`} className="text-xs text-red-600">{systemProblems[s.id]}</p>}
+            </div>
+          ))}
+          {systemProblems.systems && <p className="text-xs text-red-600">{systemProblems.systems}</p>}
+          <Button variant="outline" size="sm" onClick={addSystem}>
+            <Plus className="mr-2 h-4 w-4" /> Add system
+          </Button>
         </CardContent>
       </Card>
 
+      <ChamberEnvelopeCard envelope={envelope} onChange={setEnvelope} report={envelopeReport} unit={inputUnit} />
+
+      <GroupToolbar
+        total={groups.length}
+        selectedCount={selected.length}
+        onSelectAll={(on) => setSelectedIds(on ? groups.map((g) => g.id) : [])}
+        unit={unitFor(PRIMARY_PARAMETER, inputUnit)}
+        onShift={shiftSelected}
+        onSort={(dir) => setGroups((gs) => sortByPrimary(gs, selected, dir))}
+        onDelete={deleteSelected}
+        canUndo={planHistory.past.length > 0}
+        canRedo={planHistory.future.length > 0}
+        onUndo={() => setPlanHistory(undo)}
+        onRedo={() => setPlanHistory(redo)}
+      />
+
       <div className="space-y-4">
         {groups.map((g, gi) => (
-          <Card key={g.id} className="shadow-sm">
+          <Card
+            key={g.id}
+            data-drag-item
+            className={`shadow-sm ${dropTargetId === g.id ? "ring-2 ring-black/30" : hoveredGroupId === g.id ? "ring-2 ring-amber-300" : ""}`}
+            onMouseEnter={() => setHoveredGroupId(g.id)}
+            onMouseLeave={() => setHoveredGroupId(null)}
+            onDragOver={(e) => dragOver(e, { kind: "group", id: g.id })}
+            onDragLeave={() => setDropTargetId((id) => id === g.id ? null : id)}
+            onDrop={(e) => drop(e, { kind: "group", id: g.id })}
+          >
             <CardHeader className="flex flex-row items-center justify-between">
-              <CardTitle className="text-base">Setpoint Group #{gi + 1}</CardTitle>
-              <Button variant="ghost" size="icon" onClick={() => setGroups((gs) => gs.filter((row) => row.id !== g.id))} aria-label="Remove group">
-                <Trash2 className="h-4 w-4" />
-              </Button>
+              <CardTitle className="text-base flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(g.id)}
+                  onChange={(e) => toggleSelected(g.id, e.target.checked)}
+                  aria-label={`Select group #${gi + 1}`}
+                />
+                <span
+                  role="button"
+                  tabIndex={0}
+                  draggable
+                  onDragStart={(e) => startDrag(e, { kind: "group", id: g.id })}
+                  onDragEnd={endDrag}
+                  onKeyDown={(e) => handleKeyMove(e, (dir) => moveGroup(g.id, dir))}
+                  className="cursor-grab rounded p-0.5 text-gray-500 hover:bg-gray-100 active:cursor-grabbing"
+                  aria-label={`Move group #${gi + 1} (drag, or use the arrow keys)`}
+                  title="Drag, or focus and press ↑/↓, to reorder"
+                >
+                  <GripVertical className="h-4 w-4" />
+                </span>
+                Setpoint Group #{gi + 1}
+                {groupEnvelopeLevel(g) && (
+                  <TriangleAlert
+                    className={`h-4 w-4 ${groupEnvelopeLevel(g) === "error" ? "text-red-600" : "text-amber-600"}`}
+                    aria-label={groupEnvelopeLevel(g) === "error" ? "Outside chamber envelope" : "Near chamber envelope limit"}
+                  />
+                )}
+              </CardTitle>
+              <div className="flex items-center gap-1">
+                <Button variant="ghost" size="icon" onClick={() => moveGroup(g.id, -1)} disabled={gi === 0} aria-label={`Move group #${gi + 1} up`}>
+                  <ArrowUp className="h-4 w-4" />
+                </Button>
+                <Button variant="ghost" size="icon" onClick={() => moveGroup(g.id, 1)} disabled={gi === groups.length - 1} aria-label={`Move group #${gi + 1} down`}>
+                  <ArrowDown className="h-4 w-4" />
+                </Button>
+                <Button variant="ghost" size="icon" onClick={() => setGroups((gs) => insertDuplicate(gs, g.id))} aria-label={`Duplicate group #${gi + 1}`} title="Duplicate group">
+                  <CopyPlus className="h-4 w-4" />
+                </Button>
+                <Button variant="ghost" size="icon" onClick={() => removeGroup(g.id)} aria-label={`Remove group #${gi + 1}`} title="Remove group">
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
             </CardHeader>
             <CardContent className="grid grid-cols-1 md:grid-cols-3 gap-4">
               <div className="space-y-1 md:col-span-1">
-                <Label>Temperature (°C)</Label>
-                <Input
-                  type="number"
-                  value={g.temperature}
-                  onChange={(e) => setGroups((gs) => gs.map((row) => row.id === g.id ? { ...row, temperature: clampNumberOrEmpty(e.target.value) } : row))}
-                  placeholder="e.g., 40"
+                <Label>{PRIMARY_PARAMETER.label} ({unitFor(PRIMARY_PARAMETER, inputUnit)})</Label>
+                <TargetPicker group={g} parameter={PRIMARY_PARAMETER.name} systems={systems} onToggle={toggleTarget} problem={fieldProblems[`${g.id}:${PRIMARY_PARAMETER.name}`]} />
+                <ConvertedInput
+                  id={`primary-${g.id}`}
+                  def={PRIMARY_PARAMETER}
+                  unit={inputUnit}
+                  value={g.primary}
+                  onChange={(primary) => updateGroup(g.id, (row) => ({ ...row, primary }), `primary:${g.id}`)}
+                  onKeyDown={(e) => enterValue(e, g, SECONDARY_PARAMETERS.find((def) => profileParameter(activeProfile, def.name))?.name, g.primary !== "")}
+                  placeholder={`e.g., ${roundTo(fromCanonical(40, PRIMARY_PARAMETER, inputUnit), PRIMARY_PARAMETER.decimals)}`}
+                  aria-label={`${PRIMARY_PARAMETER.label} of group #${gi + 1}`}
+                  invalid={Boolean(fieldProblems[g.id])}
+                  aria-describedby={fieldProblems[g.id] ? `problem-${g.id}` : undefined}
                 />
+                {fieldProblems[g.id] && <p id={`problem-${g.id}`} className="text-xs text-red-600">{fieldProblems[g.id]}</p>}
+                <EnvelopeNote entry={envelopeReport.entries[g.id]} unit={inputUnit} />
               </div>
 
-              <div className="md:col-span-2 space-y-2">
-                <div className="flex items-center justify-between">
-                  <Label>Humidity set(s) (%RH)</Label>
-                  <Button variant="outline" size="sm" onClick={() => setGroups((gs) => gs.map((row) => row.id === g.id ? { ...row, humidities: [...row.humidities, { id: uid(), nominal: "" }] } : row))}>
-                    <Plus className="mr-2 h-4 w-4" /> Add humidity
-                  </Button>
-                </div>
-                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
-                  {g.humidities.length === 0 && (
-                    <p className="text-sm text-muted-foreground">No humidity values – this setpoint will be Temperature-only.</p>
-                  )}
-                  {g.humidities.map((h) => (
-                    <div key={h.id} className="flex items-center gap-2">
-                      <Input
-                        type="number"
-                        min={0}
-                        max={100}
-                        step={0.1}
-                        value={h.nominal}
-                        onChange={(e) => {
-                          const v = clampNumberOrEmpty(e.target.value, { min: 0, max: 100 });
-                          setGroups((gs) => gs.map((row) => row.id === g.id ? { ...row, humidities: row.humidities.map((hh) => hh.id === h.id ? { ...hh, nominal: v } : hh) } : row));
-                        }}
-                        placeholder="e.g., 33"
-                      />
-                      <Button variant="ghost" size="icon" onClick={() => setGroups((gs) => gs.map((row) => row.id === g.id ? { ...row, humidities: row.humidities.filter((hh) => hh.id !== h.id) } : row))} aria-label="Remove RH">
-                        <Trash2 className="h-4 w-4" />
+              <div className="md:col-span-2 space-y-4">
+                {g.values.length === 0 && (
+                  <p className="text-sm text-muted-foreground">No additional parameters – this setpoint will be {PRIMARY_PARAMETER.label}-only.</p>
+                )}
+                {SECONDARY_PARAMETERS.filter((def) => g.values.some((v) => v.parameter === def.name)).map((def) => (
+                  <div key={def.name} className="space-y-2">
+                    <div className="flex items-center justify-between">
+                      <Label>{def.label} set(s) ({unitFor(def, inputUnit)})</Label>
+                      <Button variant="outline" size="sm" onClick={() => addValue(g.id, def)}>
+                        <Plus className="mr-2 h-4 w-4" /> Add {def.label.toLowerCase()}
                       </Button>
                     </div>
+                    <TargetPicker group={g} parameter={def.name} systems={systems} onToggle={toggleTarget} problem={fieldProblems[`${g.id}:${def.name}`]} />
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                      {g.values.filter((v) => v.parameter === def.name).map((v, vi) => (
+                        <div
+                          key={v.id}
+                          data-drag-item
+                          className={`space-y-1 rounded-md ${dropTargetId === v.id ? "ring-2 ring-black/30" : ""}`}
+                          onDragOver={(e) => dragOver(e, { kind: "value", id: v.id, groupId: g.id, parameter: def.name })}
+                          onDragLeave={() => setDropTargetId((id) => id === v.id ? null : id)}
+                          onDrop={(e) => drop(e, { kind: "value", id: v.id, groupId: g.id, parameter: def.name })}
+                        >
+                          <div className="flex items-center gap-2">
+                            <span
+                              role="button"
+                              tabIndex={0}
+                              draggable
+                              onDragStart={(e) => startDrag(e, { kind: "value", id: v.id, groupId: g.id, parameter: def.name })}
+                              onDragEnd={endDrag}
+                              onKeyDown={(e) => handleKeyMove(e, (dir) => updateGroup(g.id, (row) => ({ ...row, values: stepValue(row.values, v.id, dir) })))}
+                              className="cursor-grab rounded p-0.5 text-gray-500 hover:bg-gray-100 active:cursor-grabbing"
+                              aria-label={`Move ${def.label.toLowerCase()} ${v.nominal || "(blank)"} (drag, or use the arrow keys)`}
+                              title="Drag, or focus and press ↑/↓, to reorder"
+                            >
+                              <GripVertical className="h-4 w-4" />
+                            </span>
+                            <ConvertedInput
+                              id={`value-${v.id}`}
+                              def={def}
+                              unit={inputUnit}
+                              value={v.nominal}
+                              onChange={(n) => updateGroup(g.id, (row) => ({ ...row, values: row.values.map((vv) => vv.id === v.id ? { ...vv, nominal: n } : vv) }), `value:${v.id}`)}
+                              onKeyDown={(e) => enterValue(e, g, def.name, v.nominal !== "")}
+                              placeholder={`${displayParameter(def, inputUnit).min}–${displayParameter(def, inputUnit).max}`}
+                              aria-label={`${def.label} ${vi + 1} of group #${gi + 1}`}
+                              invalid={Boolean(fieldProblems[v.id])}
+                              aria-describedby={fieldProblems[v.id] ? `problem-${v.id}` : undefined}
+                            />
+                            <Button variant="ghost" size="icon" onClick={() => removeValue(g, v)} aria-label={`Remove ${def.label.toLowerCase()} ${vi + 1} of group #${gi + 1}`} title={`Remove ${def.label.toLowerCase()}`}>
+                              <Trash2 className="h-4 w-4" />
+                            </Button>
+                          </div>
+                          {fieldProblems[v.id] && <p id={`problem-${v.id}`} className="text-xs text-red-600">{fieldProblems[v.id]}</p>}
+                          <EnvelopeNote entry={envelopeReport.entries[v.id]} unit={inputUnit} />
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+                <div className="flex flex-wrap items-center gap-2">
+                  {SECONDARY_PARAMETERS.filter((def) => profileParameter(activeProfile, def.name) && !g.values.some((v) => v.parameter === def.name)).map((def) => (
+                    <Button key={def.name} variant="outline" size="sm" onClick={() => addValue(g.id, def)}>
+                      <Plus className="mr-2 h-4 w-4" /> Add {def.label.toLowerCase()}
+                    </Button>
                   ))}
                 </div>
               </div>
+
+              <div className="md:col-span-3">
+                <CriteriaEditor
+                  group={g}
+                  parameters={PARAMETERS.filter((def) => def === PRIMARY_PARAMETER || g.values.some((v) => v.parameter === def.name))}
+                  problems={fieldProblems}
+                  onChange={(scope, key, value) => updateCriterion(g.id, scope, key, value)}
+                />
+              </div>
             </CardContent>
           </Card>
         ))}
       </div>
 
       <div className="flex flex-wrap gap-3">
-        <Button onClick={() => setGroups((gs) => [...gs, { id: uid(), temperature: "", humidities: [] }])}>
+        <Button id="add-group" onClick={addGroup} aria-keyshortcuts="Control+Enter" title={`Add setpoint group (${shortcutKeys("add-group")})`}>
           <Plus className="mr-2 h-4 w-4" /> Add setpoint group
         </Button>
-        <Button
-          variant="secondary"
-          onClick={() => setGroups((gs) => [...gs, { id: uid(), temperature: "20.0", humidities: [{ id: uid(), nominal: "60.0" }] }])}
-        >
-          <Plus className="mr-2 h-4 w-4" /> Quick add 20 °C / 60 %RH
-        </Button>
-        <Button
-          variant="secondary"
-          onClick={() => setGroups((gs) => [...gs, { id: uid(), temperature: "40.0", humidities: [{ id: uid(), nominal: "33.0" }] }])}
-        >
-          <Plus className="mr-2 h-4 w-4" /> Quick add 40 °C / 33 %RH
+        <Button id="generate-sweep" variant="outline" onClick={() => setSweepOpen(true)}>
+          <Grid3x3 className="mr-2 h-4 w-4" /> Generate sweep…
         </Button>
+        {activeProfile.setpoints.map((sp, i) => (
+          <Button key={i} variant="secondary" onClick={() => setGroups((gs) => [...gs, setpointToGroup(sp)])}>
+            <Plus className="mr-2 h-4 w-4" /> Quick add {formatSetpoint(sp, inputUnit)}
+          </Button>
+        ))}
       </div>
+      <p className="text-xs text-muted-foreground">
+        Keyboard: {SHORTCUTS.map((sc, i) => (
+          <React.Fragment key={sc.id}>
+            {i > 0 && "; "}
+            <kbd className="rounded border px-1 font-mono">{sc.keys}</kbd> {sc.description}
+          </React.Fragment>
+        ))}.
+      </p>
+
+      <RunTimelineCard
+        groups={groups}
+        settings={runSettings}
+        onSettingsChange={setRunSettings}
+        unit={inputUnit}
+        hoveredGroupId={hoveredGroupId}
+        onHoverGroup={setHoveredGroupId}
+      />
 
       <Card className="shadow-sm">
         <CardHeader>
           <CardTitle className="text-lg">Output JSON</CardTitle>
         </CardHeader>
         <CardContent>
+          <div className="mb-3 flex flex-wrap items-end gap-4 text-sm">
+            <div className="space-y-1">
+              <Label htmlFor="output-unit">Emit temperatures in</Label>
+              <Select
+                id="output-unit"
+                value={output.temperatureUnit}
+                onChange={(e) => setOutput((o) => ({ ...o, temperatureUnit: e.target.value }))}
+                className="w-auto"
+              >
+                {TEMPERATURE_UNITS.map((u) => <option key={u.id} value={u.id}>{u.label}</option>)}
+              </Select>
+            </div>
+            <div className="space-y-1">
+              <span className="text-xs text-muted-foreground">Decimals</span>
+              <div className="flex flex-wrap items-center gap-2">
+                {PARAMETERS.map((def) => (
+                  <label key={def.name} className="flex items-center gap-1">
+                    {def.label}
+                    <Input
+                      type="number"
+                      min={0}
+                      max={MAX_DECIMALS}
+                      step={1}
+                      value={outputDecimals(def, output)}
+                      onChange={(e) => setOutputDecimals(def, e.target.value)}
+                      aria-label={`Decimals for ${def.label.toLowerCase()}`}
+                      className="h-9 w-16"
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="filename-template">File names</Label>
+              <Input
+                id="filename-template"
+                value={filenameTemplate}
+                onChange={(e) => setFilenameTemplate(e.target.value)}
+                title={`Placeholders: ${FILENAME_FIELDS.map((f) => `{${f.key}} ${f.description}`).join("; ")}`}
+                invalid={Boolean(templateError)}
+                aria-describedby="filename-template-hint"
+                className="w-72 font-mono text-xs"
+              />
+              <p id="filename-template-hint" className={`text-xs ${templateError ? "text-red-600" : "text-muted-foreground"}`}>
+                {templateError || `e.g. ${filename}`}
+              </p>
+            </div>
+            <label className="flex h-10 items-center gap-2">
+              <input type="checkbox" checked={output.unitKey} onChange={(e) => setOutput((o) => ({ ...o, unitKey: e.target.checked }))} />
+              Include a unit key
+            </label>
+          </div>
           <Textarea
             ref={outputRef}
             value={jsonString}
             readOnly
             className="font-mono text-sm h-52"
           />
+          {schemaErrors.length > 0 && (
+            <ul className="mt-2 rounded-md border border-red-400 bg-red-50 px-4 py-2 text-sm text-red-700 list-disc list-inside space-y-1" aria-label="Schema problems">
+              {schemaErrors.map((err, i) => <li key={i}>{err}</li>)}
+            </ul>
+          )}
+          {criteriaDropped && (
+            <p className="mt-2 text-sm text-amber-700">
+              The v1 output format leaves out the soak, tolerance, stability and sample settings. Switch to v2 to include them.
+            </p>
+          )}
         </CardContent>
         <CardFooter className="flex flex-wrap gap-3 items-center">
-          <Button onClick={handleCopy} disabled={!isPayloadReady}>
+          <Button onClick={handleCopy} disabled={!canExport} aria-keyshortcuts="Alt+Shift+C" title={`Copy (${shortcutKeys("copy")})`}>
             <Copy className="mr-2 h-4 w-4" /> {copied ? "Copied!" : "Copy"}
           </Button>
 
           <a
-            href={isPayloadReady && downloadHref ? downloadHref : undefined}
+            ref={downloadRef}
+            href={canExport && downloadHref ? downloadHref : undefined}
             download={filename}
-            aria-disabled={!isPayloadReady || !downloadHref}
-            className={`${(!isPayloadReady || !downloadHref) ? "pointer-events-none opacity-50" : ""} inline-flex items-center rounded-md border px-3 py-2 text-sm font-medium shadow-sm hover:bg-muted`}
-            title={isPayloadReady ? (hrefType === "blob" ? "Save JSON (blob)" : hrefType === "data" ? "Save JSON (data URI)" : "Save JSON") : "Please complete required fields"}
+            onClick={saveAs("json")}
+            aria-keyshortcuts="Alt+Shift+D"
+            aria-disabled={!canExport || !downloadHref}
+            className={`${(!canExport || !downloadHref) ? "pointer-events-none opacity-50" : ""} inline-flex items-center rounded-md border px-3 py-2 text-sm font-medium shadow-sm hover:bg-muted`}
+            title={canExport ? (hrefType === "blob" ? "Save JSON (blob)" : hrefType === "data" ? "Save JSON (data URI)" : "Save JSON") : !isPayloadReady ? "Please complete required fields" : !matchesSchema ? "The output does not match the payload schema" : "Confirm the chamber envelope warning first"}
           >
             <LinkIcon className="mr-2 h-4 w-4" /> Download .json
           </a>
 
+          <div className="flex items-center gap-2">
+            <a
+              href={isPayloadReady && csvHref ? csvHref : undefined}
+              download={csvFilename}
+              onClick={saveAs("csv")}
+              aria-disabled={!isPayloadReady || !csvHref}
+              className={`${(!isPayloadReady || !csvHref) ? "pointer-events-none opacity-50" : ""} inline-flex items-center rounded-md border px-3 py-2 text-sm font-medium shadow-sm hover:bg-muted`}
+              title={isPayloadReady ? "Save the plan as CSV (per-system selections are not included)" : "Please complete required fields"}
+            >
+              <Sheet className="mr-2 h-4 w-4" /> Download .csv
+            </a>
+            <Select value={csvFormatId} onChange={(e) => setCsvFormatId(e.target.value)} className="w-auto" aria-label="CSV format">
+              {CSV_EXPORT_FORMATS.map((f) => <option key={f.id} value={f.id}>{f.label}</option>)}
+            </Select>
+          </div>
+
+          <div className="flex items-center gap-2">
+            <a
+              href={canExport && exportHref ? exportHref : undefined}
+              download={exportFilename}
+              onClick={saveExport}
+              aria-disabled={!canExport || !exportHref}
+              className={`${(!canExport || !exportHref) ? "pointer-events-none opacity-50" : ""} inline-flex items-center rounded-md border px-3 py-2 text-sm font-medium shadow-sm hover:bg-muted`}
+              title={canExport ? `Save ${exportFilename}` : "Export the JSON first: complete the form and resolve the problems shown"}
+            >
+              <Download className="mr-2 h-4 w-4" /> Download
+            </a>
+            <Select value={exportFormatId} onChange={(e) => setExportFormatId(e.target.value)} className="w-auto" aria-label="Other export format">
+              {EXPORT_FORMATS.map((f) => <option key={f.id} value={f.id}>{f.label}</option>)}
+            </Select>
+            {exportFormat.id === "sheet" && (
+              <a
+                href={canExport && exportHref ? exportHref : undefined}
+                target="_blank"
+                rel="noreferrer"
+                aria-disabled={!canExport || !exportHref}
+                className={`${(!canExport || !exportHref) ? "pointer-events-none opacity-50" : ""} inline-flex items-center rounded-md border px-3 py-2 text-sm font-medium shadow-sm hover:bg-muted`}
+                title="Open the test sheet in a new tab to print it or save it as PDF"
+              >
+                <Printer className="mr-2 h-4 w-4" /> Open to print
+              </a>
+            )}
+          </div>
+
+          <Button variant="outline" onClick={handleCopyShareLink} disabled={!isPayloadReady}>
+            <Share2 className="mr-2 h-4 w-4" /> {shareCopied ? "Link copied!" : "Copy share link"}
+          </Button>
+
           <div className="ml-auto flex items-center gap-2 text-sm">
-            <span className={isPayloadReady ? "text-green-600" : "text-red-600"}>
-              {isPayloadReady ? "Valid – ready to export" : "Please complete required fields"}
-            </span>
+            <span className={canExport ? "text-green-600" : "text-red-600"}>{exportStatus}</span>
           </div>
+          {isPayloadReady && matchesSchema && needsEnvelopeAck && (
+            <label className="flex basis-full items-center gap-2 rounded-md border border-amber-400 bg-amber-50 px-3 py-2 text-sm text-amber-800">
+              <input type="checkbox" checked={envelopeAck} onChange={(e) => setEnvelopeAck(e.target.checked)} />
+              {envelopeReport.errors} point{envelopeReport.errors === 1 ? " is" : "s are"} outside the chamber envelope. Export anyway.
+            </label>
+          )}
+          {shareLink && (
+            <Input
+              readOnly
+              value={shareLink}
+              onFocus={(e) => e.target.select()}
+              className="font-mono text-xs basis-full"
+              aria-label="Share link"
+            />
+          )}
         </CardFooter>
       </Card>
 
-      <Card className="shadow-sm">
-        <CardHeader>
-          <CardTitle className="text-lg">Self-checks</CardTitle>
-        </CardHeader>
-        <CardContent className="flex items-center justify-between gap-3">
-          <div className="text-sm text-muted-foreground">{testSummary}</div>
-          <Button variant="outline" onClick={runSelfChecks}>Run self-checks</Button>
-        </CardContent>
-      </Card>
+      <ControllerCard
+        payload={controllerPayload}
+        canSend={canExport}
+        blockedReason={!isPayloadReady ? "Please complete required fields" : !matchesSchema ? "The output does not match the payload schema" : "Confirm the chamber envelope warning first"}
+        temperatureUnit={output.temperatureUnit}
+        settings={controller}
+        onSettingsChange={setController}
+      />
+
+      <ResultsCard
+        points={points}
+        systems={systems}
+        results={results}
+        onChange={setResults}
+        unit={inputUnit}
+        profileName={activeProfile.name}
+        filenames={(date) => {
+          const context = nameContextAt(date);
+          return {
+            report: renderFilename(`${nameTemplate}_results`, context, "json"),
+            certificate: renderFilename(`${nameTemplate}_certificate`, context, "html"),
+            log: renderFilename(`${nameTemplate}_log`, context, "csv"),
+          };
+        }}
+      />
+
+      <ImportJsonCard onImport={handleImport} />
+
+      <CompareCard current={currentPlan} drafts={drafts} onMerge={applyMerge} />
+
+      <CsvImportCard onApply={addSetpoints} unit={inputUnit} />
+
+      {sweepOpen && <SweepGeneratorDialog unit={inputUnit} onApply={applySweep} onClose={closeSweep} />}
 
       <div className="text-xs text-muted-foreground">
         <p>
-          Format: A list of setpoints. Each setpoint is an array: one Temperature object and
-          zero or more Humidity objects. Keys: {`{system_id, parameter:"Temperature"|"Humidity", nominal:number}`}
+          Format: A list of setpoints. Each setpoint is an array: one {PRIMARY_PARAMETER.name} object followed by
+          zero or more objects for the other parameters, repeated once per selected system. Keys: {`{system_id, parameter:${PARAMETERS.map((p) => `"${p.name}"`).join("|")}, nominal:number}`}.
+          The v2 format adds any of {CRITERIA_PAYLOAD_KEYS.join(", ")} that are set for the parameter.
+          Temperatures are entered in the unit chosen at the top and written in the unit chosen for the output; with the
+          unit key each object also says which unit its nominal (and tolerance) is in.
+          The <a href={`${import.meta.env.BASE_URL}${PAYLOAD_SCHEMA_FILE}`} className="underline" target="_blank" rel="noreferrer">JSON Schema</a> describes
+          both formats; the output is checked against it before export.
         </p>
       </div>
     </div>
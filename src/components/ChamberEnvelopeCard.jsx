@@ -0,0 +1,121 @@
+import React, { useEffect, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Textarea } from "@/components/ui/textarea";
+import { DEFAULT_ENVELOPE, formatPolygon, parsePolygon } from "@/lib/envelope";
+import { PRIMARY_PARAMETER } from "@/lib/parameters";
+import { deltaFromCanonical, deltaToCanonical, fromCanonical, toCanonical, unitFor } from "@/lib/units";
+
+// `temperature` fields are entered in the form's unit: a reading or a difference (margin).
+const FIELDS = [
+  { key: "tMin", label: "Min temperature", temperature: "value" },
+  { key: "tMax", label: "Max temperature", temperature: "value" },
+  { key: "minDewPoint", label: "Min dew point", temperature: "value" },
+  { key: "tMargin", label: "Temperature margin", temperature: "delta" },
+  { key: "rhMargin", label: "Humidity margin", unit: "%RH" },
+  { key: "dewPointMargin", label: "Dew point margin", temperature: "delta" },
+];
+
+const fieldLabel = (f, unit) => `${f.label} (${f.temperature ? unitFor(PRIMARY_PARAMETER, unit) : f.unit})`;
+const fromEnvelope = (f, n, unit) =>
+  f.temperature === "value" ? fromCanonical(n, PRIMARY_PARAMETER, unit) : f.temperature === "delta" ? deltaFromCanonical(n, PRIMARY_PARAMETER, unit) : n;
+const toEnvelope = (f, n, unit) =>
+  f.temperature === "value" ? toCanonical(n, PRIMARY_PARAMETER, unit) : f.temperature === "delta" ? deltaToCanonical(n, PRIMARY_PARAMETER, unit) : n;
+
+function toDraft(envelope, unit) {
+  return {
+    ...Object.fromEntries(FIELDS.map((f) => [f.key, String(fromEnvelope(f, envelope[f.key], unit))])),
+    polygon: formatPolygon(envelope.polygon.map(([t, rh]) => [fromCanonical(t, PRIMARY_PARAMETER, unit), rh])),
+  };
+}
+
+// Edits happen on a string draft; the envelope is only replaced when every field parses.
+function fromDraft(draft, enabled, unit) {
+  const errors = [];
+  const env = { enabled };
+  for (const f of FIELDS) {
+    const n = draft[f.key] === "" ? NaN : Number(draft[f.key]);
+    if (!Number.isFinite(n)) errors.push(`${fieldLabel(f, unit)} must be a number.`);
+    env[f.key] = toEnvelope(f, n, unit);
+  }
+  if (errors.length === 0 && env.tMin >= env.tMax) errors.push("Min temperature must be below max temperature.");
+  for (const k of ["tMargin", "rhMargin", "dewPointMargin"]) {
+    if (env[k] < 0) errors.push(`${fieldLabel(FIELDS.find((f) => f.key === k), unit)} cannot be negative.`);
+  }
+  const { polygon, error } = parsePolygon(draft.polygon);
+  if (error) errors.push(error);
+  env.polygon = polygon?.map(([t, rh]) => [toCanonical(t, PRIMARY_PARAMETER, unit), rh]);
+  return { envelope: errors.length ? null : env, errors };
+}
+
+/**
+ * Chamber capability settings, with temperatures in `unit`; `onChange(envelope)`
+ * receives only complete, valid envelopes (in °C).
+ */
+export default function ChamberEnvelopeCard({ envelope, onChange, report, unit }) {
+  const [draft, setDraft] = useState(() => toDraft(envelope, unit));
+  const [errors, setErrors] = useState([]);
+  // A half-typed draft is dropped when the unit changes, like ConvertedInput's.
+  useEffect(() => {
+    setDraft(toDraft(envelope, unit));
+    setErrors([]);
+  }, [unit]);
+
+  function update(patch) {
+    const next = { ...draft, ...patch };
+    setDraft(next);
+    const { envelope: parsed, errors: errs } = fromDraft(next, envelope.enabled, unit);
+    setErrors(errs);
+    if (parsed) onChange(parsed);
+  }
+
+  function resetDefaults() {
+    setDraft(toDraft(DEFAULT_ENVELOPE, unit));
+    setErrors([]);
+    onChange({ ...DEFAULT_ENVELOPE, enabled: envelope.enabled });
+  }
+
+  return (
+    <Card className="shadow-sm">
+      <CardHeader className="flex flex-row items-center justify-between">
+        <CardTitle className="text-lg">Chamber Envelope</CardTitle>
+        <div className="flex items-center gap-2">
+          <Label htmlFor="envelopeEnabled">Check setpoints</Label>
+          <Switch id="envelopeEnabled" checked={envelope.enabled} onCheckedChange={(enabled) => onChange({ ...envelope, enabled })} />
+        </div>
+      </CardHeader>
+      {envelope.enabled && (
+        <CardContent className="space-y-4">
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+            {FIELDS.map((f) => (
+              <div key={f.key} className="space-y-1">
+                <Label htmlFor={`envelope-${f.key}`}>{fieldLabel(f, unit)}</Label>
+                <Input id={`envelope-${f.key}`} type="number" value={draft[f.key]} onChange={(e) => update({ [f.key]: e.target.value })} />
+              </div>
+            ))}
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="envelope-polygon">Humidity envelope vertices ({unitFor(PRIMARY_PARAMETER, unit)}, %RH – one per line, in order around the shape)</Label>
+            <Textarea id="envelope-polygon" value={draft.polygon} onChange={(e) => update({ polygon: e.target.value })} className="font-mono text-sm h-36" />
+          </div>
+          {errors.length > 0 && (
+            <ul className="rounded-md border border-red-400 bg-red-50 px-4 py-2 text-sm text-red-700 list-disc list-inside space-y-1">
+              {errors.map((err, i) => <li key={i}>{err}</li>)}
+            </ul>
+          )}
+          <div className="flex items-center justify-between gap-3 text-sm">
+            <span className={report.errors ? "text-red-600" : report.warnings ? "text-amber-700" : "text-green-600"}>
+              {report.errors || report.warnings
+                ? `${report.errors} point${report.errors === 1 ? "" : "s"} outside, ${report.warnings} near the limits of the envelope.`
+                : "All setpoints are inside the chamber envelope."}
+            </span>
+            <Button variant="ghost" size="sm" onClick={resetDefaults}>Reset to defaults</Button>
+          </div>
+        </CardContent>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,243 @@
+import React, { useMemo, useRef, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Select } from "@/components/ui/select";
+import { GitMerge } from "lucide-react";
+import { PARAMETERS, PRIMARY_PARAMETER, getParameter } from "@/lib/parameters";
+import { parsePayload } from "@/lib/calibration";
+import { CRITERIA } from "@/lib/criteria";
+import { diffPlans, mergeDifference, summarizeDiff } from "@/lib/diff";
+
+const ROW_STYLES = {
+  same: { left: "", right: "" },
+  modified: { left: "bg-amber-50", right: "bg-amber-50" },
+  removed: { left: "bg-red-50", right: "bg-gray-50" },
+  added: { left: "bg-gray-50", right: "bg-green-50" },
+};
+
+const formatIds = (ids) => (ids.length ? `system${ids.length === 1 ? "" : "s"} ${ids.join(", ")}` : "no system");
+
+function formatCriteria(perParameter) {
+  const parts = [];
+  for (const [name, values] of Object.entries(perParameter)) {
+    const set = CRITERIA.filter((c) => values[c.payloadKey] !== undefined).map((c) => `${c.label.toLowerCase()} ${values[c.payloadKey]}`);
+    if (set.length) parts.push(`${getParameter(name)?.label ?? name}: ${set.join(", ")}`);
+  }
+  return parts.join("; ") || "none";
+}
+
+function describeChange(change) {
+  const def = getParameter(change.parameter);
+  if (change.type === "value-added") return `${def.label} ${change.nominal} ${def.unit} added`;
+  if (change.type === "value-removed") return `${def.label} ${change.nominal} ${def.unit} removed`;
+  if (change.type === "systems") return `${def.label} goes to ${formatIds(change.right)} instead of ${formatIds(change.left)}`;
+  return `Acceptance criteria: ${formatCriteria(change.right)} instead of ${formatCriteria(change.left)}`;
+}
+
+// One side of a row; values named in `marked` ("Humidity=60") are highlighted.
+function SetpointCell({ entry, marked, tone }) {
+  if (!entry) return <span className="text-muted-foreground">—</span>;
+  const left = [...marked];
+  const take = (key) => {
+    const i = left.indexOf(key);
+    if (i >= 0) left.splice(i, 1);
+    return i >= 0;
+  };
+  return (
+    <span>
+      <span className="font-medium">{entry.desc.primary} {PRIMARY_PARAMETER.unit}</span>
+      {PARAMETERS.filter((def) => entry.desc.values[def.name]).map((def) => (
+        <span key={def.name}>
+          {" / "}
+          {entry.desc.values[def.name].map((n, i) => (
+            <span key={i}>
+              {i > 0 && ", "}
+              <span className={take(`${def.name}=${n}`) ? tone : ""}>{n}</span>
+            </span>
+          ))}
+          {` ${def.unit}`}
+        </span>
+      ))}
+    </span>
+  );
+}
+
+/**
+ * Side-by-side comparison of two plans: the builder's current state, a saved
+ * draft or a pasted/opened payload file. While the left side is the current
+ * state each difference can be merged into it; `onMerge({ systems, groups })`.
+ */
+export default function CompareCard({ current, drafts, onMerge }) {
+  const [leftSource, setLeftSource] = useState("current");
+  const [rightSource, setRightSource] = useState("file");
+  const [fileText, setFileText] = useState("");
+  const [showSame, setShowSame] = useState(false);
+  const [readError, setReadError] = useState("");
+  const fileRef = useRef(null);
+
+  const file = useMemo(() => (fileText.trim() ? parsePayload(fileText) : null), [fileText]);
+
+  const sources = [
+    { id: "current", label: "Current builder state" },
+    { id: "file", label: "Pasted or opened file" },
+    ...drafts.map((d) => ({ id: `draft:${d.id}`, label: `Draft: ${d.name}` })),
+  ];
+  const labelOf = (id) => sources.find((s) => s.id === id)?.label ?? "";
+
+  function resolve(id) {
+    if (id === "current") return current;
+    if (id === "file") return file && file.errors.length === 0 ? { systems: file.systems, groups: file.groups } : null;
+    const draft = drafts.find((d) => `draft:${d.id}` === id);
+    return draft ? { systems: draft.plan.systems, groups: draft.plan.groups } : null;
+  }
+
+  const left = useMemo(() => resolve(leftSource), [leftSource, current, file, drafts]);
+  const right = useMemo(() => resolve(rightSource), [rightSource, current, file, drafts]);
+  const rows = useMemo(() => (left && right ? diffPlans(left, right) : null), [left, right]);
+  const summary = rows ? summarizeDiff(rows) : null;
+  const canMerge = leftSource === "current" && rightSource !== "current";
+  const needsFile = leftSource === "file" || rightSource === "file";
+
+  async function readFile(f) {
+    if (!f) return;
+    try {
+      setFileText(await f.text());
+      setReadError("");
+    } catch {
+      setReadError(`Could not read ${f.name}.`);
+    }
+  }
+
+  const merge = (row, change) => onMerge(mergeDifference(current, row, change));
+
+  return (
+    <Card className="shadow-sm">
+      <CardHeader>
+        <CardTitle className="text-lg">Compare</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <div className="space-y-1">
+            <Label htmlFor="compare-left">Left</Label>
+            <Select id="compare-left" value={leftSource} onChange={(e) => setLeftSource(e.target.value)}>
+              {sources.map((s) => <option key={s.id} value={s.id}>{s.label}</option>)}
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="compare-right">Right</Label>
+            <Select id="compare-right" value={rightSource} onChange={(e) => setRightSource(e.target.value)}>
+              {sources.map((s) => <option key={s.id} value={s.id}>{s.label}</option>)}
+            </Select>
+          </div>
+        </div>
+
+        {needsFile && (
+          <div className="space-y-2">
+            <Textarea
+              value={fileText}
+              onChange={(e) => setFileText(e.target.value)}
+              placeholder="Paste the calibration JSON to compare with"
+              className="font-mono text-sm h-24"
+              aria-label="JSON to compare"
+            />
+            <div className="flex gap-2">
+              <Button variant="outline" size="sm" onClick={() => fileRef.current?.click()}>Choose file…</Button>
+              <Button variant="ghost" size="sm" onClick={() => setFileText("")}>Clear</Button>
+              <input
+                ref={fileRef}
+                type="file"
+                accept=".json,application/json"
+                className="hidden"
+                onChange={(e) => { readFile(e.target.files?.[0]); e.target.value = ""; }}
+              />
+            </div>
+            {readError && <p className="text-sm text-red-600">{readError}</p>}
+            {file?.errors.length > 0 && (
+              <ul className="rounded-md border border-red-400 bg-red-50 px-4 py-2 text-sm text-red-700 list-disc list-inside space-y-1">
+                {file.errors.map((err, i) => <li key={i}>{err}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {rows && (
+          <>
+            <div className="flex flex-wrap items-center justify-between gap-3 text-sm">
+              <span>
+                <span className="text-green-700">{summary.added} added</span>
+                {" · "}<span className="text-red-700">{summary.removed} removed</span>
+                {" · "}<span className="text-amber-700">{summary.modified} modified</span>
+                {" · "}{summary.same} unchanged
+              </span>
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={showSame} onChange={(e) => setShowSame(e.target.checked)} />
+                Show unchanged setpoints
+              </label>
+            </div>
+            {summary.added + summary.removed + summary.modified === 0 && (
+              <p className="text-sm text-green-600">Both sides produce the same setpoints.</p>
+            )}
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm border-collapse">
+                <thead>
+                  <tr className="text-left text-xs text-muted-foreground">
+                    <th className="w-1/2 border-b py-1 pr-2 font-medium">{labelOf(leftSource)}</th>
+                    <th className="w-1/2 border-b py-1 pl-2 font-medium">{labelOf(rightSource)}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.filter((row) => showSame || row.status !== "same").map((row) => {
+                    const key = `${row.left?.group.id ?? ""}:${row.right?.group.id ?? ""}`;
+                    const removedValues = row.changes.filter((c) => c.type === "value-removed").map((c) => `${c.parameter}=${c.nominal}`);
+                    const addedValues = row.changes.filter((c) => c.type === "value-added").map((c) => `${c.parameter}=${c.nominal}`);
+                    return (
+                      <React.Fragment key={key}>
+                        <tr data-status={row.status}>
+                          <td className={`border-b px-2 py-1.5 align-top ${ROW_STYLES[row.status].left}`}>
+                            <SetpointCell entry={row.left} marked={removedValues} tone="rounded bg-red-200 px-0.5 line-through" />
+                          </td>
+                          <td className={`border-b px-2 py-1.5 align-top ${ROW_STYLES[row.status].right}`}>
+                            <SetpointCell entry={row.right} marked={addedValues} tone="rounded bg-green-200 px-0.5" />
+                          </td>
+                        </tr>
+                        {(row.status === "added" || row.status === "removed") && canMerge && (
+                          <tr>
+                            <td colSpan={2} className="border-b px-2 py-1 text-right">
+                              <Button variant="outline" size="sm" onClick={() => merge(row)}>
+                                <GitMerge className="mr-2 h-4 w-4" />
+                                {row.status === "added" ? "Merge into current (add setpoint)" : "Merge into current (remove setpoint)"}
+                              </Button>
+                            </td>
+                          </tr>
+                        )}
+                        {row.changes.map((change, i) => (
+                          <tr key={i}>
+                            <td colSpan={2} className="border-b px-2 py-1">
+                              <div className="flex items-center justify-between gap-3">
+                                <span className="text-xs text-amber-800">{describeChange(change)}</span>
+                                {canMerge && (
+                                  <Button variant="outline" size="sm" onClick={() => merge(row, change)}>
+                                    <GitMerge className="mr-2 h-4 w-4" /> Merge into current
+                                  </Button>
+                                )}
+                              </div>
+                            </td>
+                          </tr>
+                        ))}
+                      </React.Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            {!canMerge && (summary.added + summary.removed + summary.modified > 0) && (
+              <p className="text-xs text-muted-foreground">Choose the current builder state on the left to merge differences into it.</p>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
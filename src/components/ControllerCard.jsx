@@ -0,0 +1,194 @@
+import React, { useEffect, useState } from "react";
+import { Card, CardContent, CardFooter, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Send, Square } from "lucide-react";
+import { getParameter } from "@/lib/parameters";
+import { unitFor } from "@/lib/units";
+import {
+  MAX_POLL_FAILURES, cancelRun, checkEndpoint, followRun, isRunFinished, parseAuthHeader, sendPlan,
+} from "@/lib/controller";
+
+const STATE_STYLES = {
+  pending: "text-muted-foreground",
+  ramping: "text-blue-700",
+  soaking: "text-blue-700",
+  measuring: "text-blue-700",
+  done: "text-green-700",
+  failed: "font-medium text-red-700",
+  skipped: "text-muted-foreground",
+};
+
+const RUN_LABELS = { queued: "Queued", running: "Running", completed: "Completed", failed: "Failed", cancelled: "Cancelled" };
+
+// "20 °C · 50 %RH" for the distinct values of a setpoint.
+function describeSetpoint(setpoint, temperatureUnit) {
+  const parts = setpoint.map((obj) => {
+    const def = getParameter(obj.parameter);
+    return `${obj.nominal} ${obj.unit ?? (def ? unitFor(def, temperatureUnit) : "")}`.trim();
+  });
+  return [...new Set(parts)].join(" · ");
+}
+
+/**
+ * Sends the payload to a chamber controller over HTTP and follows the run
+ * until it finishes (protocol in lib/controller.js). `settings.endpoint` is
+ * saved through `onSettingsChange`; the auth header is kept only while the
+ * page is open. `blockedReason` explains why `canSend` is false.
+ */
+export default function ControllerCard({ payload, canSend, blockedReason, temperatureUnit, settings, onSettingsChange }) {
+  const [authHeader, setAuthHeader] = useState("");
+  const [active, setActive] = useState(null); // { endpoint, headers, payload, temperatureUnit, run }
+  const [error, setError] = useState("");
+  const [details, setDetails] = useState([]);
+  const [failures, setFailures] = useState(0);
+  const [busy, setBusy] = useState(false);
+
+  const endpointError = checkEndpoint(settings.endpoint);
+  const auth = parseAuthHeader(authHeader);
+  const running = active !== null && !isRunFinished(active.run);
+  const pollingStopped = failures >= MAX_POLL_FAILURES;
+
+  // Restarts only for a new run or after Resume; followRun retries failed
+  // requests itself until MAX_POLL_FAILURES.
+  const runId = active?.run.id;
+  useEffect(() => {
+    if (!running || pollingStopped) return;
+    return followRun(active.endpoint, active.headers, runId, ({ run, error: err, failures: n }) => {
+      if (run) setActive((a) => (a && a.run.id === run.id ? { ...a, run } : a));
+      setFailures(n);
+      setError(err ?? "");
+    });
+  }, [runId, running, pollingStopped]);
+
+  async function send() {
+    setBusy(true);
+    setError("");
+    setDetails([]);
+    const target = { endpoint: settings.endpoint.trim(), headers: auth.headers, payload, temperatureUnit };
+    const { run, error: err, details: errs = [] } = await sendPlan(target.endpoint, target.headers, payload);
+    setBusy(false);
+    if (!run) {
+      setError(err);
+      setDetails(errs);
+      return;
+    }
+    setActive({ ...target, run });
+    setFailures(0);
+  }
+
+  async function cancel() {
+    setBusy(true);
+    const { run, error: err } = await cancelRun(active.endpoint, active.headers, active.run.id);
+    setBusy(false);
+    if (run) setActive((a) => ({ ...a, run }));
+    else setError(err);
+  }
+
+  const run = active?.run;
+  const done = run ? run.setpoints.filter((s) => s.state === "done").length : 0;
+  const sendTitle = !canSend ? blockedReason : endpointError || auth.error || (running ? "Wait for the current run to finish or cancel it" : "POST the payload to the controller");
+
+  return (
+    <Card className="shadow-sm">
+      <CardHeader>
+        <CardTitle className="text-lg">Send to controller</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid gap-4 md:grid-cols-2">
+          <div className="space-y-1">
+            <Label htmlFor="controller-endpoint">Controller URL</Label>
+            <Input
+              id="controller-endpoint"
+              value={settings.endpoint}
+              onChange={(e) => onSettingsChange({ ...settings, endpoint: e.target.value })}
+              placeholder="http://localhost:8787"
+              spellCheck={false}
+              invalid={Boolean(endpointError)}
+              aria-describedby={endpointError ? "controller-endpoint-error" : undefined}
+            />
+            {endpointError && <p id="controller-endpoint-error" className="text-xs text-red-600">{endpointError}</p>}
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="controller-auth">Auth header (optional)</Label>
+            <Input
+              id="controller-auth"
+              type="password"
+              autoComplete="off"
+              value={authHeader}
+              onChange={(e) => setAuthHeader(e.target.value)}
+              placeholder="Authorization: Bearer <token>"
+              invalid={Boolean(auth.error)}
+              aria-describedby="controller-auth-hint"
+            />
+            <p id="controller-auth-hint" className={`text-xs ${auth.error ? "text-red-600" : "text-muted-foreground"}`}>
+              {auth.error || "Kept only while this page is open."}
+            </p>
+          </div>
+        </div>
+
+        {error && <p className="text-sm text-red-600" role="alert">{error}</p>}
+        {details.length > 0 && (
+          <ul className="rounded-md border border-red-400 bg-red-50 px-4 py-2 text-sm text-red-700 list-disc list-inside space-y-1">
+            {details.map((d, i) => <li key={i}>{d}</li>)}
+          </ul>
+        )}
+        {running && pollingStopped && (
+          <p className="text-sm text-red-600">
+            Status updates stopped after {MAX_POLL_FAILURES} failed requests.{" "}
+            <button type="button" className="underline" onClick={() => setFailures(0)}>Resume</button>
+          </p>
+        )}
+
+        {run && (
+          <div className="space-y-2">
+            <div className="flex flex-wrap items-center gap-3 text-sm" role="status">
+              <span className="font-medium">{RUN_LABELS[run.state]}</span>
+              <span className="text-muted-foreground">
+                {done} of {run.setpoints.length} setpoint{run.setpoints.length === 1 ? "" : "s"} done
+                {run.current_setpoint !== null && ` · now at #${run.current_setpoint}`}
+              </span>
+              <progress className="h-2 flex-1 min-w-24" max={run.setpoints.length} value={done} aria-label="Run progress" />
+            </div>
+            {run.error && <p className="text-sm text-red-600">{run.error}</p>}
+            <table className="w-full text-sm border-collapse">
+              <thead>
+                <tr className="text-left text-xs text-muted-foreground">
+                  <th className="border-b py-1 pr-2 font-medium">#</th>
+                  <th className="border-b py-1 pr-2 font-medium">Setpoint</th>
+                  <th className="border-b py-1 pr-2 font-medium">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {run.setpoints.map((sp, i) => (
+                  <tr key={i} aria-current={run.current_setpoint === i + 1 ? "step" : undefined}>
+                    <td className="border-b py-1 pr-2">{i + 1}</td>
+                    <td className="border-b py-1 pr-2">{active.payload[i] ? describeSetpoint(active.payload[i], active.temperatureUnit) : "–"}</td>
+                    <td className={`border-b py-1 pr-2 ${STATE_STYLES[sp.state]}`}>
+                      {sp.state}
+                      {sp.error && <span className="block text-xs">{sp.error}</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+      <CardFooter className="flex flex-wrap gap-3 items-center">
+        <Button onClick={send} disabled={!canSend || Boolean(endpointError) || Boolean(auth.error) || running || busy} title={sendTitle}>
+          <Send className="mr-2 h-4 w-4" /> Send to controller
+        </Button>
+        {running && (
+          <Button variant="outline" onClick={cancel} disabled={busy}>
+            <Square className="mr-2 h-4 w-4" /> Cancel run
+          </Button>
+        )}
+        <span className="text-xs text-muted-foreground">
+          Try it with the mock controller: <code>npm run controller</code>
+        </span>
+      </CardFooter>
+    </Card>
+  );
+}
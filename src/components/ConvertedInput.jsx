@@ -0,0 +1,41 @@
+import React, { useEffect, useState } from "react";
+import { Input } from "@/components/ui/input";
+import { roundTo, stepFor } from "@/lib/parameters";
+import { clampNumberOrEmpty } from "@/lib/calibration";
+import { deltaFromCanonical, deltaToCanonical, displayParameter, fromCanonical, toCanonical } from "@/lib/units";
+
+/**
+ * Number input for a value stored in the registry unit but entered in `unit`;
+ * `delta` converts a difference (uncertainty, tolerance) that must not be
+ * negative instead of a reading within the parameter's range. While focused it
+ * keeps the typed text, so a conversion round trip never rewrites what is
+ * being typed. `onChange(value)` gets the registry-unit string. With
+ * `clamp={false}` values outside the range are kept as typed (measured
+ * readings, where an out-of-range value is a result, not a typo).
+ */
+export default function ConvertedInput({ def, unit, value, onChange, delta = false, clamp = true, ...props }) {
+  const [draft, setDraft] = useState(null);
+  useEffect(() => setDraft(null), [unit]);
+  const bounds = !clamp ? {} : delta ? { min: 0 } : displayParameter(def, unit);
+  const from = delta ? deltaFromCanonical : fromCanonical;
+  const to = delta ? deltaToCanonical : toCanonical;
+  const display = value === "" ? "" : String(roundTo(from(Number(value), def, unit), def.decimals + 2));
+  function change(text) {
+    const clamped = clampNumberOrEmpty(text, bounds);
+    setDraft(clamped !== "" && Number(clamped) !== Number(text) ? clamped : text);
+    onChange(clamped === "" ? "" : String(to(Number(clamped), def, unit)));
+  }
+  return (
+    <Input
+      type="number"
+      min={bounds.min}
+      max={bounds.max}
+      step={stepFor(def)}
+      value={draft ?? display}
+      onFocus={() => setDraft(display)}
+      onBlur={() => setDraft(null)}
+      onChange={(e) => change(e.target.value)}
+      {...props}
+    />
+  );
+}
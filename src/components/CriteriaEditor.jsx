@@ -0,0 +1,93 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { ChevronDown, ChevronRight } from "lucide-react";
+import { CRITERIA, GROUP_SCOPE, criterionBounds, hasCriteria } from "@/lib/criteria";
+
+// "Soak 30 min · Humidity tolerance ± 2 %RH"
+function summarize(group, parameters) {
+  const parts = [];
+  for (const [scope, entries] of Object.entries(group.criteria || {})) {
+    const def = parameters.find((p) => p.name === scope);
+    if (scope !== GROUP_SCOPE && !def) continue;
+    for (const c of CRITERIA) {
+      const raw = entries[c.key];
+      if (raw === undefined || raw === "") continue;
+      const unit = criterionBounds(c, def?.name ?? null).unit;
+      parts.push(`${def ? `${def.label} ` : ""}${def ? c.label.toLowerCase() : c.label} ${raw}${unit ? ` ${unit}` : ""}`);
+    }
+  }
+  return parts.join(" · ");
+}
+
+/**
+ * Soak, tolerance, stability and sample settings of one group: a row for all
+ * parameters and one per parameter in use, whose blank cells inherit the first
+ * row. `onChange(scope, key, value)`; `problems` are the builder's field problems.
+ */
+export default function CriteriaEditor({ group, parameters, problems, onChange }) {
+  const [open, setOpen] = useState(false);
+  const summary = hasCriteria(group) ? summarize(group, parameters) : "";
+  const shared = group.criteria?.[GROUP_SCOPE] || {};
+  const rows = [{ scope: GROUP_SCOPE, label: "All parameters" }, ...parameters.map((def) => ({ scope: def.name, label: def.label, def }))];
+  const problemKeys = rows.flatMap((r) => CRITERIA.map((c) => `${group.id}:${r.scope}:${c.key}`).filter((key) => problems[key]));
+
+  return (
+    <div className="space-y-2 border-t pt-3">
+      <Button variant="ghost" size="sm" onClick={() => setOpen((o) => !o)} aria-expanded={open} className="px-1">
+        {open ? <ChevronDown className="mr-1 h-4 w-4" /> : <ChevronRight className="mr-1 h-4 w-4" />}
+        Acceptance criteria
+        <span className={`ml-2 font-normal ${problemKeys.length ? "text-red-600" : "text-muted-foreground"}`}>
+          {problemKeys.length ? `${problemKeys.length} problem${problemKeys.length === 1 ? "" : "s"}` : summary || "none"}
+        </span>
+      </Button>
+      {open && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-muted-foreground">
+                <th className="py-1 pr-2 font-medium" />
+                {CRITERIA.map((c) => (
+                  <th key={c.key} className="py-1 pr-2 font-medium">{c.label}{c.unit ? ` (${c.unit})` : ""}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.scope}>
+                  <th scope="row" className="py-1 pr-2 text-left font-normal whitespace-nowrap">{r.label}</th>
+                  {CRITERIA.map((c) => {
+                    if (r.scope === GROUP_SCOPE && !c.groupScope) {
+                      return <td key={c.key} className="py-1 pr-2 text-center text-muted-foreground" title="Set per parameter">—</td>;
+                    }
+                    const b = criterionBounds(c, r.def?.name ?? null);
+                    const inherited = r.scope !== GROUP_SCOPE && c.groupScope ? shared[c.key] : "";
+                    const key = `${group.id}:${r.scope}:${c.key}`;
+                    return (
+                      <td key={c.key} className="py-1 pr-2">
+                        <Input
+                          type="number"
+                          min={b.min}
+                          max={b.max ?? undefined}
+                          step={b.decimals ? 1 / 10 ** b.decimals : 1}
+                          value={group.criteria?.[r.scope]?.[c.key] ?? ""}
+                          onChange={(e) => onChange(r.scope, c.key, e.target.value)}
+                          placeholder={inherited || (b.unit ? b.unit : "")}
+                          aria-label={`${c.label} for ${r.label.toLowerCase()}`}
+                          invalid={Boolean(problems[key])}
+                          aria-describedby={problems[key] ? `problem-${key}` : undefined}
+                          className="h-9 w-28"
+                        />
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {problemKeys.map((key) => <p key={key} id={`problem-${key}`} className="text-xs text-red-600">{problems[key]}</p>)}
+        </div>
+      )}
+    </div>
+  );
+}
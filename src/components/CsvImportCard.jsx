@@ -0,0 +1,137 @@
+import React, { useMemo, useRef, useState } from "react";
+import { Card, CardContent, CardFooter, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Select } from "@/components/ui/select";
+import { Plus, Upload } from "lucide-react";
+import { CSV_DECIMALS, CSV_DELIMITERS, csvToSetpoints } from "@/lib/csv";
+import { formatSetpoint } from "@/lib/profiles";
+
+// "Comma (,)" -> "comma"
+const optionLabel = (list, id) => list.find((o) => o.id === id)?.label.replace(/ \(.*\)$/, "").toLowerCase() ?? id;
+
+/**
+ * Spreadsheet (CSV) import with a live row-by-row report; `onApply(setpoints, mode)` with mode "append" | "replace".
+ * The preview shows temperatures in `unit`.
+ */
+export default function CsvImportCard({ onApply, unit }) {
+  const [text, setText] = useState("");
+  const [delimiter, setDelimiter] = useState("auto");
+  const [decimal, setDecimal] = useState("auto");
+  const [status, setStatus] = useState("");
+  const [readError, setReadError] = useState("");
+  const [dragging, setDragging] = useState(false);
+  const fileRef = useRef(null);
+
+  const result = useMemo(
+    () => (text.trim() ? csvToSetpoints(text, { delimiter, decimal }) : null),
+    [text, delimiter, decimal]
+  );
+  const canApply = result && result.errors.length === 0;
+
+  function edit(next) {
+    setText(next);
+    setStatus("");
+    setReadError("");
+  }
+
+  async function readFile(file) {
+    if (!file) return;
+    try {
+      edit(await file.text());
+    } catch {
+      setReadError(`Could not read ${file.name}.`);
+    }
+  }
+
+  function apply(mode) {
+    onApply(result.setpoints, mode);
+    setStatus(`${mode === "replace" ? "Replaced the groups with" : "Appended"} ${result.setpoints.length} setpoint${result.setpoints.length === 1 ? "" : "s"} from the CSV.`);
+  }
+
+  return (
+    <Card className="shadow-sm">
+      <CardHeader>
+        <CardTitle className="text-lg">Import CSV</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <div className="space-y-1">
+            <Label htmlFor="csv-delimiter">Delimiter</Label>
+            <Select id="csv-delimiter" value={delimiter} onChange={(e) => setDelimiter(e.target.value)}>
+              <option value="auto">Detect automatically</option>
+              {CSV_DELIMITERS.map((d) => <option key={d.id} value={d.id}>{d.label}</option>)}
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="csv-decimal">Decimal separator</Label>
+            <Select id="csv-decimal" value={decimal} onChange={(e) => setDecimal(e.target.value)}>
+              <option value="auto">Detect automatically</option>
+              {CSV_DECIMALS.map((d) => <option key={d.id} value={d.id}>{d.label}</option>)}
+            </Select>
+          </div>
+        </div>
+        <Textarea
+          value={text}
+          onChange={(e) => edit(e.target.value)}
+          onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={(e) => {
+            e.preventDefault();
+            setDragging(false);
+            readFile(e.dataTransfer.files?.[0]);
+          }}
+          placeholder={"Paste from a spreadsheet or drop a .csv file, e.g.\nTemperature;Humidity\n20;30\n20;60\n40;33,5"}
+          className={`font-mono text-sm h-32 ${dragging ? "ring-2 ring-black/30" : ""}`}
+        />
+        {readError && (
+          <div className="rounded-md border border-red-400 bg-red-50 px-4 py-2 text-sm text-red-700">{readError}</div>
+        )}
+        {result && (
+          <p className="text-sm text-muted-foreground">
+            Read {result.rows} row{result.rows === 1 ? "" : "s"} as {optionLabel(CSV_DELIMITERS, result.delimiter)}-separated, {optionLabel(CSV_DECIMALS, result.decimal)}, {result.layout === "wide" ? "one row per setpoint" : "one row per value"}.
+          </p>
+        )}
+        {result?.errors.length > 0 && (
+          <ul className="rounded-md border border-red-400 bg-red-50 px-4 py-2 text-sm text-red-700 list-disc list-inside space-y-1">
+            {result.errors.map((err, i) => <li key={i}>{err}</li>)}
+          </ul>
+        )}
+        {result?.notes.length > 0 && (
+          <ul className="rounded-md border border-amber-400 bg-amber-50 px-4 py-2 text-sm text-amber-800 list-disc list-inside space-y-1">
+            {result.notes.map((note, i) => <li key={i}>{note}</li>)}
+          </ul>
+        )}
+        {canApply && (
+          <div className="rounded-md border bg-gray-50 px-4 py-2 text-sm space-y-1">
+            <p className="font-medium">{result.setpoints.length} setpoint{result.setpoints.length === 1 ? "" : "s"}</p>
+            <p className="text-muted-foreground">{result.setpoints.map((sp) => formatSetpoint(sp, unit)).join(" → ")}</p>
+          </div>
+        )}
+        {status && <p className="text-sm text-green-600">{status}</p>}
+      </CardContent>
+      <CardFooter className="flex flex-wrap gap-3 items-center">
+        <Button onClick={() => apply("replace")} disabled={!canApply}>
+          <Upload className="mr-2 h-4 w-4" /> Replace groups
+        </Button>
+        <Button variant="outline" onClick={() => apply("append")} disabled={!canApply}>
+          <Plus className="mr-2 h-4 w-4" /> Append groups
+        </Button>
+        <Button variant="outline" onClick={() => fileRef.current?.click()}>
+          Choose file…
+        </Button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+          className="hidden"
+          onChange={(e) => { readFile(e.target.files?.[0]); e.target.value = ""; }}
+        />
+        <Button variant="ghost" onClick={() => edit("")}>
+          Clear
+        </Button>
+      </CardFooter>
+    </Card>
+  );
+}
@@ -0,0 +1,103 @@
+import React, { useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Copy, FolderOpen, Pencil, Save, Trash2 } from "lucide-react";
+
+function formatTimestamp(iso) {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "–" : d.toLocaleString();
+}
+
+/**
+ * Named setpoint plans kept in the browser. The parent owns the draft list;
+ * `currentDraftId` marks the draft that "Save" overwrites.
+ */
+export default function DraftsPanel({ drafts, currentDraftId, onSave, onSaveAs, onOpen, onRename, onDuplicate, onDelete }) {
+  const [newName, setNewName] = useState("");
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState("");
+
+  const current = drafts.find((d) => d.id === currentDraftId) || null;
+  const sorted = [...drafts].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+  function submitNew() {
+    if (newName.trim() === "") return;
+    onSaveAs(newName.trim());
+    setNewName("");
+  }
+
+  function submitRename(id) {
+    if (renameValue.trim() !== "") onRename(id, renameValue.trim());
+    setRenamingId(null);
+  }
+
+  return (
+    <Card className="shadow-sm">
+      <CardHeader className="flex flex-row items-center justify-between">
+        <CardTitle className="text-lg">Drafts</CardTitle>
+        {current && (
+          <Button variant="outline" size="sm" onClick={onSave}>
+            <Save className="mr-2 h-4 w-4" /> Save to “{current.name}”
+          </Button>
+        )}
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="flex gap-2">
+          <Input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => { if (e.key === "Enter") submitNew(); }}
+            placeholder="Draft name, e.g., Chamber 2 – full characterization"
+            aria-label="New draft name"
+          />
+          <Button onClick={submitNew} disabled={newName.trim() === ""}>
+            <Save className="mr-2 h-4 w-4" /> Save as draft
+          </Button>
+        </div>
+
+        {sorted.length === 0 && (
+          <p className="text-sm text-muted-foreground">No drafts yet. Your current work is autosaved in this browser.</p>
+        )}
+        <ul className="divide-y">
+          {sorted.map((d) => (
+            <li key={d.id} className="flex flex-wrap items-center gap-2 py-2">
+              <div className="min-w-0 flex-1">
+                {renamingId === d.id ? (
+                  <Input
+                    autoFocus
+                    value={renameValue}
+                    onChange={(e) => setRenameValue(e.target.value)}
+                    onBlur={() => submitRename(d.id)}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") submitRename(d.id);
+                      if (e.key === "Escape") setRenamingId(null);
+                    }}
+                    aria-label="Draft name"
+                  />
+                ) : (
+                  <p className={`truncate text-sm font-medium ${d.id === currentDraftId ? "underline" : ""}`}>{d.name}</p>
+                )}
+                <p className="text-xs text-muted-foreground">
+                  {d.plan.groups.length} group{d.plan.groups.length === 1 ? "" : "s"} · modified {formatTimestamp(d.updatedAt)}
+                </p>
+              </div>
+              <Button variant="outline" size="sm" onClick={() => onOpen(d.id)}>
+                <FolderOpen className="mr-2 h-4 w-4" /> Open
+              </Button>
+              <Button variant="ghost" size="icon" onClick={() => { setRenamingId(d.id); setRenameValue(d.name); }} aria-label={`Rename ${d.name}`}>
+                <Pencil className="h-4 w-4" />
+              </Button>
+              <Button variant="ghost" size="icon" onClick={() => onDuplicate(d.id)} aria-label={`Duplicate ${d.name}`}>
+                <Copy className="h-4 w-4" />
+              </Button>
+              <Button variant="ghost" size="icon" onClick={() => onDelete(d.id)} aria-label={`Delete ${d.name}`}>
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </li>
+          ))}
+        </ul>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,78 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { ArrowDownWideNarrow, ArrowUpNarrowWide, Redo2, Trash2, Undo2 } from "lucide-react";
+import { PRIMARY_PARAMETER } from "@/lib/parameters";
+
+/**
+ * Selection, bulk operations and undo/redo above the group list.
+ * `onShift(delta)` takes the amount in `unit` and returns an error message or null.
+ */
+export default function GroupToolbar({ total, selectedCount, onSelectAll, unit = PRIMARY_PARAMETER.unit, onShift, onSort, onDelete, canUndo, canRedo, onUndo, onRedo }) {
+  const [delta, setDelta] = useState("");
+  const [error, setError] = useState("");
+  const selectAllRef = useRef(null);
+  const none = selectedCount === 0;
+
+  useEffect(() => {
+    if (selectAllRef.current) selectAllRef.current.indeterminate = selectedCount > 0 && selectedCount < total;
+  }, [selectedCount, total]);
+
+  function shift() {
+    const err = onShift(delta === "" ? NaN : Number(delta));
+    setError(err || "");
+    if (!err) setDelta("");
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-3 rounded-md border bg-white px-3 py-2 text-sm shadow-sm">
+        <label className="flex items-center gap-2">
+          <input
+            ref={selectAllRef}
+            type="checkbox"
+            checked={total > 0 && selectedCount === total}
+            onChange={(e) => onSelectAll(e.target.checked)}
+            disabled={total === 0}
+          />
+          {none ? "Select all" : `${selectedCount} of ${total} selected`}
+        </label>
+
+        <div className="flex items-center gap-2">
+          <Input
+            type="number"
+            value={delta}
+            onChange={(e) => { setDelta(e.target.value); setError(""); }}
+            onKeyDown={(e) => { if (e.key === "Enter" && !none) shift(); }}
+            placeholder={`± ${unit}`}
+            aria-label={`Shift selected ${PRIMARY_PARAMETER.label.toLowerCase()}s by`}
+            className="h-9 w-24"
+          />
+          <Button variant="outline" size="sm" onClick={shift} disabled={none || delta === ""}>
+            Shift {PRIMARY_PARAMETER.label.toLowerCase()}
+          </Button>
+        </div>
+
+        <Button variant="outline" size="sm" onClick={() => onSort(1)} disabled={selectedCount < 2} title={`Sort the selected groups by ${PRIMARY_PARAMETER.label.toLowerCase()}`}>
+          <ArrowUpNarrowWide className="mr-2 h-4 w-4" /> Sort ascending
+        </Button>
+        <Button variant="outline" size="sm" onClick={() => onSort(-1)} disabled={selectedCount < 2} title={`Sort the selected groups by ${PRIMARY_PARAMETER.label.toLowerCase()}`}>
+          <ArrowDownWideNarrow className="mr-2 h-4 w-4" /> Sort descending
+        </Button>
+        <Button variant="outline" size="sm" onClick={onDelete} disabled={none}>
+          <Trash2 className="mr-2 h-4 w-4" /> Delete selected
+        </Button>
+
+        <div className="ml-auto flex items-center gap-1">
+          <Button variant="ghost" size="icon" onClick={onUndo} disabled={!canUndo} aria-label="Undo" title="Undo (Ctrl+Z)">
+            <Undo2 className="h-4 w-4" />
+          </Button>
+          <Button variant="ghost" size="icon" onClick={onRedo} disabled={!canRedo} aria-label="Redo" title="Redo (Ctrl+Shift+Z)">
+            <Redo2 className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import React, { useRef, useState } from "react";
+import { Card, CardContent, CardFooter, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import { Upload } from "lucide-react";
+
+/** Paste or drop an existing calibration JSON. `onImport(text)` returns a list of errors (empty on success). */
+export default function ImportJsonCard({ onImport }) {
+  const [text, setText] = useState("");
+  const [errors, setErrors] = useState([]);
+  const [status, setStatus] = useState("");
+  const [dragging, setDragging] = useState(false);
+  const fileRef = useRef(null);
+
+  function runImport(source) {
+    const errs = onImport(source);
+    setErrors(errs);
+    setStatus(errs.length ? "" : "Imported – the builder now reflects this file.");
+  }
+
+  async function readFile(file) {
+    if (!file) return;
+    try {
+      const content = await file.text();
+      setText(content);
+      runImport(content);
+    } catch {
+      setStatus("");
+      setErrors([`Could not read ${file.name}.`]);
+    }
+  }
+
+  return (
+    <Card className="shadow-sm">
+      <CardHeader>
+        <CardTitle className="text-lg">Import JSON</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <Textarea
+          value={text}
+          onChange={(e) => { setText(e.target.value); setStatus(""); }}
+          onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={(e) => {
+            e.preventDefault();
+            setDragging(false);
+            readFile(e.dataTransfer.files?.[0]);
+          }}
+          placeholder='Paste calibration JSON here or drop a .json file, e.g. [[{"system_id":1,"parameter":"Temperature","nominal":20}]]'
+          className={`font-mono text-sm h-32 ${dragging ? "ring-2 ring-black/30" : ""}`}
+        />
+        {errors.length > 0 && (
+          <ul className="rounded-md border border-red-400 bg-red-50 px-4 py-2 text-sm text-red-700 list-disc list-inside space-y-1">
+            {errors.map((err, i) => <li key={i}>{err}</li>)}
+          </ul>
+        )}
+        {status && <p className="text-sm text-green-600">{status}</p>}
+      </CardContent>
+      <CardFooter className="flex flex-wrap gap-3 items-center">
+        <Button onClick={() => runImport(text)} disabled={text.trim() === ""}>
+          <Upload className="mr-2 h-4 w-4" /> Import
+        </Button>
+        <Button variant="outline" onClick={() => fileRef.current?.click()}>
+          Choose file…
+        </Button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={(e) => { readFile(e.target.files?.[0]); e.target.value = ""; }}
+        />
+        <Button variant="ghost" onClick={() => { setText(""); setErrors([]); setStatus(""); }}>
+          Clear
+        </Button>
+      </CardFooter>
+    </Card>
+  );
+}
@@ -0,0 +1,139 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Card, CardContent, CardFooter, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select } from "@/components/ui/select";
+import { Download, RefreshCw, Save, Trash2, Upload } from "lucide-react";
+import { formatRanges, formatSetpoint, parseProfileFile, profileFilename, serializeProfile } from "@/lib/profiles";
+
+/**
+ * Device profile picker. `onSave(name, description)` stores the current groups
+ * as a user profile and returns the problems that prevented it; `onImport(profile)`
+ * adds a validated profile from a file.
+ */
+export default function ProfileLibraryCard({ profiles, activeProfile, onSelect, onLoad, onSave, onDelete, onImport }) {
+  const [saving, setSaving] = useState(false);
+  const [name, setName] = useState("");
+  const [description, setDescription] = useState("");
+  const [errors, setErrors] = useState([]);
+  const [exportHref, setExportHref] = useState("");
+  const fileRef = useRef(null);
+
+  useEffect(() => {
+    if (!activeProfile) return () => {};
+    const url = URL.createObjectURL(new Blob([serializeProfile(activeProfile)], { type: "application/json" }));
+    setExportHref(url);
+    return () => URL.revokeObjectURL(url);
+  }, [activeProfile]);
+
+  async function importFile(file) {
+    if (!file) return;
+    try {
+      const { profile, errors: errs } = parseProfileFile(await file.text());
+      setErrors(errs);
+      if (profile) onImport(profile);
+    } catch {
+      setErrors([`Could not read ${file.name}.`]);
+    }
+  }
+
+  function submitSave() {
+    if (name.trim() === "") return;
+    const errs = onSave(name.trim(), description.trim());
+    setErrors(errs);
+    if (errs.length) return;
+    setSaving(false);
+    setName("");
+    setDescription("");
+  }
+
+  const builtIns = profiles.filter((p) => p.builtIn);
+  const userProfiles = profiles.filter((p) => !p.builtIn);
+
+  return (
+    <Card className="shadow-sm">
+      <CardHeader>
+        <CardTitle className="text-lg">Device Profile</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="space-y-1">
+          <Label htmlFor="profile">Active profile</Label>
+          <Select
+            id="profile"
+            value={activeProfile?.id ?? ""}
+            onChange={(e) => { setErrors([]); onSelect(e.target.value); }}
+          >
+            <optgroup label="Built-in">
+              {builtIns.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </optgroup>
+            {userProfiles.length > 0 && (
+              <optgroup label="My profiles">
+                {userProfiles.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+              </optgroup>
+            )}
+          </Select>
+        </div>
+        {activeProfile && (
+          <div className="text-sm space-y-1">
+            {activeProfile.description && <p>{activeProfile.description}</p>}
+            <p className="text-muted-foreground">Allowed: {formatRanges(activeProfile)}</p>
+            <p className="text-muted-foreground">Setpoints: {activeProfile.setpoints.map(formatSetpoint).join(" → ")}</p>
+          </div>
+        )}
+        {saving && (
+          <div className="grid grid-cols-1 sm:grid-cols-[1fr_2fr_auto] gap-3 items-end">
+            <div className="space-y-1">
+              <Label htmlFor="profileName">Name</Label>
+              <Input id="profileName" value={name} onChange={(e) => setName(e.target.value)} placeholder="e.g., LHT52 bench check" />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="profileDescription">Description</Label>
+              <Input id="profileDescription" value={description} onChange={(e) => setDescription(e.target.value)} placeholder="Optional" />
+            </div>
+            <div className="flex gap-2">
+              <Button onClick={submitSave} disabled={name.trim() === ""}>Save</Button>
+              <Button variant="ghost" onClick={() => setSaving(false)}>Cancel</Button>
+            </div>
+          </div>
+        )}
+        {errors.length > 0 && (
+          <ul className="rounded-md border border-red-400 bg-red-50 px-4 py-2 text-sm text-red-700 list-disc list-inside space-y-1">
+            {errors.map((err, i) => <li key={i}>{err}</li>)}
+          </ul>
+        )}
+      </CardContent>
+      <CardFooter className="flex flex-wrap gap-3 items-center">
+        <Button variant="outline" onClick={onLoad} disabled={!activeProfile}>
+          <RefreshCw className="mr-2 h-4 w-4" /> Load profile setpoints
+        </Button>
+        <Button variant="outline" onClick={() => setSaving(true)} disabled={saving}>
+          <Save className="mr-2 h-4 w-4" /> Save current as profile
+        </Button>
+        <a
+          href={exportHref || undefined}
+          download={activeProfile ? profileFilename(activeProfile) : undefined}
+          aria-disabled={!exportHref}
+          className={`${!exportHref ? "pointer-events-none opacity-50" : ""} inline-flex items-center rounded-md border px-3 py-2 text-sm font-medium shadow-sm hover:bg-muted`}
+        >
+          <Download className="mr-2 h-4 w-4" /> Export
+        </a>
+        <Button variant="outline" onClick={() => fileRef.current?.click()}>
+          <Upload className="mr-2 h-4 w-4" /> Import
+        </Button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={(e) => { importFile(e.target.files?.[0]); e.target.value = ""; }}
+        />
+        {activeProfile && !activeProfile.builtIn && (
+          <Button variant="ghost" onClick={() => onDelete(activeProfile.id)}>
+            <Trash2 className="mr-2 h-4 w-4" /> Delete
+          </Button>
+        )}
+      </CardFooter>
+    </Card>
+  );
+}
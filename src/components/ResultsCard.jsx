@@ -0,0 +1,280 @@
+import React, { useMemo, useRef, useState } from "react";
+import { Card, CardContent, CardFooter, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { ClipboardCheck, FileJson, Printer, Sheet, Upload } from "lucide-react";
+import ConvertedInput from "@/components/ConvertedInput";
+import useDownloadHref from "@/hooks/useDownloadHref";
+import { getParameter, roundTo } from "@/lib/parameters";
+import { unitFor } from "@/lib/units";
+import { evaluateResults, pointParameters, readingsFromCsv, readingsTemplateCsv, resultsReport } from "@/lib/results";
+import { certificateHtml } from "@/lib/sheet";
+
+const linkClass = (enabled) =>
+  `${enabled ? "" : "pointer-events-none opacity-50"} inline-flex items-center rounded-md border px-3 py-2 text-sm font-medium shadow-sm hover:bg-muted`;
+
+const VERDICT_STYLES = {
+  pass: "border-green-500 bg-green-50 text-green-800",
+  fail: "border-red-400 bg-red-50 text-red-700",
+  incomplete: "border-amber-400 bg-amber-50 text-amber-800",
+};
+
+const fmt = (n, def, extra = 2) => (n === null || Number.isNaN(n) ? "–" : String(roundTo(n, def.decimals + extra)));
+
+/**
+ * Results mode: reference and DUT readings for every point of the plan (typed
+ * in or read from a CSV log), evaluated against the tolerances, with the
+ * report JSON and a printable certificate. Readings are entered and reported
+ * in `unit`; `onChange(results)` gets the new results object (see results.js).
+ * `filenames(date)` names the downloads { report, certificate, log } for a
+ * save at `date`.
+ */
+export default function ResultsCard({ points, systems, results, onChange, unit, profileName, filenames }) {
+  const [logText, setLogText] = useState("");
+  const [status, setStatus] = useState("");
+  const [readError, setReadError] = useState("");
+  const fileRef = useRef(null);
+
+  const evaluation = useMemo(() => evaluateResults(points, results, unit), [points, results, unit]);
+  const { rows, fits, summary } = evaluation;
+  const parameters = pointParameters(points);
+  const log = useMemo(() => (logText.trim() ? readingsFromCsv(logText, points, { unitId: unit }) : null), [logText, points, unit]);
+  const hasReadings = summary.measured > 0;
+
+  const reportJson = useMemo(
+    () => (hasReadings ? JSON.stringify(resultsReport(evaluation, { systems, unitId: unit }), null, 2) : ""),
+    [hasReadings, evaluation, systems, unit]
+  );
+  const certificate = useMemo(
+    () => (hasReadings ? certificateHtml(JSON.parse(reportJson), { profile: profileName }) : ""),
+    [hasReadings, reportJson, profileName]
+  );
+  const template = useMemo(() => readingsTemplateCsv(points, unit), [points, unit]);
+  const { href: reportHref } = useDownloadHref(reportJson, "application/json", hasReadings);
+  const { href: certificateHref } = useDownloadHref(certificate, "text/html", hasReadings);
+  const { href: templateHref } = useDownloadHref(template, "text/csv", points.length > 0);
+
+  const names = filenames(new Date());
+  const saveAs = (kind) => (e) => {
+    e.currentTarget.download = filenames(new Date())[kind];
+  };
+
+  const systemName = (id) => systems.find((s) => Number(s.systemId) === id)?.name || `System ${id}`;
+
+  function setReading(key, field, value) {
+    const entry = { reference: "", dut: "", ...results.readings[key], [field]: value };
+    const readings = { ...results.readings, [key]: entry };
+    if (entry.reference === "" && entry.dut === "") delete readings[key];
+    onChange({ ...results, readings });
+  }
+
+  function setUncertainty(name, value) {
+    const uncertainty = { ...results.uncertainty, [name]: value };
+    if (value === "") delete uncertainty[name];
+    onChange({ ...results, uncertainty });
+  }
+
+  function applyLog() {
+    const readings = { ...results.readings };
+    for (const [key, entry] of Object.entries(log.readings)) readings[key] = { reference: "", dut: "", ...readings[key], ...entry };
+    onChange({ ...results, readings });
+    const n = Object.keys(log.readings).length;
+    setStatus(`Read ${n} point${n === 1 ? "" : "s"} from the log.`);
+    setLogText("");
+  }
+
+  async function readFile(file) {
+    if (!file) return;
+    try {
+      setLogText(await file.text());
+      setReadError("");
+      setStatus("");
+    } catch {
+      setReadError(`Could not read ${file.name}.`);
+    }
+  }
+
+  return (
+    <Card className="shadow-sm">
+      <CardHeader>
+        <CardTitle className="text-lg">Results</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {points.length === 0 ? (
+          <p className="text-sm text-muted-foreground">Complete at least one setpoint to record calibration results against it.</p>
+        ) : (
+          <>
+            <p className="text-sm text-muted-foreground">
+              Enter the reference and DUT readings after running the plan, or import them from a CSV log. Errors are DUT − reference;
+              the correction is the amount to add to a DUT reading.
+            </p>
+
+            <div className="flex flex-wrap items-end gap-4 text-sm">
+              {parameters.map((def) => (
+                <label key={def.name} className="space-y-1">
+                  <span className="block text-xs text-muted-foreground">{def.label} reference U (k=2, {unitFor(def, unit)})</span>
+                  <ConvertedInput
+                    def={def}
+                    unit={unit}
+                    delta
+                    value={results.uncertainty[def.name] ?? ""}
+                    onChange={(v) => setUncertainty(def.name, v)}
+                    aria-label={`Reference uncertainty for ${def.label.toLowerCase()}`}
+                    className="h-9 w-28"
+                  />
+                </label>
+              ))}
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm border-collapse">
+                <thead>
+                  <tr className="text-left text-xs text-muted-foreground">
+                    {["#", "System", "Parameter", "Nominal", "Reference", "DUT", "Error", "Tolerance ±", "Correction", "Result"].map((h) => (
+                      <th key={h} className="border-b py-1 pr-2 font-medium">{h}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row) => {
+                    const def = getParameter(row.parameter);
+                    const label = `setpoint ${row.setpoint}, ${def.label.toLowerCase()} ${fmt(row.nominal, def, 1)} ${row.unit}, ${systemName(row.systemId)}`;
+                    return (
+                      <tr key={row.key} data-result={row.pass === null ? "none" : row.pass ? "pass" : "fail"}>
+                        <td className="border-b py-1 pr-2">{row.setpoint}</td>
+                        <td className="border-b py-1 pr-2 whitespace-nowrap">{systemName(row.systemId)}</td>
+                        <td className="border-b py-1 pr-2">{def.label}</td>
+                        <td className="border-b py-1 pr-2 whitespace-nowrap">{fmt(row.nominal, def, 1)} {row.unit}</td>
+                        {["reference", "dut"].map((field) => (
+                          <td key={field} className="border-b py-1 pr-2">
+                            <ConvertedInput
+                              def={def}
+                              unit={unit}
+                              clamp={false}
+                              value={results.readings[row.key]?.[field] ?? ""}
+                              onChange={(v) => setReading(row.key, field, v)}
+                              aria-label={`${field === "dut" ? "DUT" : "Reference"} reading for ${label}`}
+                              className="h-8 w-24"
+                            />
+                          </td>
+                        ))}
+                        <td className="border-b py-1 pr-2">{fmt(row.error, def)}</td>
+                        <td className="border-b py-1 pr-2">{row.tolerance === null ? "–" : fmt(row.tolerance, def)}</td>
+                        <td className="border-b py-1 pr-2">{fmt(row.correction, def)}</td>
+                        <td className="border-b py-1 pr-2">
+                          {row.pass === null ? <span className="text-muted-foreground">–</span> : row.pass
+                            ? <span className="text-green-700">Pass</span>
+                            : <span className="font-medium text-red-700">Fail</span>}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <div className={`rounded-md border px-4 py-2 text-sm ${VERDICT_STYLES[summary.verdict]}`} role="status">
+              {summary.verdict === "pass" ? "Pass" : summary.verdict === "fail" ? "Fail" : "Incomplete"}
+              {` – ${summary.measured} of ${summary.points} point${summary.points === 1 ? "" : "s"} measured, ${summary.passed} passed, ${summary.failed} failed`}
+              {summary.unchecked > 0 && `, ${summary.unchecked} without a tolerance`}.
+            </div>
+
+            {fits.length > 0 && (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm border-collapse" aria-label="Linear fit per system and parameter">
+                  <thead>
+                    <tr className="text-left text-xs text-muted-foreground">
+                      {["System", "Parameter", "Points", "Reference =", "r²", "U (k=2)"].map((h) => (
+                        <th key={h} className="border-b py-1 pr-2 font-medium">{h}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {fits.map((f) => {
+                      const def = getParameter(f.parameter);
+                      return (
+                        <tr key={`${f.systemId}:${f.parameter}`}>
+                          <td className="border-b py-1 pr-2">{systemName(f.systemId)}</td>
+                          <td className="border-b py-1 pr-2">{def.label}</td>
+                          <td className="border-b py-1 pr-2">{f.n}</td>
+                          <td className="border-b py-1 pr-2 font-mono text-xs">
+                            {roundTo(f.slope, 6)} × DUT {f.intercept < 0 ? "−" : "+"} {fmt(Math.abs(f.intercept), def, 3)} {f.unit}
+                          </td>
+                          <td className="border-b py-1 pr-2">{roundTo(f.r2, 6)}</td>
+                          <td className="border-b py-1 pr-2">{fmt(f.expandedUncertainty, def)} {f.unit}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+                {fits.some((f) => f.residualSd === null) && (
+                  <p className="mt-1 text-xs text-muted-foreground">With two points a line fits exactly, so U covers the reference uncertainty only.</p>
+                )}
+              </div>
+            )}
+
+            <div className="space-y-2 border-t pt-3">
+              <Label htmlFor="results-log">Import a CSV log</Label>
+              <Textarea
+                id="results-log"
+                value={logText}
+                onChange={(e) => { setLogText(e.target.value); setStatus(""); }}
+                placeholder={"setpoint,system_id,parameter,nominal,reference,dut\n1,1,Temperature,20,20.02,20.3"}
+                className="font-mono text-sm h-24"
+              />
+              <div className="flex flex-wrap items-center gap-2">
+                <Button variant="outline" size="sm" onClick={() => fileRef.current?.click()}>
+                  <Upload className="mr-2 h-4 w-4" /> Choose file…
+                </Button>
+                <input
+                  ref={fileRef}
+                  type="file"
+                  accept=".csv,.txt,text/csv"
+                  className="hidden"
+                  onChange={(e) => { readFile(e.target.files?.[0]); e.target.value = ""; }}
+                />
+                <Button size="sm" onClick={applyLog} disabled={!log || log.errors.length > 0}>
+                  <ClipboardCheck className="mr-2 h-4 w-4" /> Apply readings
+                </Button>
+                <a href={templateHref || undefined} download={names.log} onClick={saveAs("log")} className={linkClass(Boolean(templateHref))} title="A CSV with one row per point and blank reading columns">
+                  <Sheet className="mr-2 h-4 w-4" /> Log template .csv
+                </a>
+              </div>
+              {readError && <p className="text-sm text-red-600">{readError}</p>}
+              {status && <p className="text-sm text-green-600">{status}</p>}
+              {log?.errors.length > 0 && (
+                <ul className="rounded-md border border-red-400 bg-red-50 px-4 py-2 text-sm text-red-700 list-disc list-inside space-y-1">
+                  {log.errors.map((err, i) => <li key={i}>{err}</li>)}
+                </ul>
+              )}
+            </div>
+          </>
+        )}
+      </CardContent>
+      {points.length > 0 && (
+        <CardFooter className="flex flex-wrap gap-3 items-center">
+          <a href={hasReadings && reportHref ? reportHref : undefined} download={names.report} onClick={saveAs("report")} aria-disabled={!hasReadings} className={linkClass(hasReadings && reportHref)}>
+            <FileJson className="mr-2 h-4 w-4" /> Download report .json
+          </a>
+          <a href={hasReadings && certificateHref ? certificateHref : undefined} download={names.certificate} onClick={saveAs("certificate")} aria-disabled={!hasReadings} className={linkClass(hasReadings && certificateHref)}>
+            <Printer className="mr-2 h-4 w-4" /> Download certificate .html
+          </a>
+          <a
+            href={hasReadings && certificateHref ? certificateHref : undefined}
+            target="_blank"
+            rel="noreferrer"
+            aria-disabled={!hasReadings}
+            className={linkClass(hasReadings && certificateHref)}
+            title="Open the certificate in a new tab to print it or save it as PDF"
+          >
+            Open certificate to print
+          </a>
+          <Button variant="ghost" onClick={() => onChange({ ...results, readings: {} })} disabled={Object.keys(results.readings).length === 0}>
+            Clear readings
+          </Button>
+        </CardFooter>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,160 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { PRIMARY_PARAMETER, roundTo } from "@/lib/parameters";
+import { checkRunSetting, computeTimeline, formatDuration, runSettingFields } from "@/lib/timeline";
+import { fromCanonical, unitFor } from "@/lib/units";
+
+const WIDTH = 720;
+const HEIGHT = 220;
+const PAD = { left: 44, right: 44, top: 12, bottom: 28 };
+const PLOT_W = WIDTH - PAD.left - PAD.right;
+const PLOT_H = HEIGHT - PAD.top - PAD.bottom;
+
+// Rounded axis limits with a little headroom.
+function axisRange(values, fallback) {
+  if (values.length === 0) return fallback;
+  let lo = Math.min(...values);
+  let hi = Math.max(...values);
+  if (hi - lo < 10) { lo -= 5; hi += 5; }
+  return [Math.floor(lo / 5) * 5, Math.ceil(hi / 5) * 5];
+}
+
+// Hour ticks spaced so that at most ~8 fit.
+function timeTicks(total) {
+  const hours = total / 60;
+  const step = [0.25, 0.5, 1, 2, 3, 6, 12, 24, 48].find((s) => hours / s <= 8) ?? Math.ceil(hours / 8);
+  const ticks = [];
+  for (let h = 0; h <= hours + 1e-9; h += step) ticks.push(h * 60);
+  return ticks;
+}
+
+// SVG path through { t, y } points; null y values break the line.
+function linePath(points, x, y) {
+  let d = "";
+  let pen = false;
+  for (const p of points) {
+    if (p.y === null) { pen = false; continue; }
+    d += `${pen ? "L" : "M"}${x(p.t).toFixed(1)},${y(p.y).toFixed(1)}`;
+    pen = true;
+  }
+  return d;
+}
+
+/**
+ * Estimated run time and a temperature/humidity profile of the plan, with
+ * temperatures in `unit`. `settings` are the ramp rates and default soak (in
+ * °C); `onSettingsChange` only receives valid settings. The group under `hoveredGroupId` is highlighted and
+ * hovering a group's band reports it through `onHoverGroup(id | null)`.
+ */
+export default function RunTimelineCard({ groups, settings, onSettingsChange, unit, hoveredGroupId, onHoverGroup }) {
+  const fields = useMemo(() => runSettingFields(unit), [unit]);
+  const toDraft = () => Object.fromEntries(fields.map((f) => [f.key, String(f.fromSetting(settings[f.key]))]));
+  const [draft, setDraft] = useState(toDraft);
+  const [errors, setErrors] = useState({});
+  const timeline = useMemo(() => computeTimeline(groups, settings), [groups, settings]);
+  useEffect(() => {
+    setDraft(toDraft());
+    setErrors({});
+  }, [fields]);
+
+  function update(key, value) {
+    const next = { ...draft, [key]: value };
+    setDraft(next);
+    const errs = {};
+    for (const f of fields) {
+      const err = checkRunSetting(f, next[f.key] === "" ? NaN : Number(next[f.key]));
+      if (err) errs[f.key] = err;
+    }
+    setErrors(errs);
+    if (Object.keys(errs).length === 0) onSettingsChange(Object.fromEntries(fields.map((f) => [f.key, f.toSetting(Number(next[f.key]))])));
+  }
+
+  const { segments, spans, total } = timeline;
+  const shown = (c) => roundTo(fromCanonical(c, PRIMARY_PARAMETER, unit), PRIMARY_PARAMETER.decimals + 2);
+  const profile = segments.flatMap((s) => [
+    { t: s.start, temperature: shown(s.from.temperature), humidity: s.kind === "ramp" && s.from.humidity === null ? s.to.humidity : s.from.humidity },
+    { t: s.end, temperature: shown(s.to.temperature), humidity: s.to.humidity },
+  ]);
+  const [tMin, tMax] = axisRange(profile.map((p) => p.temperature), [0, 50]);
+  const x = (t) => PAD.left + (total > 0 ? (t / total) * PLOT_W : 0);
+  const yT = (v) => PAD.top + PLOT_H - ((v - tMin) / (tMax - tMin)) * PLOT_H;
+  const yH = (v) => PAD.top + PLOT_H - (v / 100) * PLOT_H;
+  const hasHumidity = profile.some((p) => p.humidity !== null);
+
+  return (
+    <Card className="shadow-sm">
+      <CardHeader>
+        <CardTitle className="text-lg">Run Timeline</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {fields.map((f) => (
+            <div key={f.key} className="space-y-1">
+              <Label htmlFor={`run-${f.key}`}>{f.label}</Label>
+              <Input
+                id={`run-${f.key}`}
+                type="number"
+                value={draft[f.key]}
+                onChange={(e) => update(f.key, e.target.value)}
+                invalid={Boolean(errors[f.key])}
+                aria-describedby={errors[f.key] ? `run-${f.key}-error` : undefined}
+              />
+              {errors[f.key] && <p id={`run-${f.key}-error`} className="text-xs text-red-600">{errors[f.key]}</p>}
+            </div>
+          ))}
+        </div>
+        <p className="text-sm">
+          {total > 0 ? (
+            <>Estimated run time: <span className="font-medium">{formatDuration(total)}</span> for {Object.keys(spans).length} group{Object.keys(spans).length === 1 ? "" : "s"}, starting from {shown(settings.startTemperature)} {unitFor(PRIMARY_PARAMETER, unit)}.</>
+          ) : (
+            <span className="text-muted-foreground">Enter a valid setpoint to estimate the run time.</span>
+          )}
+        </p>
+        {total > 0 && (
+          <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto text-xs" role="img" aria-label={`Chamber profile over ${formatDuration(total)}`}>
+            {groups.map((g, gi) => spans[g.id] && (
+              <rect
+                key={g.id}
+                x={x(spans[g.id].start)}
+                y={PAD.top}
+                width={Math.max(1, x(spans[g.id].end) - x(spans[g.id].start))}
+                height={PLOT_H}
+                className={g.id === hoveredGroupId ? "fill-amber-200" : gi % 2 ? "fill-gray-100" : "fill-white"}
+                onMouseEnter={() => onHoverGroup(g.id)}
+                onMouseLeave={() => onHoverGroup(null)}
+              >
+                <title>{`Setpoint Group #${gi + 1}: ${formatDuration(spans[g.id].end - spans[g.id].start)}`}</title>
+              </rect>
+            ))}
+            <rect x={PAD.left} y={PAD.top} width={PLOT_W} height={PLOT_H} className="fill-none stroke-gray-300" />
+            {timeTicks(total).map((t) => (
+              <g key={t}>
+                <line x1={x(t)} x2={x(t)} y1={PAD.top + PLOT_H} y2={PAD.top + PLOT_H + 4} className="stroke-gray-400" />
+                <text x={x(t)} y={HEIGHT - 8} textAnchor="middle" className="fill-gray-500">{`${+(t / 60).toFixed(2)} h`}</text>
+              </g>
+            ))}
+            {[tMin, (tMin + tMax) / 2, tMax].map((v) => (
+              <text key={v} x={PAD.left - 6} y={yT(v) + 4} textAnchor="end" className="fill-red-700">{v}</text>
+            ))}
+            <text x={4} y={PAD.top + 8} className="fill-red-700">{unitFor(PRIMARY_PARAMETER, unit)}</text>
+            {hasHumidity && [0, 50, 100].map((v) => (
+              <text key={v} x={WIDTH - PAD.right + 6} y={yH(v) + 4} className="fill-blue-700">{v}</text>
+            ))}
+            {hasHumidity && <text x={WIDTH - 4} y={PAD.top + 8} textAnchor="end" className="fill-blue-700">%RH</text>}
+            <path d={linePath(profile.map((p) => ({ t: p.t, y: p.temperature })), x, yT)} className="fill-none stroke-red-600" strokeWidth={2} />
+            <path d={linePath(profile.map((p) => ({ t: p.t, y: p.humidity })), x, yH)} className="fill-none stroke-blue-600" strokeWidth={2} strokeDasharray="6 3" />
+          </svg>
+        )}
+        {total > 0 && (
+          <p className="text-xs text-muted-foreground">
+            <span className="text-red-700">Solid: {PRIMARY_PARAMETER.label.toLowerCase()}</span>
+            {hasHumidity && <> · <span className="text-blue-700">dashed: humidity (gaps where it is not controlled)</span></>}.
+            Soak times come from each group's acceptance criteria, falling back to the default soak; stability windows are added on top.
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,166 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Card, CardContent, CardFooter, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select } from "@/components/ui/select";
+import { Plus, Trash2, X } from "lucide-react";
+import { PRIMARY_PARAMETER, getParameter } from "@/lib/parameters";
+import { SWEEP_ORDERS, generateSweep } from "@/lib/sweep";
+import { formatSetpoint } from "@/lib/profiles";
+import { deltaFromCanonical, displayParameter, fromCanonical } from "@/lib/units";
+
+const HUMIDITY = getParameter("Humidity");
+const FOCUSABLE = "button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [href], [tabindex]:not([tabindex='-1'])";
+
+function AxisFields({ id, def, axis, onChange, allowNone }) {
+  const set = (patch) => onChange({ ...axis, ...patch });
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between gap-3">
+        <Label htmlFor={`${id}-mode`}>{def.label} ({def.unit})</Label>
+        <Select id={`${id}-mode`} value={axis.mode} onChange={(e) => set({ mode: e.target.value })} className="w-40">
+          <option value="range">Start / stop / step</option>
+          <option value="list">Explicit list</option>
+          {allowNone && <option value="none">None</option>}
+        </Select>
+      </div>
+      {axis.mode === "range" && (
+        <div className="grid grid-cols-3 gap-2">
+          <Input type="number" value={axis.start} onChange={(e) => set({ start: e.target.value })} placeholder="Start" aria-label={`${def.label} start`} />
+          <Input type="number" value={axis.stop} onChange={(e) => set({ stop: e.target.value })} placeholder="Stop" aria-label={`${def.label} stop`} />
+          <Input type="number" value={axis.step} onChange={(e) => set({ step: e.target.value })} placeholder="Step" aria-label={`${def.label} step`} />
+        </div>
+      )}
+      {axis.mode === "list" && (
+        <Input value={axis.list} onChange={(e) => set({ list: e.target.value })} placeholder="e.g., 5, 15, 25, 35" aria-label={`${def.label} values`} />
+      )}
+    </div>
+  );
+}
+
+// The default temperature axis, 10–40 °C in steps of 10, in `unit`.
+function defaultTemperatureAxis(unit) {
+  const t = (c) => String(fromCanonical(c, PRIMARY_PARAMETER, unit));
+  return { mode: "range", start: t(10), stop: t(40), step: String(deltaFromCanonical(10, PRIMARY_PARAMETER, unit)), list: "" };
+}
+
+/**
+ * Modal that generates a temperature × humidity grid, with temperatures entered
+ * in `unit`; `onApply(setpoints, mode)` with mode "append" | "replace". It
+ * takes focus when it opens and keeps Tab inside; the caller moves focus back
+ * when it closes.
+ */
+export default function SweepGeneratorDialog({ unit, onApply, onClose }) {
+  const dialogRef = useRef(null);
+  const close = useRef(onClose);
+  close.current = onClose;
+  const primaryDef = displayParameter(PRIMARY_PARAMETER, unit);
+  const [temperature, setTemperature] = useState(() => defaultTemperatureAxis(unit));
+  const [humidity, setHumidity] = useState({ mode: "range", start: "30", stop: "80", step: "25", list: "" });
+  const [limits, setLimits] = useState([]);
+  const [order, setOrder] = useState("ascending");
+
+  const result = useMemo(
+    () => generateSweep({ temperature, humidity, limits, order, unit }),
+    [temperature, humidity, limits, order, unit]
+  );
+  const pointCount = result.setpoints.reduce((n, sp) => n + 1 + sp.values.length, 0);
+
+  const updateLimit = (i, patch) => setLimits((ls) => ls.map((l, j) => j === i ? { ...l, ...patch } : l));
+
+  // Listens on the document so Escape and Tab work wherever focus is.
+  useEffect(() => {
+    document.getElementById("sweep-t-mode")?.focus();
+    function onKeyDown(e) {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        close.current();
+        return;
+      }
+      if (e.key !== "Tab") return;
+      const items = [...dialogRef.current.querySelectorAll(FOCUSABLE)];
+      if (items.length === 0) return;
+      const active = document.activeElement;
+      const edge = e.shiftKey ? items[0] : items[items.length - 1];
+      if (active === edge || !dialogRef.current.contains(active)) {
+        e.preventDefault();
+        (e.shiftKey ? items[items.length - 1] : items[0]).focus();
+      }
+    }
+    document.addEventListener("keydown", onKeyDown);
+    return () => document.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center overflow-y-auto bg-black/40 p-6" role="dialog" aria-modal="true" aria-labelledby="sweep-title" ref={dialogRef}>
+      <Card className="w-full max-w-3xl shadow-lg">
+        <CardHeader className="flex flex-row items-center justify-between">
+          <CardTitle id="sweep-title" className="text-lg">Generate sweep</CardTitle>
+          <Button variant="ghost" size="icon" onClick={onClose} aria-label="Close">
+            <X className="h-4 w-4" />
+          </Button>
+        </CardHeader>
+        <CardContent className="space-y-5">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-5">
+            <AxisFields id="sweep-t" def={primaryDef} axis={temperature} onChange={setTemperature} />
+            <AxisFields id="sweep-rh" def={HUMIDITY} axis={humidity} onChange={setHumidity} allowNone />
+          </div>
+
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <Label>Humidity limits</Label>
+              <Button variant="outline" size="sm" onClick={() => setLimits((ls) => [...ls, { below: "", above: "", rhMin: "", rhMax: "" }])}>
+                <Plus className="mr-2 h-4 w-4" /> Add limit
+              </Button>
+            </div>
+            {limits.length === 0 && (
+              <p className="text-sm text-muted-foreground">No limits – every humidity is generated at every temperature.</p>
+            )}
+            {limits.map((l, i) => (
+              <div key={i} className="grid grid-cols-2 sm:grid-cols-[1fr_1fr_1fr_1fr_auto] gap-2 items-center">
+                <Input type="number" value={l.below} onChange={(e) => updateLimit(i, { below: e.target.value })} placeholder={`Below ${primaryDef.unit}`} aria-label="Applies below temperature" />
+                <Input type="number" value={l.above} onChange={(e) => updateLimit(i, { above: e.target.value })} placeholder={`Above ${primaryDef.unit}`} aria-label="Applies above temperature" />
+                <Input type="number" value={l.rhMin} onChange={(e) => updateLimit(i, { rhMin: e.target.value })} placeholder={`Min ${HUMIDITY.unit}`} aria-label="Minimum humidity" />
+                <Input type="number" value={l.rhMax} onChange={(e) => updateLimit(i, { rhMax: e.target.value })} placeholder={`Max ${HUMIDITY.unit}`} aria-label="Maximum humidity" />
+                <Button variant="ghost" size="icon" onClick={() => setLimits((ls) => ls.filter((_, j) => j !== i))} aria-label="Remove limit">
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            ))}
+          </div>
+
+          <div className="space-y-1">
+            <Label htmlFor="sweep-order">Ordering</Label>
+            <Select id="sweep-order" value={order} onChange={(e) => setOrder(e.target.value)}>
+              {SWEEP_ORDERS.map((o) => <option key={o.id} value={o.id}>{o.label}</option>)}
+            </Select>
+          </div>
+
+          {result.errors.length > 0 ? (
+            <ul className="rounded-md border border-red-400 bg-red-50 px-4 py-2 text-sm text-red-700 list-disc list-inside space-y-1">
+              {result.errors.map((err, i) => <li key={i}>{err}</li>)}
+            </ul>
+          ) : (
+            <div className="rounded-md border bg-gray-50 px-4 py-2 text-sm space-y-1">
+              <p className="font-medium">
+                {result.setpoints.length} group{result.setpoints.length === 1 ? "" : "s"}, {pointCount} parameter object{pointCount === 1 ? "" : "s"} per system
+                {result.skipped > 0 && ` (${result.skipped} humidity point${result.skipped === 1 ? "" : "s"} removed by limits)`}
+              </p>
+              <p className="text-muted-foreground">{result.setpoints.map((sp) => formatSetpoint(sp, unit)).join(" → ")}</p>
+            </div>
+          )}
+        </CardContent>
+        <CardFooter className="flex flex-wrap gap-3 items-center justify-end">
+          <Button variant="ghost" onClick={onClose}>Cancel</Button>
+          <Button variant="outline" onClick={() => onApply(result.setpoints, "replace")} disabled={result.setpoints.length === 0}>
+            Replace groups
+          </Button>
+          <Button onClick={() => onApply(result.setpoints, "append")} disabled={result.setpoints.length === 0}>
+            <Plus className="mr-2 h-4 w-4" /> Append groups
+          </Button>
+        </CardFooter>
+      </Card>
+    </div>
+  );
+}
@@ -1,12 +1,16 @@
 import React from "react";
 import { cn } from "./_utils";
 
-export const Input = React.forwardRef(function Input({ className, ...props }, ref) {
+// `invalid` marks the field for assistive technology (aria-invalid) and
+// outlines it; point aria-describedby at the message that explains why.
+export const Input = React.forwardRef(function Input({ className, invalid = false, ...props }, ref) {
   return (
     <input
       ref={ref}
+      aria-invalid={invalid || undefined}
       className={cn(
         "flex h-10 w-full rounded-md border px-3 py-2 text-sm shadow-sm focus:outline-none focus:ring-2 focus:ring-black/20",
+        invalid && "border-red-400 focus:ring-red-300",
         className
       )}
       {...props}
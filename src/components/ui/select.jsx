@@ -0,0 +1,16 @@
+import React from "react";
+import { cn } from "./_utils";
+
+// Native <select> styled to match Input.
+export const Select = React.forwardRef(function Select({ className, ...props }, ref) {
+  return (
+    <select
+      ref={ref}
+      className={cn(
+        "flex h-10 w-full rounded-md border bg-white px-3 py-2 text-sm shadow-sm focus:outline-none focus:ring-2 focus:ring-black/20",
+        className
+      )}
+      {...props}
+    />
+  );
+});
@@ -0,0 +1,19 @@
+import { useCallback, useRef, useState } from "react";
+
+// Text for a polite live region. Messages announced in the same task (an
+// action and the validation change it causes) are read together; repeating
+// a message toggles a trailing no-break space so screen readers notice it.
+export default function useAnnouncer() {
+  const [message, setMessage] = useState("");
+  const batch = useRef(null);
+  const announce = useCallback((text) => {
+    if (!batch.current) {
+      batch.current = [];
+      setTimeout(() => { batch.current = null; }, 0);
+    }
+    batch.current.push(text);
+    const next = batch.current.join(" ");
+    setMessage((prev) => (prev === next ? `${next}\u00a0` : next));
+  }, []);
+  return [message, announce];
+}
@@ -0,0 +1,36 @@
+import { useEffect, useState } from "react";
+
+// --- Download link management (no programmatic clicks) ---
+// Returns { href, kind } for a blob URL, falling back to a data URI for text; empty while disabled.
+export default function useDownloadHref(content, mimeType, enabled) {
+  const [link, setLink] = useState({ href: "", kind: null });
+
+  useEffect(() => {
+    let urlToRevoke = null;
+
+    if (!enabled) {
+      setLink({ href: "", kind: null });
+      return () => {};
+    }
+
+    try {
+      const blob = new Blob([content], { type: mimeType });
+      const url = URL.createObjectURL(blob);
+      setLink({ href: url, kind: "blob" });
+      urlToRevoke = url;
+    } catch {
+      try {
+        if (typeof content !== "string") throw new Error("binary content needs a blob");
+        setLink({ href: `data:${mimeType};charset=utf-8,` + encodeURIComponent(content), kind: "data" });
+      } catch {
+        setLink({ href: "", kind: null });
+      }
+    }
+
+    return () => {
+      if (urlToRevoke) URL.revokeObjectURL(urlToRevoke);
+    };
+  }, [content, mimeType, enabled]);
+
+  return link;
+}
@@ -0,0 +1,375 @@
+import { PARAMETERS, PRIMARY_PARAMETER, SECONDARY_PARAMETERS, getParameter, formatRange, isInRange, roundTo } from "./parameters.js";
+import { profileParameter } from "./profiles.js";
+import { CRITERIA, CRITERIA_PAYLOAD_KEYS, criteriaFromPayload, criterionBounds, effectiveCriteria, validateCriteria } from "./criteria.js";
+import {
+  CANONICAL_TEMPERATURE_UNIT, DEFAULT_OUTPUT, TEMPERATURE_UNITS, deltaDecimals, deltaFromCanonical, deltaToCanonical, displayParameter,
+  fromCanonical, isTemperature, outputDecimals, toCanonical, unitFor,
+} from "./units.js";
+
+// Core of the setpoint builder: the group/system model, the payload builder,
+// its inverse parser and the validators. Plain ES module with no browser or
+// React dependencies, shared by the UI, the CLI (scripts/) and the tests.
+
+// --- helpers ---
+export const uid = () => Math.random().toString(36).slice(2) + Date.now().toString(36);
+
+// A group is one setpoint: the primary parameter's nominal plus any number of
+// secondary values, each tagged with its registry parameter name. `targets`
+// maps a parameter name to the system keys it applies to; a missing entry
+// means "all systems". `criteria` (optional) holds soak/tolerance/stability
+// settings, see criteria.js.
+export const newValue = (parameter, nominal = "") => ({ id: uid(), parameter, nominal });
+export const newGroup = (primary = "", values = [], targets = {}) => ({ id: uid(), primary, values, targets });
+export const newSystem = (systemId = "1", name = "") => ({ id: uid(), systemId, name });
+
+// Profile setpoints hold numbers; groups hold the strings the inputs edit.
+export const setpointToGroup = (sp) => newGroup(String(sp.primary), sp.values.map((v) => newValue(v.parameter, String(v.nominal))));
+
+export function groupsToSetpoints(groups) {
+  return groups
+    .filter((g) => g.primary !== "" && Number.isFinite(Number(g.primary)))
+    .map((g) => ({
+      primary: Number(g.primary),
+      values: g.values.filter((v) => v.nominal !== "" && Number.isFinite(Number(v.nominal))).map((v) => ({ parameter: v.parameter, nominal: Number(v.nominal) })),
+    }));
+}
+
+export function clampNumberOrEmpty(v, opts) {
+  if (v === "" || v === "-" || v === ".") return "";
+  const n = Number(v);
+  if (Number.isNaN(n)) return "";
+  if (opts && opts.min != null && n < opts.min) return String(opts.min);
+  if (opts && opts.max != null && n > opts.max) return String(opts.max);
+  return String(n);
+}
+
+export function isValidSystemId(n) {
+  return Number.isFinite(n) && n > 0;
+}
+
+export function systemLabel(system, index) {
+  return system.name.trim() || `System ${system.systemId || index + 1}`;
+}
+
+// Systems (in Global Settings order) that a group's parameter is emitted for.
+export function targetSystems(group, parameter, systems) {
+  const keys = group.targets?.[parameter];
+  return keys ? systems.filter((s) => keys.includes(s.id)) : systems;
+}
+
+// ---- pure builder ----
+// A nominal as the payload carries it: in the output unit, rounded to the output decimals.
+export function outputNominal(n, def, output = DEFAULT_OUTPUT) {
+  return roundTo(fromCanonical(n, def, output.temperatureUnit), outputDecimals(def, output));
+}
+
+// `schema` 1 emits { system_id, parameter, nominal } only; 2 appends the
+// criteria keys that are set (see criteria.js). `output` picks the temperature
+// unit, decimals and the optional `unit` key (see units.js); the decimals
+// apply to nominals only, a tolerance keeps the precision it was entered with.
+export function buildPayload(systems, groups, { schema = 1, output = DEFAULT_OUTPUT } = {}) {
+  const out = [];
+  const emit = (group, def, nominal, setpoint) => {
+    const unit = output.temperatureUnit;
+    const extra = schema >= 2 ? effectiveCriteria(group, def.name) : {};
+    if (extra.tolerance !== undefined) {
+      const b = criterionBounds(CRITERIA.find((c) => c.key === "tolerance"), def.name);
+      extra.tolerance = roundTo(deltaFromCanonical(extra.tolerance, def, unit), deltaDecimals(b.decimals, def, unit));
+    }
+    const value = { nominal: outputNominal(nominal, def, output), ...(output.unitKey ? { unit: unitFor(def, unit) } : {}) };
+    for (const s of targetSystems(group, def.name, systems)) {
+      const sid = Number(s.systemId);
+      if (!isValidSystemId(sid)) continue;
+      setpoint.push({ system_id: sid, parameter: def.name, ...value, ...extra });
+    }
+  };
+  for (const g of groups) {
+    if (g.primary === "") continue;
+    const pVal = Number(g.primary);
+    if (!isInRange(pVal, PRIMARY_PARAMETER)) continue;
+    const setpoint = [];
+    emit(g, PRIMARY_PARAMETER, pVal, setpoint);
+    if (setpoint.length === 0) continue;
+    for (const def of SECONDARY_PARAMETERS) {
+      const nums = (g.values || [])
+        .filter((v) => v.parameter === def.name && v.nominal !== "")
+        .map((v) => Number(v.nominal))
+        .filter((n) => isInRange(n, def));
+      for (const n of nums) emit(g, def, n, setpoint);
+    }
+    out.push(setpoint);
+  }
+  return out;
+}
+
+// Distinct system_ids in order of first appearance.
+export function payloadSystemIds(payload) {
+  const ids = [];
+  for (const setpoint of payload) {
+    for (const obj of setpoint) {
+      if (!ids.includes(obj.system_id)) ids.push(obj.system_id);
+    }
+  }
+  return ids;
+}
+
+// ---- pure parser (inverse of buildPayload) ----
+// Returns { systems, groups, errors, schema, output }. Nothing is dropped: any
+// object that buildPayload could not have produced is reported as an error
+// instead. `schema` is 2 when any object carries criteria keys. Objects with a
+// `unit` key are converted to the registry units; `output` is then
+// { temperatureUnit, unitKey: true } with the first temperature unit found,
+// and null for files without unit keys.
+const PAYLOAD_KEYS = ["system_id", "parameter", "nominal", "unit", ...CRITERIA_PAYLOAD_KEYS];
+
+export function parsePayload(text) {
+  const errors = [];
+  const fail = (msg) => ({ systems: [], groups: [], errors: [msg], schema: 1, output: null });
+  let schema = 1;
+  let output = null;
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return fail(`Invalid JSON: ${e.message}`);
+  }
+  if (!Array.isArray(data)) return fail("Top level must be an array of setpoints.");
+  if (data.length === 0) return fail("The file contains no setpoints.");
+
+  const primaryName = PRIMARY_PARAMETER.name;
+  const systems = [];
+  const systemKey = (sid) => {
+    let s = systems.find((row) => row.systemId === String(sid));
+    if (!s) {
+      s = newSystem(String(sid));
+      systems.push(s);
+    }
+    return s.id;
+  };
+  const parsed = [];
+
+  data.forEach((setpoint, si) => {
+    const where = `Setpoint #${si + 1}`;
+    if (!Array.isArray(setpoint)) {
+      errors.push(`${where}: must be an array of parameter objects.`);
+      return;
+    }
+    if (setpoint.length === 0) {
+      errors.push(`${where}: is empty (expected a ${primaryName} object).`);
+      return;
+    }
+
+    let primary = null;
+    const primarySids = [];
+    // parameter name -> [{ nominal, sids }] in order of first appearance
+    const secondary = new Map();
+    const criteria = {};
+    const criteriaSig = new Map();
+    setpoint.forEach((obj, oi) => {
+      const at = `${where}, object #${oi + 1}`;
+      if (obj === null || typeof obj !== "object" || Array.isArray(obj)) {
+        errors.push(`${at}: must be an object.`);
+        return;
+      }
+      for (const key of Object.keys(obj)) {
+        if (!PAYLOAD_KEYS.includes(key)) errors.push(`${at}: unexpected key "${key}".`);
+      }
+
+      const sid = obj.system_id;
+      const sidOk = typeof sid === "number" && isValidSystemId(sid);
+      if (!sidOk) {
+        errors.push(`${at}: system_id must be a positive number (got ${JSON.stringify(sid)}).`);
+      }
+
+      const isNumber = typeof obj.nominal === "number" && Number.isFinite(obj.nominal);
+      if (!isNumber) {
+        errors.push(`${at}: nominal must be a finite number (got ${JSON.stringify(obj.nominal)}).`);
+      }
+
+      const def = getParameter(obj.parameter);
+      if (!def) {
+        const known = PARAMETERS.map((p) => `"${p.name}"`).join(", ");
+        errors.push(`${at}: unknown parameter ${JSON.stringify(obj.parameter)} (expected one of ${known}).`);
+        return;
+      }
+      let unit = CANONICAL_TEMPERATURE_UNIT;
+      if ("unit" in obj) {
+        const allowed = isTemperature(def) ? TEMPERATURE_UNITS.map((u) => u.id) : [def.unit];
+        if (!allowed.includes(obj.unit)) {
+          errors.push(`${at}: unit ${JSON.stringify(obj.unit)} does not fit ${def.name} (expected ${allowed.map((u) => `"${u}"`).join(" or ")}).`);
+        } else if (isTemperature(def)) {
+          unit = obj.unit;
+          output ??= { temperatureUnit: unit, unitKey: true };
+        } else {
+          output ??= { temperatureUnit: CANONICAL_TEMPERATURE_UNIT, unitKey: true };
+        }
+      }
+      const nominal = isNumber ? toCanonical(obj.nominal, def, unit) : obj.nominal;
+      if (isNumber && !isInRange(nominal, def)) {
+        errors.push(`${at}: ${def.name} ${obj.nominal} is outside ${formatRange(displayParameter(def, unit))}.`);
+      }
+      const crit = {};
+      for (const c of CRITERIA) {
+        if (!(c.payloadKey in obj)) continue;
+        schema = 2;
+        const b = criterionBounds(c, def.name);
+        const raw = obj[c.payloadKey];
+        const n = c.key === "tolerance" && typeof raw === "number" ? deltaToCanonical(raw, def, unit) : raw;
+        if (typeof n !== "number" || !Number.isFinite(n) || n < b.min || n > b.max || (c.key === "tolerance" && n === 0) || (b.decimals === 0 && !Number.isInteger(n))) {
+          errors.push(`${at}: ${c.payloadKey} must be a number within ${b.min}–${b.max}${c.key === "tolerance" ? ` ${b.unit} and above 0` : ""} (got ${JSON.stringify(raw)}).`);
+        } else {
+          crit[c.payloadKey] = n;
+        }
+      }
+      // Criteria belong to a parameter of the setpoint, so every object of that parameter must agree.
+      const sig = JSON.stringify(crit);
+      if (!criteriaSig.has(def.name)) {
+        criteriaSig.set(def.name, sig);
+        criteria[def.name] = crit;
+      } else if (criteriaSig.get(def.name) !== sig) {
+        errors.push(`${at}: ${def.name} criteria differ from an earlier ${def.name} object in this setpoint.`);
+      }
+      if (def.primary) {
+        if (primary !== null && nominal !== primary) {
+          errors.push(`${at}: ${def.name} ${nominal} differs from ${primary} earlier in this setpoint.`);
+        } else if (sidOk && primarySids.includes(sid)) {
+          errors.push(`${at}: more than one ${def.name} for system_id ${sid} in this setpoint.`);
+        }
+        if (primary === null) primary = nominal;
+        if (sidOk && !primarySids.includes(sid)) primarySids.push(sid);
+      } else {
+        if (primary === null) {
+          errors.push(`${at}: ${def.name} appears before ${primaryName}.`);
+        }
+        const entries = secondary.get(def.name) || [];
+        let entry = entries.find((e) => e.nominal === nominal);
+        if (!entry) {
+          entry = { nominal, sids: [] };
+          entries.push(entry);
+          secondary.set(def.name, entries);
+        }
+        if (sidOk && entry.sids.includes(sid)) {
+          errors.push(`${at}: duplicate ${def.name} ${nominal} for system_id ${sid}.`);
+        } else if (sidOk) {
+          entry.sids.push(sid);
+        }
+      }
+    });
+
+    if (primary === null) {
+      errors.push(`${where}: missing ${primaryName}.`);
+      return;
+    }
+    // A group's parameter applies to one set of systems, so every value of a
+    // parameter must target the same system_ids.
+    for (const [name, entries] of secondary) {
+      const sig = (e) => [...e.sids].sort((a, b) => a - b).join(",");
+      const odd = entries.find((e) => sig(e) !== sig(entries[0]));
+      if (odd) {
+        errors.push(`${where}: ${name} ${odd.nominal} targets system_id(s) ${sig(odd)} but ${name} ${entries[0].nominal} targets ${sig(entries[0])}; all ${name} values of a setpoint must target the same systems.`);
+      }
+    }
+    parsed.push({ primary, primarySids, secondary, criteria });
+  });
+
+  if (errors.length) return { systems: [], groups: [], errors, schema, output: null };
+
+  // Register systems in order of first appearance, then map system_ids to keys.
+  parsed.forEach((p) => {
+    p.primarySids.forEach(systemKey);
+    for (const entries of p.secondary.values()) entries.forEach((e) => e.sids.forEach(systemKey));
+  });
+  const toTargets = (sids) => sids.length === systems.length ? undefined : sids.map(systemKey);
+  const groups = parsed.map((p) => {
+    const targets = {};
+    const primaryTargets = toTargets(p.primarySids);
+    if (primaryTargets) targets[primaryName] = primaryTargets;
+    const values = [];
+    for (const [name, entries] of p.secondary) {
+      const t = toTargets(entries[0].sids);
+      if (t) targets[name] = t;
+      for (const e of entries) values.push(newValue(name, String(e.nominal)));
+    }
+    const group = newGroup(String(p.primary), values, targets);
+    const criteria = criteriaFromPayload(p.criteria);
+    return Object.keys(criteria).length ? { ...group, criteria } : group;
+  });
+
+  return { systems, groups, errors, schema, output };
+}
+
+// ---- pure validation (drives isFormValid + inline messages) ----
+// Returns a map of field id -> message for every value that would not be exported as typed.
+export function validateSystems(systems) {
+  const problems = {};
+  if (systems.length === 0) problems.systems = "Add at least one system.";
+  systems.forEach((s) => {
+    const n = Number(s.systemId);
+    if (s.systemId === "" || !isValidSystemId(n)) {
+      problems[s.id] = "System ID must be a positive number.";
+    } else if (systems.some((o) => o !== s && Number(o.systemId) === n)) {
+      problems[s.id] = `System ID ${n} is used more than once.`;
+    }
+  });
+  return problems;
+}
+
+// With a `profile`, ranges are narrowed to the device's allowed ranges and
+// parameters the profile does not list are rejected. `output` is what the
+// payload is built with (see buildPayload); ranges are stated with
+// temperatures in `unit`, the unit the form takes them in.
+export function validateGroups(groups, systems, profile = null, { output = DEFAULT_OUTPUT, unit = CANONICAL_TEMPERATURE_UNIT } = {}) {
+  const problems = {};
+  const forProfile = profile ? ` for ${profile.name}` : "";
+  const primaryDef = profileParameter(profile, PRIMARY_PARAMETER.name) || PRIMARY_PARAMETER;
+  // The payload must say what the form says, so a value finer than the
+  // output decimals is a problem rather than something rounded on the way out.
+  // A temperature typed in another unit is stored to 6 decimals in °C, so
+  // converting it back may be off in the last of them (310 °F -> 309.999999).
+  const rounded = (n, def) => {
+    const converted = isTemperature(def) && output.temperatureUnit !== CANONICAL_TEMPERATURE_UNIT;
+    const exact = converted ? roundTo(fromCanonical(n, def, output.temperatureUnit), 5) : n;
+    const written = outputNominal(n, def, output);
+    if (Math.abs(exact - written) < 1e-9) return null;
+    return `${def.label} ${exact} ${unitFor(def, output.temperatureUnit)} would be written as ${written}; round it or raise the output decimals.`;
+  };
+  for (const g of groups) {
+    if (g.primary === "") {
+      problems[g.id] = `${PRIMARY_PARAMETER.label} is required.`;
+    } else if (!isInRange(Number(g.primary), primaryDef)) {
+      problems[g.id] = `${PRIMARY_PARAMETER.label} must be within ${formatRange(displayParameter(primaryDef, unit))}${forProfile}.`;
+    } else {
+      const msg = rounded(Number(g.primary), PRIMARY_PARAMETER);
+      if (msg) problems[g.id] = msg;
+    }
+    // parsePayload rejects a setpoint that repeats a value, so values that are
+    // written the same (after rounding) are reported here.
+    const written = new Set();
+    for (const v of g.values) {
+      if (v.nominal === "") continue;
+      const def = getParameter(v.parameter);
+      const eff = profileParameter(profile, v.parameter);
+      if (!def) {
+        problems[v.id] = `Unknown parameter "${v.parameter}".`;
+      } else if (!eff) {
+        problems[v.id] = `${def.label} is not supported${forProfile}.`;
+      } else if (!isInRange(Number(v.nominal), eff)) {
+        problems[v.id] = `${def.label} must be within ${formatRange(displayParameter(eff, unit))}${forProfile}.`;
+      } else {
+        const msg = rounded(Number(v.nominal), def);
+        const nominal = outputNominal(Number(v.nominal), def, output);
+        if (msg) problems[v.id] = msg;
+        else if (written.has(`${def.name}:${nominal}`)) problems[v.id] = `${def.label} ${nominal} ${unitFor(def, output.temperatureUnit)} is already in this group.`;
+        written.add(`${def.name}:${nominal}`);
+      }
+    }
+    const used = [PRIMARY_PARAMETER.name, ...new Set(g.values.map((v) => v.parameter))];
+    for (const name of used) {
+      if (targetSystems(g, name, systems).length === 0) {
+        problems[`${g.id}:${name}`] = `Select at least one system for ${getParameter(name)?.label ?? name}.`;
+      }
+    }
+    Object.assign(problems, validateCriteria(g, used.filter((name) => getParameter(name))));
+  }
+  return problems;
+}
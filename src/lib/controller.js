@@ -0,0 +1,153 @@
+// "Send to controller": the payload is POSTed to a chamber controller that
+// runs the setpoints and reports progress. The HTTP protocol (implemented by
+// scripts/mock-controller.mjs):
+//
+//   POST <endpoint>/runs              body: the payload with unit keys → 201 with the run
+//   GET  <endpoint>/runs/<id>         → the run
+//   POST <endpoint>/runs/<id>/cancel  → the run
+//
+// A run is { id, state, current_setpoint, setpoints: [{ state, error? }],
+// error? } with one entry per setpoint of the payload. Failed requests answer
+// { error, errors? }.
+
+export const RUN_STATES = ["queued", "running", "completed", "failed", "cancelled"];
+export const SETPOINT_STATES = ["pending", "ramping", "soaking", "measuring", "done", "failed", "skipped"];
+const FINISHED = ["completed", "failed", "cancelled"];
+
+export const POLL_INTERVAL_MS = 1000;
+// Consecutive failed status requests before polling gives up.
+export const MAX_POLL_FAILURES = 3;
+
+export const DEFAULT_CONTROLLER = { endpoint: "http://localhost:8787" };
+const STORAGE_KEY = "calpoints.controller.v1";
+
+// Returns an error message or null.
+export function checkEndpoint(endpoint) {
+  if (endpoint.trim() === "") return "Enter the controller URL.";
+  let url;
+  try {
+    url = new URL(endpoint.trim());
+  } catch {
+    return "Enter a full URL such as http://localhost:8787.";
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") return "The controller URL must start with http:// or https://.";
+  if (url.search || url.hash) return "The controller URL must not have a query or fragment.";
+  return null;
+}
+
+/** "Name: value" as a headers object: { headers } or { error }. Blank means no header. */
+export function parseAuthHeader(text) {
+  const line = text.trim();
+  if (line === "") return { headers: {} };
+  const colon = line.indexOf(":");
+  const name = colon > 0 ? line.slice(0, colon).trim() : "";
+  const value = colon > 0 ? line.slice(colon + 1).trim() : "";
+  if (!/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(name) || value === "") {
+    return { error: "Enter the header as Name: value, e.g. Authorization: Bearer <token>." };
+  }
+  return { headers: { [name]: value } };
+}
+
+// Checks a run as received; null when it does not follow the protocol.
+export function normalizeRun(data) {
+  if (!data || typeof data !== "object" || typeof data.id !== "string" || !RUN_STATES.includes(data.state)) return null;
+  if (!Array.isArray(data.setpoints)) return null;
+  const setpoints = [];
+  for (const sp of data.setpoints) {
+    if (!sp || !SETPOINT_STATES.includes(sp.state)) return null;
+    setpoints.push(typeof sp.error === "string" ? { state: sp.state, error: sp.error } : { state: sp.state });
+  }
+  const current = Number.isInteger(data.current_setpoint) ? data.current_setpoint : null;
+  return {
+    id: data.id,
+    state: data.state,
+    current_setpoint: current,
+    setpoints,
+    ...(typeof data.error === "string" ? { error: data.error } : {}),
+  };
+}
+
+export const isRunFinished = (run) => FINISHED.includes(run.state);
+
+const runsUrl = (endpoint, ...path) => [endpoint.trim().replace(/\/+$/, ""), "runs", ...path.map(encodeURIComponent)].join("/");
+
+// Every request resolves to { run } or { error, details? } and never throws.
+async function request(url, { method = "GET", headers = {}, body } = {}, fetchImpl = globalThis.fetch) {
+  let res;
+  try {
+    res = await fetchImpl(url, {
+      method,
+      headers: { Accept: "application/json", ...(body !== undefined ? { "Content-Type": "application/json" } : {}), ...headers },
+      body,
+    });
+  } catch (e) {
+    return { error: `Could not reach the controller (${e.message}). Check the URL and that it accepts requests from this page (CORS).` };
+  }
+  let data = null;
+  try {
+    data = await res.json();
+  } catch {
+    // handled below
+  }
+  if (!res.ok) {
+    const reason = typeof data?.error === "string" ? `: ${data.error}` : ".";
+    const details = Array.isArray(data?.errors) ? data.errors.filter((e) => typeof e === "string") : [];
+    return { error: `The controller answered ${res.status}${res.statusText ? ` ${res.statusText}` : ""}${reason}`, ...(details.length ? { details } : {}) };
+  }
+  const run = normalizeRun(data);
+  return run ? { run } : { error: "The controller's answer is not a run status." };
+}
+
+export function sendPlan(endpoint, headers, payload, fetchImpl) {
+  return request(runsUrl(endpoint), { method: "POST", headers, body: JSON.stringify(payload) }, fetchImpl);
+}
+
+export function fetchRun(endpoint, headers, id, fetchImpl) {
+  return request(runsUrl(endpoint, id), { headers }, fetchImpl);
+}
+
+export function cancelRun(endpoint, headers, id, fetchImpl) {
+  return request(runsUrl(endpoint, id, "cancel"), { method: "POST", headers }, fetchImpl);
+}
+
+// Polls the run every `interval` ms until it finishes or MAX_POLL_FAILURES
+// requests in a row fail. After each request `onUpdate` gets { run } or
+// { error } with the current number of consecutive `failures`. Returns a
+// function that stops polling.
+export function followRun(endpoint, headers, id, onUpdate, { interval = POLL_INTERVAL_MS, fetchImpl } = {}) {
+  let stopped = false;
+  let failures = 0;
+  let timer;
+  async function poll() {
+    const result = await fetchRun(endpoint, headers, id, fetchImpl);
+    if (stopped) return;
+    failures = result.run ? 0 : failures + 1;
+    onUpdate({ ...result, failures });
+    const more = result.run ? !isRunFinished(result.run) : failures < MAX_POLL_FAILURES;
+    if (more && !stopped) timer = setTimeout(poll, interval);
+  }
+  timer = setTimeout(poll, interval);
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+// Only the endpoint is kept; the auth header stays in memory for the session.
+export function loadController() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    return typeof raw?.endpoint === "string" ? { endpoint: raw.endpoint } : DEFAULT_CONTROLLER;
+  } catch {
+    return DEFAULT_CONTROLLER;
+  }
+}
+
+export function saveController(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ endpoint: settings.endpoint }));
+    return true;
+  } catch {
+    return false;
+  }
+}
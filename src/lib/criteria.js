@@ -0,0 +1,110 @@
+import { getParameter, roundTo } from "./parameters.js";
+
+// Acceptance criteria the calibration runner needs per setpoint: how long to
+// soak, how close (±) and for how long the reading must be stable, and how
+// many samples to take. A group keeps them as strings, like its nominals:
+//
+//   criteria: { "*": { soak: "30", samples: "5" }, Humidity: { tolerance: "2" } }
+//
+// The GROUP_SCOPE entry applies to every parameter of the setpoint; a
+// parameter-name entry overrides it for that parameter. Tolerance is in the
+// parameter's own unit, so it is only set per parameter.
+export const GROUP_SCOPE = "*";
+
+export const CRITERIA = [
+  { key: "soak", payloadKey: "soak_minutes", label: "Soak", unit: "min", min: 0, max: 10080, decimals: 1, groupScope: true },
+  { key: "tolerance", payloadKey: "tolerance", label: "Tolerance ±", unit: null, min: 0, max: null, decimals: null, groupScope: false },
+  { key: "stability", payloadKey: "stability_window_minutes", label: "Stability window", unit: "min", min: 0, max: 1440, decimals: 1, groupScope: true },
+  { key: "samples", payloadKey: "sample_count", label: "Samples", unit: "", min: 1, max: 100000, decimals: 0, groupScope: true },
+];
+
+export const CRITERIA_PAYLOAD_KEYS = CRITERIA.map((c) => c.payloadKey);
+
+// Output schema versions: 1 is the original { system_id, parameter, nominal }
+// object, 2 adds the criteria keys that are set.
+export const OUTPUT_SCHEMAS = [
+  { id: 1, label: "v1 – minimal (system_id, parameter, nominal)" },
+  { id: 2, label: "v2 – with soak, tolerance, stability and samples" },
+];
+export const DEFAULT_SCHEMA = 2;
+
+// Bounds of a criterion for one parameter; tolerance follows the parameter's
+// unit, its span and one decimal more than its nominal.
+export function criterionBounds(criterion, parameterName) {
+  if (criterion.key !== "tolerance") return criterion;
+  const def = getParameter(parameterName);
+  return { ...criterion, unit: def.unit, min: 0, max: def.max - def.min, decimals: def.decimals + 1 };
+}
+
+const valueOf = (criterion, raw, parameterName) => {
+  if (raw == null || raw === "") return null;
+  const n = Number(raw);
+  const b = criterionBounds(criterion, parameterName);
+  if (!Number.isFinite(n) || n < b.min || n > b.max) return null;
+  const rounded = roundTo(n, b.decimals);
+  // A tolerance that rounds to 0 would reject every reading.
+  if (criterion.key === "tolerance" && rounded === 0) return null;
+  return rounded;
+};
+
+/** Payload keys and numbers for one parameter of a group, in CRITERIA order; invalid entries are skipped. */
+export function effectiveCriteria(group, parameterName) {
+  const shared = group.criteria?.[GROUP_SCOPE] || {};
+  const own = group.criteria?.[parameterName] || {};
+  const out = {};
+  for (const c of CRITERIA) {
+    const raw = own[c.key] !== undefined && own[c.key] !== "" ? own[c.key] : c.groupScope ? shared[c.key] : undefined;
+    const n = valueOf(c, raw, parameterName);
+    if (n !== null) out[c.payloadKey] = n;
+  }
+  return out;
+}
+
+export function hasCriteria(group) {
+  return Object.values(group.criteria || {}).some((scope) => Object.values(scope).some((v) => v !== ""));
+}
+
+const describeScope = (scope) => (scope === GROUP_SCOPE ? "all parameters" : getParameter(scope)?.label ?? scope);
+
+/**
+ * Field problems for a group's criteria, keyed `${group.id}:${scope}:${key}`.
+ * Scopes for parameters the group does not use are ignored.
+ */
+export function validateCriteria(group, usedParameters) {
+  const problems = {};
+  for (const [scope, entries] of Object.entries(group.criteria || {})) {
+    if (scope !== GROUP_SCOPE && !usedParameters.includes(scope)) continue;
+    for (const c of CRITERIA) {
+      const raw = entries?.[c.key];
+      if (raw == null || raw === "") continue;
+      if (scope === GROUP_SCOPE && !c.groupScope) continue;
+      const b = criterionBounds(c, scope === GROUP_SCOPE ? null : scope);
+      const n = Number(raw);
+      const unit = b.unit ? ` ${b.unit}` : "";
+      let msg = null;
+      if (!Number.isFinite(n) || n < b.min || n > b.max) msg = `${c.label} (${describeScope(scope)}) must be within ${b.min}–${b.max}${unit}.`;
+      else if (c.key === "tolerance" && roundTo(n, b.decimals) === 0) msg = `${c.label} (${describeScope(scope)}) must be at least ${10 ** -b.decimals}${unit}.`;
+      else if (b.decimals === 0 && !Number.isInteger(n)) msg = `${c.label} (${describeScope(scope)}) must be a whole number.`;
+      if (msg) problems[`${group.id}:${scope}:${c.key}`] = msg;
+    }
+  }
+  return problems;
+}
+
+// Rebuilds a group's criteria from per-parameter payload values
+// ({ parameter: { payloadKey: number } }); keys shared by every parameter
+// move to the group scope.
+export function criteriaFromPayload(byParameter) {
+  const names = Object.keys(byParameter);
+  const criteria = {};
+  for (const c of CRITERIA) {
+    const values = names.map((name) => byParameter[name][c.payloadKey]);
+    const shared = c.groupScope && names.length > 0 && values.every((v) => v !== undefined && v === values[0]);
+    names.forEach((name, i) => {
+      if (values[i] === undefined) return;
+      const scope = shared ? GROUP_SCOPE : name;
+      criteria[scope] = { ...criteria[scope], [c.key]: String(values[i]) };
+    });
+  }
+  return criteria;
+}
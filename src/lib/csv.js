@@ -0,0 +1,276 @@
+import { PARAMETERS, PRIMARY_PARAMETER, formatRange, getParameter, isInRange, roundTo } from "./parameters.js";
+import { CANONICAL_TEMPERATURE_UNIT, TEMPERATURE_UNITS, displayParameter, isTemperature, toCanonical } from "./units.js";
+
+// Spreadsheet import/export of setpoint plans. Setpoints use the profile shape
+// ({ primary, values: [{ parameter, nominal }] }) so callers turn them into
+// groups with setpointToGroup. Two layouts are read and written:
+//
+//   long  Temperature,Humidity      wide  Temperature,Humidity 1,Humidity 2
+//         20,30                           20,30,60
+//         20,60   (or ,60)                40,33,
+//         40,33
+//
+// In the long layout consecutive rows with the same (or a blank) temperature
+// belong to one setpoint. Temperature columns are read in the unit their
+// header names ("Temperature (°F)"), °C when it names none.
+
+export const CSV_DELIMITERS = [
+  { id: ",", label: "Comma (,)" },
+  { id: ";", label: "Semicolon (;)" },
+  { id: "\t", label: "Tab" },
+];
+
+export const CSV_DECIMALS = [
+  { id: "point", label: "Decimal point (1.5)" },
+  { id: "comma", label: "Decimal comma (1,5)" },
+];
+
+export const CSV_EXPORT_FORMATS = [
+  { id: "long", label: "CSV – one row per value", delimiter: ",", decimal: "point", layout: "long" },
+  { id: "wide", label: "CSV – one row per setpoint", delimiter: ",", decimal: "point", layout: "wide" },
+  { id: "long-eu", label: "CSV (; and decimal comma) – one row per value", delimiter: ";", decimal: "comma", layout: "long" },
+  { id: "wide-eu", label: "CSV (; and decimal comma) – one row per setpoint", delimiter: ";", decimal: "comma", layout: "wide" },
+];
+
+const delimiterName = (d) => CSV_DELIMITERS.find((x) => x.id === d)?.label.replace(/ \(.*\)$/, "").toLowerCase() ?? JSON.stringify(d);
+
+// ---- records ----
+// RFC 4180 reader: quoted cells may contain the delimiter, doubled quotes and
+// line breaks. Returns [{ line, cells }] where `line` is the 1-based line the
+// record starts on, so errors point at the spreadsheet row.
+export function parseCsv(text, delimiter) {
+  const src = String(text).replace(/^\uFEFF/, "");
+  const records = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+  const endCell = () => { cells.push(cell); cell = ""; };
+  const endRecord = () => { endCell(); records.push({ line: start, cells }); cells = []; start = line; };
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else { if (c === "\n") line++; cell += c; }
+    } else if (c === '"' && cell.trim() === "") {
+      cell = "";
+      quoted = true;
+    } else if (c === delimiter) {
+      endCell();
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      line++;
+      endRecord();
+    } else {
+      cell += c;
+    }
+  }
+  if (cell !== "" || cells.length) endRecord();
+  return records;
+}
+
+// Picks the delimiter that splits the header line into the most cells.
+export function detectDelimiter(text) {
+  const header = String(text).replace(/^\uFEFF/, "").split(/\r?\n/).find((l) => l.trim() && !l.trim().startsWith("#")) ?? "";
+  let best = ",";
+  let bestCount = 1;
+  for (const d of ["\t", ";", ","]) {
+    const count = parseCsv(header, d)[0]?.cells.length ?? 0;
+    if (count > bestCount) { best = d; bestCount = count; }
+  }
+  return best;
+}
+
+const PLAIN_NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+// Parses one cell as a number; NaN when it is not one. With a decimal comma,
+// "1.013,25" and "1013,25" both read as 1013.25.
+export function parseDecimal(cell, decimal = "point") {
+  let s = String(cell).trim().replace(/\s/g, "");
+  if (decimal === "comma") {
+    if (/^[-+]?\d{1,3}(\.\d{3})+(,\d*)?$/.test(s)) s = s.replace(/\./g, "");
+    else if (s.includes(".")) return NaN;
+    s = s.replace(",", ".");
+  } else if (/^[-+]?\d{1,3}(,\d{3})+(\.\d*)?$/.test(s)) {
+    s = s.replace(/,/g, "");
+  }
+  return PLAIN_NUMBER.test(s) ? Number(s) : NaN;
+}
+
+// A comma can only be a decimal separator when it is not the delimiter.
+export function detectDecimal(records, delimiter) {
+  if (delimiter === ",") return "point";
+  return records.some((r) => r.cells.some((c) => /^\s*[-+]?\d*,\d+\s*$/.test(c))) ? "comma" : "point";
+}
+
+const ALIASES = { t: "Temperature", temp: "Temperature", rh: "Humidity", hum: "Humidity", td: "DewPoint", p: "Pressure" };
+
+const normalize = (s) => String(s).replace(/[([{].*?[)\]}]/g, "").replace(/₂/g, "2").toLowerCase().replace(/[%°\s_\-.#]/g, "");
+const lookup = (key) => PARAMETERS.find((p) => normalize(p.name) === key || normalize(p.label) === key)?.name ?? ALIASES[key] ?? null;
+
+// "Humidity 2 (%RH)", "rh_1", "CO₂ [ppm]" -> registry name, or null. A
+// trailing number marks one of several columns for the same parameter.
+export function headerParameter(header) {
+  const key = normalize(header);
+  if (!key) return null;
+  return lookup(key) ?? lookup(key.replace(/(?<=[a-z])\d+$/, ""));
+}
+
+// "Temperature (°F)", "T [K]", "temp (degC)" -> the unit's id, °C without a
+// unit and null for a unit that is not a temperature unit.
+export function headerTemperatureUnit(header) {
+  const inside = /[([{]\s*(.*?)\s*[)\]}]/.exec(header)?.[1] ?? "";
+  if (inside === "") return CANONICAL_TEMPERATURE_UNIT;
+  const key = inside.replace(/^deg(?:rees?)?\s*|°/gi, "").toUpperCase();
+  return TEMPERATURE_UNITS.find((u) => u.id.replace("°", "") === key)?.id ?? null;
+}
+
+const decimalHint = (cell, dec) =>
+  dec === "point" && cell.includes(",") ? " (is the file using a decimal comma?)"
+    : dec === "comma" && cell.includes(".") ? " (is the file using a decimal point?)" : "";
+
+const fmtValue = (def, n) => `${def.label} ${n}`;
+
+/**
+ * Reads a CSV plan. `delimiter` and `decimal` default to "auto".
+ * Returns { setpoints, errors, notes, delimiter, decimal, layout, rows }:
+ * `errors` are "Row N: …" strings, `notes` list ignored columns.
+ */
+export function csvToSetpoints(text, { delimiter = "auto", decimal = "auto" } = {}) {
+  const delim = delimiter === "auto" ? detectDelimiter(text) : delimiter;
+  const records = parseCsv(text, delim).filter((r) => r.cells.some((c) => c.trim() !== "") && !r.cells[0].trim().startsWith("#"));
+  const dec = decimal === "auto" ? detectDecimal(records.slice(1), delim) : decimal;
+  const result = { setpoints: [], errors: [], notes: [], delimiter: delim, decimal: dec, layout: "long", rows: 0 };
+  if (records.length < 2) {
+    result.errors.push("The CSV needs a header row and at least one data row.");
+    return result;
+  }
+
+  const [header, ...rows] = records;
+  const columns = header.cells.map((h) => getParameter(headerParameter(h)));
+  header.cells.forEach((h, i) => {
+    if (!columns[i] && h.trim()) result.notes.push(`Column "${h.trim()}" is not a known parameter and was ignored.`);
+  });
+  const units = header.cells.map((h, i) => (columns[i] && isTemperature(columns[i]) ? headerTemperatureUnit(h) : CANONICAL_TEMPERATURE_UNIT));
+  const badUnit = units.findIndex((u) => u === null);
+  if (badUnit >= 0) {
+    result.errors.push(`Header: "${header.cells[badUnit].trim()}" names a unit other than ${TEMPERATURE_UNITS.map((u) => u.id).join(", ")}.`);
+    return result;
+  }
+  const primaryCols = columns.flatMap((def, i) => def?.primary ? [i] : []);
+  if (primaryCols.length !== 1) {
+    result.errors.push(primaryCols.length
+      ? `Header: only one ${PRIMARY_PARAMETER.name} column is allowed.`
+      : `Header: a ${PRIMARY_PARAMETER.name} column is required (found ${header.cells.map((h) => `"${h.trim()}"`).join(", ")} split on ${delimiterName(delim)}).`);
+    return result;
+  }
+  const primaryCol = primaryCols[0];
+  const counts = {};
+  columns.forEach((def) => { if (def) counts[def.name] = (counts[def.name] || 0) + 1; });
+  if (Object.values(counts).some((n) => n > 1)) result.layout = "wide";
+
+  let current = null;
+  for (const { line, cells } of rows) {
+    result.rows += 1;
+    const at = `Row ${line}`;
+    const rowErrors = [];
+    const read = (i) => {
+      const cell = (cells[i] ?? "").trim();
+      if (cell === "") return null;
+      const n = parseDecimal(cell, dec);
+      if (!Number.isFinite(n)) {
+        rowErrors.push(`${at}: "${cell}" in ${header.cells[i].trim()} is not a number${decimalHint(cell, dec)}.`);
+        return null;
+      }
+      const shown = displayParameter(columns[i], units[i]);
+      if (!isInRange(n, shown)) {
+        rowErrors.push(`${at}: ${fmtValue(columns[i], n)} is outside ${formatRange(shown)}.`);
+        return null;
+      }
+      // Converted values keep their precision; the form shows them in its own unit.
+      return units[i] === CANONICAL_TEMPERATURE_UNIT ? roundTo(n, columns[i].decimals) : toCanonical(n, columns[i], units[i]);
+    };
+    if (cells.length > header.cells.length && cells.slice(header.cells.length).some((c) => c.trim())) {
+      rowErrors.push(`${at}: has ${cells.length} cells but the header has ${header.cells.length}.`);
+    }
+
+    const primaryCell = (cells[primaryCol] ?? "").trim();
+    const primary = read(primaryCol);
+    const values = [];
+    columns.forEach((def, i) => {
+      if (!def || def.primary) return;
+      const n = read(i);
+      if (n !== null) values.push({ parameter: def.name, nominal: n });
+    });
+
+    let target = null;
+    if (primaryCell === "") {
+      if (current) target = current;
+      else rowErrors.push(`${at}: missing ${PRIMARY_PARAMETER.name}.`);
+    } else if (primary !== null) {
+      target = current && current.primary === primary && result.layout === "long" ? current : null;
+    }
+    if (rowErrors.length) {
+      result.errors.push(...rowErrors);
+      // A bad temperature would otherwise glue its continuation rows to the previous setpoint.
+      if (primaryCell !== "") current = null;
+      continue;
+    }
+    if (!target) {
+      target = { primary, values: [] };
+      result.setpoints.push(target);
+    }
+    for (const v of values) {
+      if (target.values.some((o) => o.parameter === v.parameter && o.nominal === v.nominal)) {
+        result.errors.push(`${at}: ${fmtValue(getParameter(v.parameter), v.nominal)} is already listed for ${target.primary} ${PRIMARY_PARAMETER.unit}.`);
+      } else {
+        target.values.push(v);
+      }
+    }
+    current = target;
+  }
+  if (result.errors.length === 0 && result.setpoints.length === 0) result.errors.push("The CSV contains no setpoints.");
+  return result;
+}
+
+// ---- export ----
+function quoteCell(cell, delimiter) {
+  return /["\r\n]/.test(cell) || cell.includes(delimiter) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+/**
+ * Writes setpoints as CSV, rounded like buildPayload. Headers carry the unit
+ * ("Humidity (%RH)") and read back through csvToSetpoints. Starts with a BOM
+ * so Excel detects UTF-8. Per-system targeting is not represented.
+ */
+export function setpointsToCsv(setpoints, { delimiter = ",", decimal = "point", layout = "long" } = {}) {
+  const used = PARAMETERS.filter((def) => !def.primary && setpoints.some((sp) => sp.values.some((v) => v.parameter === def.name)));
+  const num = (n, def) => {
+    const s = String(roundTo(n, def.decimals));
+    return decimal === "comma" ? s.replace(".", ",") : s;
+  };
+  const head = (def, i) => `${def.name}${i ? ` ${i}` : ""} (${def.unit})`;
+  const valuesOf = (sp, def) => sp.values.filter((v) => v.parameter === def.name).map((v) => num(v.nominal, def));
+  const lines = [];
+
+  if (layout === "wide") {
+    const widths = used.map((def) => Math.max(...setpoints.map((sp) => valuesOf(sp, def).length)));
+    lines.push([head(PRIMARY_PARAMETER), ...used.flatMap((def, k) => Array.from({ length: widths[k] }, (_, i) => head(def, widths[k] > 1 ? i + 1 : 0)))]);
+    for (const sp of setpoints) {
+      lines.push([num(sp.primary, PRIMARY_PARAMETER), ...used.flatMap((def, k) => {
+        const vals = valuesOf(sp, def);
+        return Array.from({ length: widths[k] }, (_, i) => vals[i] ?? "");
+      })]);
+    }
+  } else {
+    lines.push([head(PRIMARY_PARAMETER), ...used.map((def) => head(def))]);
+    for (const sp of setpoints) {
+      const cols = used.map((def) => valuesOf(sp, def));
+      const height = Math.max(1, ...cols.map((c) => c.length));
+      for (let i = 0; i < height; i++) lines.push([num(sp.primary, PRIMARY_PARAMETER), ...cols.map((c) => c[i] ?? "")]);
+    }
+  }
+  return "\uFEFF" + lines.map((cells) => cells.map((c) => quoteCell(c, delimiter)).join(delimiter)).join("\r\n") + "\r\n";
+}
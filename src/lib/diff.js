@@ -0,0 +1,197 @@
+import { PRIMARY_PARAMETER, SECONDARY_PARAMETERS, isInRange, roundTo } from "./parameters.js";
+import { isValidSystemId, newSystem, newValue, targetSystems } from "./calibration.js";
+import { effectiveCriteria } from "./criteria.js";
+import { duplicateGroup } from "./groups.js";
+
+// Compares two plans ({ systems, groups }) by what they would emit: blank and
+// out-of-range entries are ignored, systems are compared by system_id and
+// criteria by their effective values. Setpoints are matched by temperature
+// (the n-th 20 °C on one side with the n-th 20 °C on the other) and aligned
+// in order, like a line diff.
+
+const numberOf = (raw, def) => {
+  if (raw === "") return null;
+  const n = Number(raw);
+  return isInRange(n, def) ? roundTo(n, def.decimals) : null;
+};
+
+/** Comparable form of a group: { primary, values: { name: [n] }, systems: { name: [system_id] }, criteria: { name: {} } }, or null when it emits nothing. */
+export function describeGroup(group, systems) {
+  const primary = numberOf(group.primary, PRIMARY_PARAMETER);
+  if (primary === null) return null;
+  const values = {};
+  for (const def of SECONDARY_PARAMETERS) {
+    const nums = group.values.filter((v) => v.parameter === def.name).map((v) => numberOf(v.nominal, def)).filter((n) => n !== null);
+    if (nums.length) values[def.name] = nums;
+  }
+  const used = [PRIMARY_PARAMETER.name, ...Object.keys(values)];
+  const ids = (name) => targetSystems(group, name, systems).map((s) => Number(s.systemId)).filter(isValidSystemId).sort((a, b) => a - b);
+  return {
+    primary,
+    values,
+    systems: Object.fromEntries(used.map((name) => [name, ids(name)])),
+    criteria: Object.fromEntries(used.map((name) => [name, effectiveCriteria(group, name)])),
+  };
+}
+
+const sameList = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
+const sameCriteria = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Values of `a` not matched one-for-one in `b`.
+function missingFrom(a = [], b = []) {
+  const rest = [...b];
+  return a.filter((n) => {
+    const i = rest.indexOf(n);
+    if (i < 0) return true;
+    rest.splice(i, 1);
+    return false;
+  });
+}
+
+function groupChanges(l, r) {
+  const changes = [];
+  for (const def of SECONDARY_PARAMETERS) {
+    for (const nominal of missingFrom(l.values[def.name], r.values[def.name])) changes.push({ type: "value-removed", parameter: def.name, nominal });
+    for (const nominal of missingFrom(r.values[def.name], l.values[def.name])) changes.push({ type: "value-added", parameter: def.name, nominal });
+  }
+  for (const name of Object.keys(l.systems)) {
+    if (r.systems[name] && !sameList(l.systems[name], r.systems[name])) {
+      changes.push({ type: "systems", parameter: name, left: l.systems[name], right: r.systems[name] });
+    }
+  }
+  const common = Object.keys(l.criteria).filter((name) => r.criteria[name]);
+  if (common.some((name) => !sameCriteria(l.criteria[name], r.criteria[name]))) {
+    changes.push({ type: "criteria", left: l.criteria, right: r.criteria });
+  }
+  return changes;
+}
+
+// Longest common subsequence of two key lists, as [i | null, j | null] pairs in order.
+function align(a, b) {
+  const dp = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      dp[i][j] = a[i] === b[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+    }
+  }
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) pairs.push([i++, j++]);
+    else if (i < a.length && (j === b.length || dp[i + 1][j] >= dp[i][j + 1])) pairs.push([i++, null]);
+    else pairs.push([null, j++]);
+  }
+  return pairs;
+}
+
+function describeAll(plan) {
+  const seen = new Map();
+  return plan.groups.flatMap((group, index) => {
+    const desc = describeGroup(group, plan.systems);
+    if (!desc) return [];
+    const n = (seen.get(desc.primary) || 0) + 1;
+    seen.set(desc.primary, n);
+    return [{ index, group, desc, key: `${desc.primary}#${n}` }];
+  });
+}
+
+/**
+ * Rows of a side-by-side comparison: { status: "same" | "modified" | "added" |
+ * "removed", left, right, changes, insertAt } where left/right are
+ * { index, group, desc } or null. "added" rows exist only on the right and
+ * carry the left-hand group index to insert at.
+ */
+export function diffPlans(left, right) {
+  const a = describeAll(left);
+  const b = describeAll(right);
+  const rows = [];
+  let insertAt = a.length ? a[0].index : left.groups.length;
+  for (const [i, j] of align(a.map((x) => x.key), b.map((x) => x.key))) {
+    if (i !== null) insertAt = a[i].index + 1;
+    if (i !== null && j !== null) {
+      const changes = groupChanges(a[i].desc, b[j].desc);
+      rows.push({ status: changes.length ? "modified" : "same", left: a[i], right: b[j], changes });
+    } else if (i !== null) {
+      rows.push({ status: "removed", left: a[i], right: null, changes: [] });
+    } else {
+      rows.push({ status: "added", left: null, right: b[j], changes: [], insertAt });
+    }
+  }
+  return rows;
+}
+
+export function summarizeDiff(rows) {
+  const count = (status) => rows.filter((r) => r.status === status).length;
+  return { added: count("added"), removed: count("removed"), modified: count("modified"), same: count("same") };
+}
+
+// ---- merging into the left-hand plan ----
+
+// Adds systems for the system_ids the plan lacks. Parameters that went to
+// every system stay on the existing ones, so nothing else changes.
+function ensureSystems(plan, ids) {
+  const missing = [...new Set(ids)].filter((id) => !plan.systems.some((s) => Number(s.systemId) === id));
+  if (missing.length === 0) return plan;
+  const existing = plan.systems.map((s) => s.id);
+  const pin = (g) => {
+    const targets = { ...g.targets };
+    for (const name of [PRIMARY_PARAMETER.name, ...g.values.map((v) => v.parameter)]) targets[name] ??= existing;
+    return { ...g, targets };
+  };
+  return { systems: [...plan.systems, ...missing.map((id) => newSystem(String(id)))], groups: plan.groups.map(pin) };
+}
+
+// Points `parameter` of `group` at the given system_ids, which must all exist.
+function withSystemIds(group, parameter, ids, systems) {
+  const keys = systems.filter((s) => ids.includes(Number(s.systemId))).map((s) => s.id);
+  const targets = { ...group.targets };
+  if (keys.length === systems.length) delete targets[parameter];
+  else targets[parameter] = keys;
+  return { ...group, targets };
+}
+
+/**
+ * Applies one difference to `plan` (the left-hand side of `row`). Pass a
+ * `change` from `row.changes` for modified rows. Returns { systems, groups }.
+ */
+export function mergeDifference(plan, row, change = null) {
+  if (row.status === "removed") {
+    return { systems: plan.systems, groups: plan.groups.filter((g) => g.id !== row.left.group.id) };
+  }
+  if (row.status === "added") {
+    const wanted = row.right.desc.systems;
+    const next = ensureSystems(plan, Object.values(wanted).flat());
+    let group = { ...duplicateGroup(row.right.group), targets: {} };
+    for (const [name, ids] of Object.entries(wanted)) group = withSystemIds(group, name, ids, next.systems);
+    return { systems: next.systems, groups: [...next.groups.slice(0, row.insertAt), group, ...next.groups.slice(row.insertAt)] };
+  }
+
+  const id = row.left.group.id;
+  const update = (p, fn) => ({ systems: p.systems, groups: p.groups.map((g) => (g.id === id ? fn(g) : g)) });
+  if (change.type === "value-added") {
+    const value = newValue(change.parameter, String(change.nominal));
+    if (row.left.desc.values[change.parameter] !== undefined) return update(plan, (g) => ({ ...g, values: [...g.values, value] }));
+    // A parameter new to the group also takes the other side's systems.
+    const ids = row.right.desc.systems[change.parameter];
+    const next = ensureSystems(plan, ids);
+    return update(next, (g) => withSystemIds({ ...g, values: [...g.values, value] }, change.parameter, ids, next.systems));
+  }
+  if (change.type === "value-removed") {
+    const def = SECONDARY_PARAMETERS.find((d) => d.name === change.parameter);
+    return update(plan, (g) => {
+      const victim = g.values.find((v) => v.parameter === change.parameter && numberOf(v.nominal, def) === change.nominal);
+      return { ...g, values: g.values.filter((v) => v !== victim) };
+    });
+  }
+  if (change.type === "systems") {
+    const next = ensureSystems(plan, change.right);
+    return update(next, (g) => withSystemIds(g, change.parameter, change.right, next.systems));
+  }
+  // criteria
+  const criteria = row.right.group.criteria;
+  return update(plan, (g) => {
+    const { criteria: _, ...rest } = g;
+    return criteria ? { ...rest, criteria: Object.fromEntries(Object.entries(criteria).map(([scope, c]) => [scope, { ...c }])) } : rest;
+  });
+}
@@ -0,0 +1,194 @@
+import { PRIMARY_PARAMETER, roundTo } from "./parameters.js";
+import { CANONICAL_TEMPERATURE_UNIT, deltaFromCanonical, fromCanonical, unitFor } from "./units.js";
+
+// Chamber capability envelope: the temperature span the chamber reaches, the
+// (temperature, %RH) polygon inside which it can control humidity, and the
+// lowest dew point it can produce. Points outside are errors; points within
+// the margins of a limit are warnings.
+export const DEFAULT_ENVELOPE = {
+  enabled: true,
+  tMin: -40,
+  tMax: 150,
+  // [temperature °C, humidity %RH] vertices, in order around the polygon
+  polygon: [[10, 20], [10, 90], [40, 98], [85, 98], [95, 80], [95, 10], [60, 10], [25, 15]],
+  minDewPoint: -15,
+  tMargin: 1,
+  rhMargin: 2,
+  dewPointMargin: 1,
+};
+
+const STORAGE_KEY = "calpoints.envelope.v1";
+
+// ---- psychrometrics (Magnus formula over water, Sonntag constants) ----
+const MAGNUS_B = 17.62;
+const MAGNUS_C = 243.12;
+
+// Saturation vapour pressure in hPa.
+export function saturationVaporPressure(t) {
+  return 6.112 * Math.exp((MAGNUS_B * t) / (MAGNUS_C + t));
+}
+
+// Dew point in °C; -Infinity for 0 %RH.
+export function dewPoint(t, rh) {
+  if (rh <= 0) return -Infinity;
+  const g = Math.log(rh / 100) + (MAGNUS_B * t) / (MAGNUS_C + t);
+  return (MAGNUS_C * g) / (MAGNUS_B - g);
+}
+
+// Absolute humidity in g/m³.
+export function absoluteHumidity(t, rh) {
+  return (216.7 * (rh / 100) * saturationVaporPressure(t)) / (273.15 + t);
+}
+
+// Ray casting; points on an edge count as inside.
+export function pointInPolygon(t, rh, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [ti, ri] = polygon[i];
+    const [tj, rj] = polygon[j];
+    const cross = (tj - ti) * (rh - ri) - (rj - ri) * (t - ti);
+    if (cross === 0 && t >= Math.min(ti, tj) && t <= Math.max(ti, tj) && rh >= Math.min(ri, rj) && rh <= Math.max(ri, rj)) return true;
+    if ((ri > rh) !== (rj > rh) && t < ((tj - ti) * (rh - ri)) / (rj - ri) + ti) inside = !inside;
+  }
+  return inside;
+}
+
+const fmt = (n, d = 1) => (Number.isFinite(n) ? n.toFixed(d) : "–∞");
+
+// Temperatures in messages, in the unit the form shows them in.
+function temperatureText(unit) {
+  const u = unitFor(PRIMARY_PARAMETER, unit);
+  const number = (n) => roundTo(fromCanonical(n, PRIMARY_PARAMETER, unit), PRIMARY_PARAMETER.decimals + 2);
+  return {
+    number,
+    value: (n) => `${number(n)} ${u}`,
+    rounded: (n) => `${fmt(Number.isFinite(n) ? number(n) : n)} ${u}`,
+    delta: (n) => `${deltaFromCanonical(n, PRIMARY_PARAMETER, unit)} ${u}`,
+  };
+}
+
+function checkTemperature(t, env, T) {
+  if (t < env.tMin || t > env.tMax) {
+    return { level: "error", message: `${T.value(t)} is outside the chamber range ${T.number(env.tMin)}–${T.value(env.tMax)}.` };
+  }
+  if (t < env.tMin + env.tMargin || t > env.tMax - env.tMargin) {
+    return { level: "warning", message: `${T.value(t)} is within ${T.delta(env.tMargin)} of the chamber range limit.` };
+  }
+  return null;
+}
+
+function checkDewPoint(td, env, label, T) {
+  if (td < env.minDewPoint) {
+    return { level: "error", message: `${label} ${T.rounded(td)} is below the chamber minimum of ${T.value(env.minDewPoint)}.` };
+  }
+  if (td < env.minDewPoint + env.dewPointMargin) {
+    return { level: "warning", message: `${label} ${T.rounded(td)} is within ${T.delta(env.dewPointMargin)} of the chamber minimum.` };
+  }
+  return null;
+}
+
+function checkHumidity(t, rh, env, T) {
+  const issues = [];
+  const td = dewPoint(t, rh);
+  if (!pointInPolygon(t, rh, env.polygon)) {
+    issues.push({ level: "error", message: `${rh} %RH at ${T.value(t)} is outside the chamber humidity envelope.` });
+  } else if (
+    !pointInPolygon(t, rh + env.rhMargin, env.polygon) || !pointInPolygon(t, rh - env.rhMargin, env.polygon) ||
+    !pointInPolygon(t + env.tMargin, rh, env.polygon) || !pointInPolygon(t - env.tMargin, rh, env.polygon)
+  ) {
+    issues.push({ level: "warning", message: `${rh} %RH at ${T.value(t)} is close to the edge of the humidity envelope.` });
+  }
+  const dp = checkDewPoint(td, env, "Dew point", T);
+  if (dp) issues.push(dp);
+  return { issues, dewPoint: td, absoluteHumidity: absoluteHumidity(t, rh) };
+}
+
+const worst = (issues) => (issues.some((i) => i.level === "error") ? "error" : issues.length ? "warning" : null);
+
+/**
+ * Checks every group against the envelope. Returns { entries, errors, warnings }
+ * where `entries` maps a group id (temperature) or value id (humidity, dew
+ * point) to { level, messages, dewPoint?, absoluteHumidity? }. Messages state
+ * temperatures in `unit`; `dewPoint` stays in °C.
+ */
+export function evaluateEnvelope(groups, env, unit = CANONICAL_TEMPERATURE_UNIT) {
+  const T = temperatureText(unit);
+  const entries = {};
+  let errors = 0;
+  let warnings = 0;
+  const record = (id, issues, extra = {}) => {
+    const level = worst(issues);
+    if (level === "error") errors += 1;
+    if (level === "warning") warnings += 1;
+    entries[id] = { level, messages: issues.map((i) => i.message), ...extra };
+  };
+  if (!env?.enabled) return { entries, errors, warnings };
+
+  for (const g of groups) {
+    if (g.primary === "") continue;
+    const t = Number(g.primary);
+    if (!Number.isFinite(t)) continue;
+    const tIssue = checkTemperature(t, env, T);
+    record(g.id, tIssue ? [tIssue] : []);
+    for (const v of g.values) {
+      if (v.nominal === "") continue;
+      const n = Number(v.nominal);
+      if (!Number.isFinite(n)) continue;
+      if (v.parameter === "Humidity") {
+        const { issues, ...extra } = checkHumidity(t, n, env, T);
+        record(v.id, issues, extra);
+      } else if (v.parameter === "DewPoint") {
+        const issues = [];
+        const dp = checkDewPoint(n, env, "Dew point", T);
+        if (dp) issues.push(dp);
+        if (n > t) issues.push({ level: "error", message: `Dew point ${T.value(n)} is above the air temperature ${T.value(t)}.` });
+        record(v.id, issues, { absoluteHumidity: (216.7 * saturationVaporPressure(n)) / (273.15 + t) });
+      }
+    }
+  }
+  return { entries, errors, warnings };
+}
+
+// ---- editing helpers ----
+export function formatPolygon(polygon) {
+  return polygon.map(([t, rh]) => `${t}, ${rh}`).join("\n");
+}
+
+// One "temperature, humidity" vertex per line. Returns { polygon } or { error }.
+export function parsePolygon(text) {
+  const lines = text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  const polygon = [];
+  for (const [i, line] of lines.entries()) {
+    const parts = line.split(/[\s,;]+/).filter(Boolean).map(Number);
+    if (parts.length !== 2 || !parts.every(Number.isFinite)) return { error: `Line ${i + 1}: expected "temperature, humidity".` };
+    if (parts[1] < 0 || parts[1] > 100) return { error: `Line ${i + 1}: humidity must be within 0–100 %RH.` };
+    polygon.push(parts);
+  }
+  if (polygon.length < 3) return { error: "The humidity envelope needs at least three vertices." };
+  return { polygon };
+}
+
+const NUMERIC_KEYS = ["tMin", "tMax", "minDewPoint", "tMargin", "rhMargin", "dewPointMargin"];
+
+export function loadEnvelope() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    if (!raw || typeof raw !== "object") return DEFAULT_ENVELOPE;
+    const ok = typeof raw.enabled === "boolean" &&
+      NUMERIC_KEYS.every((k) => Number.isFinite(raw[k])) &&
+      Array.isArray(raw.polygon) && raw.polygon.length >= 3 &&
+      raw.polygon.every((p) => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite));
+    return ok ? raw : DEFAULT_ENVELOPE;
+  } catch {
+    return DEFAULT_ENVELOPE;
+  }
+}
+
+export function saveEnvelope(envelope) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(envelope));
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,115 @@
+import YAML from "yaml";
+import { PRIMARY_PARAMETER } from "./parameters.js";
+import { payloadSystemIds } from "./calibration.js";
+import { DEFAULT_OUTPUT, unitFor } from "./units.js";
+
+// Export formats besides the JSON payload, and the filename template they all
+// share. Every exporter takes the payload as built by buildPayload, so the
+// files carry the same values, units and keys as the JSON output.
+
+export const EXPORT_FORMATS = [
+  { id: "yaml", label: "YAML (.yaml)", extension: "yaml", mimeType: "application/yaml" },
+  { id: "zip", label: "ZIP – one JSON file per setpoint", extension: "zip", mimeType: "application/zip" },
+  { id: "sheet", label: "Printable test sheet (.html)", extension: "html", mimeType: "text/html" },
+];
+
+export function payloadToYaml(payload) {
+  return YAML.stringify(payload);
+}
+
+// ---- filename templates ----
+export const DEFAULT_FILENAME_TEMPLATE = "calibration_setpoints_{systems}";
+const STORAGE_KEY = "calpoints.export.v1";
+
+export const FILENAME_FIELDS = [
+  { key: "systems", description: "system_1, or systems_1_2 for several" },
+  { key: "ids", description: "system ids, e.g. 1_2" },
+  { key: "count", description: "number of setpoints" },
+  { key: "date", description: "today as YYYY-MM-DD" },
+  { key: "time", description: "current time as HHMM" },
+  { key: "draft", description: "name of the open draft" },
+  { key: "profile", description: "device profile name" },
+  { key: "unit", description: "output temperature unit (C, F or K)" },
+  { key: "n", description: "setpoint number (per-setpoint files)" },
+  { key: "temperature", description: "setpoint temperature (per-setpoint files)" },
+];
+
+const PLACEHOLDER = /\{([^{}]*)\}/g;
+
+// Returns an error message or null.
+export function checkFilenameTemplate(template) {
+  if (template.trim() === "") return "Enter a filename template.";
+  for (const [, key] of template.matchAll(PLACEHOLDER)) {
+    if (!FILENAME_FIELDS.some((f) => f.key === key)) return `Unknown placeholder {${key}}.`;
+  }
+  if (/[{}]/.test(template.replace(PLACEHOLDER, ""))) return "Braces must enclose a placeholder such as {date}.";
+  return null;
+}
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+/** Values for the placeholders that describe the whole export. */
+export function filenameContext(payload, { date = new Date(), draft = "", profile = "", output = DEFAULT_OUTPUT } = {}) {
+  const ids = payloadSystemIds(payload);
+  return {
+    systems: ids.length > 1 ? `systems_${ids.join("_")}` : `system_${ids[0] ?? "none"}`,
+    ids: ids.join("_") || "none",
+    count: String(payload.length),
+    date: `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`,
+    time: `${pad2(date.getHours())}${pad2(date.getMinutes())}`,
+    draft,
+    profile,
+    unit: unitFor(PRIMARY_PARAMETER, output.temperatureUnit).replace("°", ""),
+    n: "",
+    temperature: "",
+  };
+}
+
+// Placeholders are filled in and anything a file system might object to
+// becomes "_"; separators left over from empty placeholders are dropped.
+export function renderFilename(template, context, extension) {
+  const base = template
+    .replace(PLACEHOLDER, (_, key) => context[key] ?? "")
+    .replace(/[^A-Za-z0-9._-]+/g, "_")
+    .replace(/_+/g, "_")
+    .replace(/^[._-]+|[._-]+$/g, "");
+  return `${base || "calibration_setpoints"}.${extension}`;
+}
+
+/**
+ * One pretty-printed JSON file per setpoint, each a valid payload holding
+ * that setpoint alone. Templates without {n} get "_{n}" appended so the
+ * names stay unique.
+ */
+export function setpointFiles(payload, template, context) {
+  const perFile = template.includes("{n}") ? template : `${template}_{n}`;
+  const width = String(payload.length).length;
+  return payload.map((setpoint, i) => {
+    const primary = setpoint[0];
+    const name = renderFilename(perFile, {
+      ...context,
+      n: String(i + 1).padStart(width, "0"),
+      temperature: primary ? `${primary.nominal}${context.unit}` : "",
+    }, "json");
+    return { name, content: JSON.stringify([setpoint], null, 2) + "\n" };
+  });
+}
+
+export function loadFilenameTemplate() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    const template = raw?.filenameTemplate;
+    return typeof template === "string" && checkFilenameTemplate(template) === null ? template : DEFAULT_FILENAME_TEMPLATE;
+  } catch {
+    return DEFAULT_FILENAME_TEMPLATE;
+  }
+}
+
+export function saveFilenameTemplate(template) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ filenameTemplate: template }));
+    return true;
+  } catch {
+    return false;
+  }
+}
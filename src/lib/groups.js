@@ -0,0 +1,90 @@
+import { PRIMARY_PARAMETER, formatRange, isInRange, roundTo } from "./parameters.js";
+import { newGroup, newValue } from "./calibration.js";
+import { CANONICAL_TEMPERATURE_UNIT, displayParameter, fromCanonical, toCanonical } from "./units.js";
+
+// Structural edits on the group list: reordering, duplication and the bulk
+// operations. All functions return new arrays and leave their input alone.
+
+// Moves the item at `from` so it ends up at index `to`.
+export function moveItem(list, from, to) {
+  if (from === to || from < 0 || from >= list.length || to < 0 || to >= list.length) return list;
+  const next = list.slice();
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
+
+export function moveById(list, id, targetId) {
+  return moveItem(list, list.findIndex((x) => x.id === id), list.findIndex((x) => x.id === targetId));
+}
+
+// Moves a value one step among the values of the same parameter (the order
+// the payload uses); `dir` is -1 or 1.
+export function stepValue(values, id, dir) {
+  const item = values.find((v) => v.id === id);
+  if (!item) return values;
+  const peers = values.filter((v) => v.parameter === item.parameter);
+  const neighbour = peers[peers.indexOf(item) + dir];
+  return neighbour ? moveById(values, id, neighbour.id) : values;
+}
+
+// Copy with fresh ids; per-system targets and criteria are kept.
+export function duplicateGroup(group) {
+  const targets = Object.fromEntries(Object.entries(group.targets || {}).map(([name, keys]) => [name, [...keys]]));
+  const copy = newGroup(group.primary, group.values.map((v) => newValue(v.parameter, v.nominal)), targets);
+  if (group.criteria) copy.criteria = Object.fromEntries(Object.entries(group.criteria).map(([scope, c]) => [scope, { ...c }]));
+  return copy;
+}
+
+export function insertDuplicate(groups, id) {
+  const i = groups.findIndex((g) => g.id === id);
+  return i < 0 ? groups : [...groups.slice(0, i + 1), duplicateGroup(groups[i]), ...groups.slice(i + 1)];
+}
+
+/**
+ * Adds `delta` to the primary value of the groups in `ids`; blank primaries
+ * are left alone. Returns { groups } or { error } when a result would leave
+ * the parameter's range. `delta` is in `unitId` (see units.js), and so is the
+ * rounding of the results.
+ */
+export function shiftPrimaries(groups, ids, delta, unitId = CANONICAL_TEMPERATURE_UNIT) {
+  if (!Number.isFinite(delta)) return { error: "Enter the amount to shift by." };
+  const def = displayParameter(PRIMARY_PARAMETER, unitId);
+  const shifted = new Map();
+  for (const g of groups) {
+    if (!ids.includes(g.id) || g.primary === "") continue;
+    const shown = fromCanonical(Number(g.primary), PRIMARY_PARAMETER, unitId);
+    const n = roundTo(shown + delta, def.decimals);
+    if (!isInRange(n, def)) return { error: `Shifting ${roundTo(shown, def.decimals + 2)} ${def.unit} by ${delta} would leave ${formatRange(def)}.` };
+    shifted.set(g.id, String(toCanonical(n, PRIMARY_PARAMETER, unitId)));
+  }
+  return { groups: groups.map((g) => (shifted.has(g.id) ? { ...g, primary: shifted.get(g.id) } : g)) };
+}
+
+// Sorts the groups in `ids` by primary value within the positions they
+// already occupy; other groups stay put. Blank primaries sort last.
+export function sortByPrimary(groups, ids, dir = 1) {
+  const slots = groups.flatMap((g, i) => (ids.includes(g.id) ? [i] : []));
+  const key = (g) => (g.primary === "" ? Infinity : dir * Number(g.primary));
+  const sorted = slots.map((i) => groups[i]).sort((a, b) => key(a) - key(b));
+  const next = groups.slice();
+  slots.forEach((slot, k) => { next[slot] = sorted[k]; });
+  return next;
+}
+
+// ---- keyboard entry ----
+// The value to type into after Enter: the group's first blank value of
+// `parameter`, or a new one appended. Returns { group, id }.
+export function withBlankValue(group, parameter, fresh = newValue(parameter)) {
+  const blank = group.values.find((v) => v.parameter === parameter && v.nominal === "");
+  if (blank) return { group, id: blank.id };
+  return { group: { ...group, values: [...group.values, fresh] }, id: fresh.id };
+}
+
+// Where focus goes when the item `id` leaves `list`: the next item, else the
+// previous one, else null.
+export function neighbourId(list, id) {
+  const i = list.findIndex((x) => x.id === id);
+  if (i < 0) return null;
+  return (list[i + 1] ?? list[i - 1])?.id ?? null;
+}
@@ -0,0 +1,39 @@
+// Undo/redo stack for an immutable value: { past, present, future, tag }.
+// Consecutive commits with the same non-null `tag` collapse into one step, so
+// typing into a field undoes as a whole rather than per keystroke.
+export const HISTORY_LIMIT = 100;
+
+export function initHistory(present) {
+  return { past: [], present, future: [], tag: null };
+}
+
+export function commit(history, next, tag = null) {
+  if (next === history.present) return history;
+  if (tag !== null && tag === history.tag) return { ...history, present: next, future: [] };
+  return {
+    past: [...history.past, history.present].slice(-HISTORY_LIMIT),
+    present: next,
+    future: [],
+    tag,
+  };
+}
+
+export function undo(history) {
+  if (history.past.length === 0) return history;
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future],
+    tag: null,
+  };
+}
+
+export function redo(history) {
+  if (history.future.length === 0) return history;
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1),
+    tag: null,
+  };
+}
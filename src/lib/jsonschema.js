@@ -0,0 +1,157 @@
+import { PARAMETERS, PRIMARY_PARAMETER, getParameter } from "./parameters.js";
+import { CRITERIA, criterionBounds } from "./criteria.js";
+import { CANONICAL_TEMPERATURE_UNIT, TEMPERATURE_UNITS, deltaFromCanonical, displayParameter, isTemperature } from "./units.js";
+
+// JSON Schema (draft 2020-12) of the calibration payload. The schema is
+// generated from the parameter and criteria registries; the copy in public/
+// is written by `npm run schema` and served next to the app, and a test keeps
+// the two in step.
+export const PAYLOAD_SCHEMA_FILE = "calibration-setpoints.schema.json";
+
+// Tolerance bounds depend on the parameter and are added per parameter below.
+const criterionSchema = (c) => {
+  if (c.key === "tolerance") return { type: "number", exclusiveMinimum: 0, description: `${c.label} in the parameter's unit.` };
+  return { type: c.decimals === 0 ? "integer" : "number", minimum: c.min, maximum: c.max, description: `${c.label}${c.unit ? ` in ${c.unit}` : ""}.` };
+};
+
+// Range rule for a parameter written in `unit`. A keyed rule only applies to
+// objects whose `unit` key names that unit; the other one also covers objects
+// without a `unit` key.
+function rangeRule(def, unit, keyed) {
+  const shown = displayParameter(def, unit);
+  const tolerance = criterionBounds(CRITERIA.find((c) => c.key === "tolerance"), def.name);
+  const match = { parameter: { const: def.name } };
+  if (isTemperature(def)) match.unit = { const: unit };
+  return {
+    if: { required: keyed ? ["parameter", "unit"] : ["parameter"], properties: match },
+    then: {
+      properties: {
+        nominal: { minimum: shown.min, maximum: shown.max },
+        tolerance: { maximum: deltaFromCanonical(tolerance.max, def, unit) },
+      },
+    },
+  };
+}
+
+// `temperatureUnit` is the unit assumed for temperatures without a `unit`
+// key; the published file uses °C.
+export function payloadSchema({ temperatureUnit = CANONICAL_TEMPERATURE_UNIT } = {}) {
+  const perParameter = PARAMETERS.flatMap((def) => [
+    {
+      if: { required: ["parameter"], properties: { parameter: { const: def.name } } },
+      then: { properties: { unit: { enum: isTemperature(def) ? TEMPERATURE_UNITS.map((u) => u.id) : [def.unit] } } },
+    },
+    rangeRule(def, temperatureUnit, false),
+    ...(isTemperature(def) ? TEMPERATURE_UNITS.filter((u) => u.id !== temperatureUnit).map((u) => rangeRule(def, u.id, true)) : []),
+  ]);
+  return {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    title: "Calibration setpoints",
+    description:
+      `A list of setpoints. Each setpoint is an array that starts with the ${PRIMARY_PARAMETER.name} object(s), ` +
+      "followed by the objects for the other parameters, one object per parameter value and system. " +
+      `Output format v2 adds the optional ${CRITERIA.map((c) => c.payloadKey).join(", ")} keys. ` +
+      `Temperatures are in ${temperatureUnit} unless the object has a unit key.`,
+    type: "array",
+    items: { $ref: "#/$defs/setpoint" },
+    $defs: {
+      setpoint: {
+        type: "array",
+        minItems: 1,
+        prefixItems: [{ allOf: [{ $ref: "#/$defs/value" }, { properties: { parameter: { const: PRIMARY_PARAMETER.name } } }] }],
+        items: { $ref: "#/$defs/value" },
+      },
+      value: {
+        type: "object",
+        required: ["system_id", "parameter", "nominal"],
+        additionalProperties: false,
+        properties: {
+          system_id: { type: "number", exclusiveMinimum: 0, description: "Target system." },
+          parameter: { enum: PARAMETERS.map((p) => p.name) },
+          nominal: { type: "number", description: "Nominal value in the parameter's unit." },
+          unit: { type: "string", description: "Unit of nominal and tolerance (optional)." },
+          ...Object.fromEntries(CRITERIA.map((c) => [c.payloadKey, criterionSchema(c)])),
+        },
+        allOf: perParameter,
+      },
+    },
+  };
+}
+
+export const PAYLOAD_SCHEMA = payloadSchema();
+
+// ---- validation ----
+// Covers the keywords payloadSchema() uses: $ref (local), type, enum, const,
+// minimum/maximum, exclusiveMinimum, minItems, prefixItems, items,
+// properties, required, additionalProperties: false, allOf and if/then.
+const typeOf = (v) => (Array.isArray(v) ? "array" : v === null ? "null" : typeof v);
+
+function matchesType(value, type) {
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "number") return typeof value === "number" && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function resolve(ref, root) {
+  if (!ref.startsWith("#/")) throw new Error(`Unsupported $ref ${ref}`);
+  return ref.slice(2).split("/").reduce((node, key) => node[key], root);
+}
+
+function check(value, schema, path, root, errors) {
+  if (schema.$ref) check(value, resolve(schema.$ref, root), path, root, errors);
+  const fail = (message) => errors.push({ path, message });
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    fail(`must be ${schema.type === "integer" ? "an integer" : schema.type === "array" || schema.type === "object" ? `an ${schema.type}` : `a ${schema.type}`}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) fail(`must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`);
+  if ("const" in schema && value !== schema.const) fail(`must be ${JSON.stringify(schema.const)}`);
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be greater than ${schema.exclusiveMinimum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? "" : "s"}`);
+    const prefix = schema.prefixItems || [];
+    value.forEach((item, i) => {
+      const itemSchema = i < prefix.length ? prefix[i] : schema.items;
+      if (itemSchema) check(item, itemSchema, [...path, i], root, errors);
+    });
+  }
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) if (!(key in value)) fail(`is missing "${key}"`);
+    for (const [key, v] of Object.entries(value)) {
+      if (schema.properties?.[key]) check(v, schema.properties[key], [...path, key], root, errors);
+      else if (schema.additionalProperties === false) errors.push({ path: [...path, key], message: "is not allowed" });
+    }
+  }
+  for (const sub of schema.allOf || []) check(value, sub, path, root, errors);
+  if (schema.if && schema.then) {
+    const probe = [];
+    check(value, schema.if, path, root, probe);
+    if (probe.length === 0) check(value, schema.then, path, root, errors);
+  }
+}
+
+/** Returns [{ path, message }] for every violation; `path` is an array of keys and indexes. */
+export function validateJson(value, schema = PAYLOAD_SCHEMA) {
+  const errors = [];
+  check(value, schema, [], schema, errors);
+  return errors;
+}
+
+// "Setpoint #2, object 3 (Humidity), nominal must be at most 100."
+export function describeSchemaError({ path, message }, payload) {
+  const [sp, obj, key] = path;
+  const parts = [];
+  if (sp !== undefined) parts.push(`Setpoint #${sp + 1}`);
+  if (obj !== undefined) {
+    const name = payload?.[sp]?.[obj]?.parameter;
+    parts.push(`object ${obj + 1}${getParameter(name) ? ` (${name})` : ""}`);
+  }
+  const where = parts.join(", ");
+  const subject = key !== undefined ? `${where ? `${where}, ` : ""}${key}` : where || "The payload";
+  return `${subject} ${message}.`;
+}
@@ -0,0 +1,35 @@
+// Parameter registry. Every calibration parameter the builder knows about is
+// described here; the group editor, payload builder, parser and validation are
+// all driven by these entries. Exactly one entry is the setpoint's primary
+// parameter: it is emitted first and every setpoint must have it.
+export const PARAMETERS = [
+  { name: "Temperature", label: "Temperature", unit: "°C", min: -100, max: 200, decimals: 1, primary: true },
+  { name: "Humidity", label: "Humidity", unit: "%RH", min: 0, max: 100, decimals: 1 },
+  { name: "Pressure", label: "Pressure", unit: "hPa", min: 0, max: 2000, decimals: 1 },
+  { name: "CO2", label: "CO₂", unit: "ppm", min: 0, max: 10000, decimals: 0 },
+  { name: "DewPoint", label: "Dew point", unit: "°C", min: -80, max: 100, decimals: 1 },
+];
+
+export const PRIMARY_PARAMETER = PARAMETERS.find((p) => p.primary);
+export const SECONDARY_PARAMETERS = PARAMETERS.filter((p) => !p.primary);
+
+export function getParameter(name) {
+  return PARAMETERS.find((p) => p.name === name) || null;
+}
+
+export function stepFor(def) {
+  return def.decimals > 0 ? Number((10 ** -def.decimals).toFixed(def.decimals)) : 1;
+}
+
+export function roundTo(n, decimals) {
+  const f = 10 ** decimals;
+  return Math.round(n * f) / f;
+}
+
+export function isInRange(n, def) {
+  return Number.isFinite(n) && n >= def.min && n <= def.max;
+}
+
+export function formatRange(def) {
+  return `${def.min}–${def.max} ${def.unit}`;
+}
@@ -0,0 +1,160 @@
+import { PARAMETERS, PRIMARY_PARAMETER } from "./parameters.js";
+import { BUILT_IN_PROFILES } from "./profiles.js";
+import { isValidSystemId, newGroup, newSystem, newValue, setpointToGroup } from "./calibration.js";
+import { csvToSetpoints } from "./csv.js";
+import { CRITERIA, GROUP_SCOPE } from "./criteria.js";
+
+// Plan files: a hand-written description of a run that the CLI turns into the
+// calibration payload. After YAML/JSON decoding a plan looks like
+//
+//   profile: LHT65N                # optional, validates against its ranges
+//   systems: [1, { id: 2, name: DUT }]   # optional, defaults to system 1
+//   setpoints:
+//     - Temperature: 20
+//       Humidity: [30, 60]
+//       systems: { Humidity: [2] }  # optional per-parameter targeting
+//       soak_minutes: 30            # optional criteria: a number for the whole
+//       tolerance: { Humidity: 2 }  # setpoint or a mapping per parameter
+//
+// Parameter keys match the registry names case-insensitively.
+
+const paramByKey = (key) => PARAMETERS.find((p) => p.name.toLowerCase() === String(key).trim().toLowerCase()) || null;
+
+// Built-in profile by id ("builtin:co2" or just "co2") or by name.
+export function findProfile(nameOrId) {
+  const key = String(nameOrId).trim().toLowerCase();
+  return BUILT_IN_PROFILES.find((p) => [p.id, p.id.replace(/^builtin:/, ""), p.name].some((k) => k.toLowerCase() === key)) || null;
+}
+
+const isNum = (n) => typeof n === "number" && Number.isFinite(n);
+
+function systemsFromList(list, errors) {
+  if (list == null) return [newSystem("1")];
+  if (!Array.isArray(list) || list.length === 0) {
+    errors.push("systems must be a non-empty list.");
+    return [];
+  }
+  return list.flatMap((entry, i) => {
+    const id = typeof entry === "object" && entry !== null ? entry.id : entry;
+    const name = typeof entry === "object" && entry !== null && entry.name != null ? String(entry.name) : "";
+    if (!isNum(id) || !isValidSystemId(id)) {
+      errors.push(`systems[${i}]: id must be a positive number (got ${JSON.stringify(id)}).`);
+      return [];
+    }
+    return [newSystem(String(id), name)];
+  });
+}
+
+// A criterion is a number for the whole setpoint or a { parameter: number } mapping.
+function readCriterion(crit, raw, criteria, at, errors) {
+  const set = (scope, n) => { criteria[scope] = { ...criteria[scope], [crit.key]: String(n) }; };
+  if (isNum(raw) && crit.groupScope) {
+    set(GROUP_SCOPE, raw);
+  } else if (raw !== null && typeof raw === "object" && !Array.isArray(raw)) {
+    for (const [key, n] of Object.entries(raw)) {
+      const def = paramByKey(key);
+      if (!def) errors.push(`${at}: unknown parameter "${key}".`);
+      else if (!isNum(n)) errors.push(`${at}.${key}: must be a number.`);
+      else set(def.name, n);
+    }
+  } else {
+    errors.push(`${at}: must be ${crit.groupScope ? "a number or " : ""}a mapping of parameter names to numbers.`);
+  }
+}
+
+/**
+ * Converts a decoded plan object into builder state.
+ * Returns { systems, groups, profile, errors }.
+ */
+export function planFromObject(plan) {
+  const errors = [];
+  if (plan === null || typeof plan !== "object" || Array.isArray(plan)) {
+    return { systems: [], groups: [], profile: null, errors: ["A plan must be an object with a setpoints list."] };
+  }
+  for (const key of Object.keys(plan)) {
+    if (!["profile", "systems", "setpoints"].includes(key)) errors.push(`Unexpected top-level key "${key}".`);
+  }
+
+  let profile = null;
+  if (plan.profile != null) {
+    profile = findProfile(plan.profile);
+    if (!profile) errors.push(`Unknown profile ${JSON.stringify(plan.profile)} (known: ${BUILT_IN_PROFILES.map((p) => p.name).join(", ")}).`);
+  }
+
+  const systems = systemsFromList(plan.systems, errors);
+  const keyFor = (sid) => systems.find((s) => s.systemId === String(sid))?.id;
+
+  if (!Array.isArray(plan.setpoints) || plan.setpoints.length === 0) {
+    errors.push("setpoints must be a non-empty list.");
+    return { systems, groups: [], profile, errors };
+  }
+
+  const groups = [];
+  plan.setpoints.forEach((sp, i) => {
+    const at = `setpoints[${i}]`;
+    if (sp === null || typeof sp !== "object" || Array.isArray(sp)) {
+      errors.push(`${at}: must be a mapping of parameter names to values.`);
+      return;
+    }
+    let primary = null;
+    const values = [];
+    const targets = {};
+    const criteria = {};
+    for (const [key, raw] of Object.entries(sp)) {
+      if (key === "systems") continue;
+      const crit = CRITERIA.find((c) => c.payloadKey === key);
+      if (crit) {
+        readCriterion(crit, raw, criteria, `${at}.${key}`, errors);
+        continue;
+      }
+      const def = paramByKey(key);
+      if (!def) {
+        errors.push(`${at}: unknown parameter "${key}" (expected one of ${PARAMETERS.map((p) => p.name).join(", ")}).`);
+        continue;
+      }
+      const nums = Array.isArray(raw) ? raw : [raw];
+      if (!nums.every(isNum)) {
+        errors.push(`${at}.${key}: values must be numbers.`);
+        continue;
+      }
+      if (def.primary) {
+        if (nums.length !== 1) errors.push(`${at}.${key}: exactly one ${def.name} value is required.`);
+        else primary = nums[0];
+      } else {
+        for (const n of nums) values.push(newValue(def.name, String(n)));
+      }
+    }
+    if (primary === null && !errors.some((e) => e.startsWith(`${at}.${PRIMARY_PARAMETER.name}`))) {
+      errors.push(`${at}: missing ${PRIMARY_PARAMETER.name}.`);
+    }
+    if (sp.systems != null) {
+      if (typeof sp.systems !== "object" || Array.isArray(sp.systems)) {
+        errors.push(`${at}.systems: must map parameter names to lists of system ids.`);
+      } else {
+        for (const [key, ids] of Object.entries(sp.systems)) {
+          const def = paramByKey(key);
+          const list = Array.isArray(ids) ? ids : [ids];
+          const missing = list.filter((sid) => !keyFor(sid));
+          if (!def) errors.push(`${at}.systems: unknown parameter "${key}".`);
+          else if (missing.length) errors.push(`${at}.systems.${key}: system id(s) ${missing.join(", ")} are not listed under systems.`);
+          else targets[def.name] = list.map(keyFor);
+        }
+      }
+    }
+    if (primary !== null) {
+      const group = newGroup(String(primary), values, targets);
+      groups.push(Object.keys(criteria).length ? { ...group, criteria } : group);
+    }
+  });
+
+  return { systems, groups: errors.length ? [] : groups, profile, errors };
+}
+
+// CSV plans use the spreadsheet format of csv.js. CSV has no place for
+// systems, so they come from `options`.
+export function planFromCsv(text, { systems, delimiter, decimal } = {}) {
+  const { setpoints, errors } = csvToSetpoints(text, { delimiter, decimal });
+  if (errors.length) return { systems: [], groups: [], profile: null, errors };
+  const sysErrors = [];
+  return { systems: systemsFromList(systems, sysErrors), groups: setpoints.map(setpointToGroup), profile: null, errors: sysErrors };
+}
@@ -0,0 +1,211 @@
+import { PARAMETERS, PRIMARY_PARAMETER, getParameter, isInRange, formatRange, roundTo } from "./parameters.js";
+import { CANONICAL_TEMPERATURE_UNIT, fromCanonical, isTemperature, unitFor } from "./units.js";
+
+// Device profiles: a named setpoint sequence for one sensor model plus the
+// parameter ranges that model accepts. Setpoints are stored as numbers:
+// { primary, values: [{ parameter, nominal }] }. A parameter missing from
+// `ranges` is not measured by the device.
+export const BUILT_IN_PROFILES = [
+  {
+    id: "builtin:lht65n",
+    name: "LHT65N",
+    description: "Dragino LHT65N temperature & humidity sensor – two-point check.",
+    builtIn: true,
+    setpoints: [
+      { primary: 20, values: [{ parameter: "Humidity", nominal: 60 }] },
+      { primary: 40, values: [{ parameter: "Humidity", nominal: 33 }] },
+    ],
+    ranges: { Temperature: { min: -40, max: 85 }, Humidity: { min: 0, max: 100 } },
+  },
+  {
+    id: "builtin:th-3point",
+    name: "Generic T/RH logger",
+    description: "Three humidity points at room temperature plus a cold and a warm temperature point.",
+    builtIn: true,
+    setpoints: [
+      { primary: 5, values: [] },
+      { primary: 25, values: [{ parameter: "Humidity", nominal: 30 }, { parameter: "Humidity", nominal: 50 }, { parameter: "Humidity", nominal: 70 }] },
+      { primary: 40, values: [] },
+    ],
+    ranges: { Temperature: { min: -20, max: 60 }, Humidity: { min: 10, max: 90 } },
+  },
+  {
+    id: "builtin:t-probe",
+    name: "Temperature probe",
+    description: "Temperature-only probe, four points across the working range.",
+    builtIn: true,
+    setpoints: [
+      { primary: -20, values: [] },
+      { primary: 0, values: [] },
+      { primary: 25, values: [] },
+      { primary: 50, values: [] },
+    ],
+    ranges: { Temperature: { min: -50, max: 150 } },
+  },
+  {
+    id: "builtin:co2",
+    name: "CO₂ sensor",
+    description: "NDIR CO₂ sensor at constant temperature and humidity.",
+    builtIn: true,
+    setpoints: [
+      { primary: 25, values: [{ parameter: "Humidity", nominal: 50 }, { parameter: "CO2", nominal: 400 }, { parameter: "CO2", nominal: 1000 }, { parameter: "CO2", nominal: 2000 }] },
+    ],
+    ranges: { Temperature: { min: 0, max: 50 }, Humidity: { min: 0, max: 95 }, CO2: { min: 0, max: 5000 } },
+  },
+];
+
+export const DEFAULT_PROFILE_ID = BUILT_IN_PROFILES[0].id;
+
+const PROFILE_FILE_KIND = "calpoints-profile";
+const STORAGE_KEY = "calpoints.profiles.v1";
+
+// Effective definition for a parameter under a profile: the registry entry
+// narrowed to the profile's range, or null when the profile excludes it.
+export function profileParameter(profile, name) {
+  const def = getParameter(name);
+  if (!def) return null;
+  if (!profile) return def;
+  const range = profile.ranges?.[name];
+  if (!range) return null;
+  return { ...def, min: Math.max(def.min, range.min), max: Math.min(def.max, range.max) };
+}
+
+// "20 °C / 60 %RH", with temperatures in `unit` (to the precision the group editor shows).
+export function formatSetpoint(setpoint, unit = CANONICAL_TEMPERATURE_UNIT) {
+  const shown = (n, def) => (isTemperature(def) ? roundTo(fromCanonical(n, def, unit), def.decimals + 2) : n);
+  const parts = [`${shown(setpoint.primary, PRIMARY_PARAMETER)} ${unitFor(PRIMARY_PARAMETER, unit)}`];
+  for (const def of PARAMETERS) {
+    const nums = setpoint.values.filter((v) => v.parameter === def.name).map((v) => shown(v.nominal, def));
+    if (nums.length) parts.push(`${nums.join(", ")} ${unitFor(def, unit)}`);
+  }
+  return parts.join(" / ");
+}
+
+export function formatRanges(profile) {
+  return PARAMETERS
+    .filter((def) => profile.ranges?.[def.name])
+    .map((def) => `${def.label} ${formatRange(profileParameter(profile, def.name))}`)
+    .join(", ");
+}
+
+// ---- file format ----
+export function serializeProfile(profile) {
+  const { name, description, setpoints, ranges } = profile;
+  return JSON.stringify({ kind: PROFILE_FILE_KIND, version: 1, profile: { name, description, setpoints, ranges } }, null, 2);
+}
+
+export function profileFilename(profile) {
+  const slug = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "") || "profile";
+  return `profile_${slug}.json`;
+}
+
+const isNum = (n) => typeof n === "number" && Number.isFinite(n);
+
+// Validates a profile object (from a file or from storage). Returns
+// { profile, errors }; `profile` is null when anything is wrong.
+export function validateProfile(raw) {
+  const errors = [];
+  if (raw === null || typeof raw !== "object" || Array.isArray(raw)) {
+    return { profile: null, errors: ["Profile must be an object."] };
+  }
+  if (typeof raw.name !== "string" || raw.name.trim() === "") errors.push("name must be a non-empty string.");
+  if (raw.description != null && typeof raw.description !== "string") errors.push("description must be a string.");
+
+  const ranges = raw.ranges;
+  if (ranges === null || typeof ranges !== "object" || Array.isArray(ranges)) {
+    errors.push("ranges must be an object keyed by parameter name.");
+  } else {
+    if (!ranges[PRIMARY_PARAMETER.name]) errors.push(`ranges must include ${PRIMARY_PARAMETER.name}.`);
+    for (const [name, r] of Object.entries(ranges)) {
+      const def = getParameter(name);
+      if (!def) {
+        errors.push(`ranges.${name}: unknown parameter.`);
+      } else if (!r || !isNum(r.min) || !isNum(r.max) || r.min > r.max) {
+        errors.push(`ranges.${name}: needs numeric min ≤ max.`);
+      } else if (!isInRange(r.min, def) || !isInRange(r.max, def)) {
+        errors.push(`ranges.${name}: must lie within ${formatRange(def)}.`);
+      }
+    }
+  }
+
+  if (!Array.isArray(raw.setpoints) || raw.setpoints.length === 0) {
+    errors.push("setpoints must be a non-empty array.");
+  } else if (errors.length === 0) {
+    raw.setpoints.forEach((sp, i) => {
+      const at = `setpoints[${i}]`;
+      const primaryDef = profileParameter(raw, PRIMARY_PARAMETER.name);
+      if (!sp || !isNum(sp.primary)) {
+        errors.push(`${at}.primary must be a number.`);
+      } else if (!isInRange(sp.primary, primaryDef)) {
+        errors.push(`${at}.primary ${sp.primary} is outside ${formatRange(primaryDef)}.`);
+      }
+      if (!Array.isArray(sp?.values)) {
+        errors.push(`${at}.values must be an array.`);
+        return;
+      }
+      sp.values.forEach((v, j) => {
+        const vat = `${at}.values[${j}]`;
+        const def = getParameter(v?.parameter);
+        if (!def || def.primary) {
+          errors.push(`${vat}: unknown parameter ${JSON.stringify(v?.parameter)}.`);
+          return;
+        }
+        const eff = profileParameter(raw, def.name);
+        if (!eff) errors.push(`${vat}: ${def.name} has no entry in ranges.`);
+        else if (!isNum(v.nominal)) errors.push(`${vat}.nominal must be a number.`);
+        else if (!isInRange(v.nominal, eff)) errors.push(`${vat}: ${def.name} ${v.nominal} is outside ${formatRange(eff)}.`);
+      });
+    });
+  }
+
+  if (errors.length) return { profile: null, errors };
+  return {
+    profile: {
+      name: raw.name.trim(),
+      description: raw.description || "",
+      setpoints: raw.setpoints.map((sp) => ({ primary: sp.primary, values: sp.values.map((v) => ({ parameter: v.parameter, nominal: v.nominal })) })),
+      ranges: Object.fromEntries(Object.entries(raw.ranges).map(([name, r]) => [name, { min: r.min, max: r.max }])),
+    },
+    errors,
+  };
+}
+
+export function parseProfileFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { profile: null, errors: [`Invalid JSON: ${e.message}`] };
+  }
+  if (data?.kind !== PROFILE_FILE_KIND) {
+    return { profile: null, errors: [`Not a profile file (expected "kind": "${PROFILE_FILE_KIND}").`] };
+  }
+  if (data.version !== 1) {
+    return { profile: null, errors: [`Unsupported profile file version ${JSON.stringify(data.version)}.`] };
+  }
+  const { profile, errors } = validateProfile(data.profile);
+  return { profile, errors: errors.map((e) => `profile.${e}`) };
+}
+
+// ---- user profile storage ----
+export function loadUserProfiles() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    if (!Array.isArray(raw)) return [];
+    return raw.flatMap((p) => {
+      const { profile } = validateProfile(p);
+      return profile && typeof p.id === "string" ? [{ ...profile, id: p.id, builtIn: false }] : [];
+    });
+  } catch {
+    return [];
+  }
+}
+
+export function saveUserProfiles(profiles) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,319 @@
+import { PARAMETERS, PRIMARY_PARAMETER, SECONDARY_PARAMETERS, getParameter, isInRange, roundTo } from "./parameters.js";
+import { isValidSystemId, targetSystems } from "./calibration.js";
+import { effectiveCriteria } from "./criteria.js";
+import { detectDecimal, detectDelimiter, headerParameter, parseCsv, parseDecimal } from "./csv.js";
+import { TEMPERATURE_UNITS, deltaFromCanonical, fromCanonical, toCanonical, unitFor } from "./units.js";
+
+// Calibration results recorded against the plan. Every object the payload
+// would contain is a measurement point; its reference and DUT readings are
+// kept as strings in the registry unit, like group values, under the key
+// "<group or value id>@<system key>":
+//
+//   { readings: { key: { reference, dut } }, uncertainty: { parameter: U } }
+//
+// `uncertainty` is the expanded (k=2) uncertainty of the reference per
+// parameter. Evaluation happens in the unit the report is written in.
+export const EMPTY_RESULTS = { readings: {}, uncertainty: {} };
+
+const isStr = (v) => typeof v === "string";
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+export function isResults(r) {
+  return isObj(r) && isObj(r.readings) && isObj(r.uncertainty) &&
+    Object.values(r.readings).every((e) => isObj(e) && isStr(e.reference) && isStr(e.dut)) &&
+    Object.entries(r.uncertainty).every(([name, u]) => getParameter(name) && isStr(u));
+}
+
+/**
+ * Measurement points in payload order: { key, setpoint (1-based), parameter,
+ * nominal, systemId, tolerance } with nominal and tolerance (or null) in the
+ * registry unit. Mirrors buildPayload's rules for what is emitted.
+ */
+export function resultPoints(groups, systems) {
+  const points = [];
+  let setpoint = 0;
+  const emit = (group, def, itemId, nominal, list) => {
+    const tolerance = effectiveCriteria(group, def.name).tolerance ?? null;
+    for (const s of targetSystems(group, def.name, systems)) {
+      const systemId = Number(s.systemId);
+      if (isValidSystemId(systemId)) list.push({ key: `${itemId}@${s.id}`, setpoint, parameter: def.name, nominal, systemId, tolerance });
+    }
+  };
+  for (const g of groups) {
+    const primary = g.primary === "" ? NaN : Number(g.primary);
+    if (!isInRange(primary, PRIMARY_PARAMETER)) continue;
+    const list = [];
+    setpoint += 1;
+    emit(g, PRIMARY_PARAMETER, g.id, primary, list);
+    if (list.length === 0) {
+      setpoint -= 1;
+      continue;
+    }
+    for (const def of SECONDARY_PARAMETERS) {
+      for (const v of g.values.filter((x) => x.parameter === def.name && x.nominal !== "")) {
+        if (isInRange(Number(v.nominal), def)) emit(g, def, v.id, Number(v.nominal), list);
+      }
+    }
+    points.push(...list);
+  }
+  return points;
+}
+
+// null for a blank reading, NaN for one that is not a number.
+export function parseReading(raw) {
+  if (raw === undefined || raw.trim() === "") return null;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+/**
+ * Least-squares line through (x, y): { n, slope, intercept, r2, residualSd },
+ * or null with fewer than two distinct x values. `residualSd` (n − 2 degrees
+ * of freedom) is null for two points.
+ */
+export function linearFit(xs, ys) {
+  const n = xs.length;
+  if (new Set(xs).size < 2) return null;
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxx += (xs[i] - mx) ** 2;
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    syy += (ys[i] - my) ** 2;
+  }
+  const slope = sxy / sxx;
+  const intercept = my - slope * mx;
+  const ssRes = xs.reduce((sum, x, i) => sum + (ys[i] - (slope * x + intercept)) ** 2, 0);
+  return {
+    n,
+    slope,
+    intercept,
+    r2: syy === 0 ? 1 : 1 - ssRes / syy,
+    residualSd: n > 2 ? Math.sqrt(ssRes / (n - 2)) : null,
+  };
+}
+
+/**
+ * Evaluates the readings in `unitId` (temperatures; other parameters keep
+ * their unit). Returns { rows, fits, summary }:
+ *   rows    one per point: nominal, reference, dut, error (DUT − reference),
+ *           correction (reference − DUT), tolerance and pass (true, false, or
+ *           null when unmeasured or without tolerance)
+ *   fits    per system and parameter with two or more readings: reference =
+ *           slope × DUT + intercept, plus the expanded uncertainty (k=2)
+ *           combining the reference uncertainty and the fit residual
+ *   summary counts and verdict: "pass", "fail" or "incomplete"
+ */
+export function evaluateResults(points, results, unitId) {
+  const rows = points.map((p) => {
+    const def = getParameter(p.parameter);
+    const entry = results.readings[p.key] || {};
+    const read = (raw) => {
+      const n = parseReading(raw);
+      return n === null || Number.isNaN(n) ? n : fromCanonical(n, def, unitId);
+    };
+    const reference = read(entry.reference);
+    const dut = read(entry.dut);
+    const measured = Number.isFinite(reference) && Number.isFinite(dut);
+    const error = measured ? roundTo(dut - reference, 6) : null;
+    const tolerance = p.tolerance === null ? null : deltaFromCanonical(p.tolerance, def, unitId);
+    return {
+      ...p,
+      unit: unitFor(def, unitId),
+      nominal: fromCanonical(p.nominal, def, unitId),
+      reference,
+      dut,
+      error,
+      correction: error === null ? null : -error,
+      tolerance,
+      pass: error === null || tolerance === null ? null : Math.abs(error) <= tolerance + 1e-9,
+    };
+  });
+
+  const fits = [];
+  const seen = new Set();
+  for (const row of rows) {
+    const id = `${row.systemId}:${row.parameter}`;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    const measured = rows.filter((r) => r.systemId === row.systemId && r.parameter === row.parameter && r.error !== null);
+    const fit = linearFit(measured.map((r) => r.dut), measured.map((r) => r.reference));
+    if (!fit) continue;
+    const def = getParameter(row.parameter);
+    const u = parseReading(results.uncertainty[row.parameter]);
+    const referenceUncertainty = Number.isFinite(u) && u >= 0 ? deltaFromCanonical(u, def, unitId) : 0;
+    const expandedUncertainty = 2 * Math.sqrt((referenceUncertainty / 2) ** 2 + (fit.residualSd ?? 0) ** 2);
+    fits.push({ systemId: row.systemId, parameter: row.parameter, unit: row.unit, ...fit, referenceUncertainty, expandedUncertainty });
+  }
+
+  const count = (fn) => rows.filter(fn).length;
+  const summary = {
+    points: rows.length,
+    measured: count((r) => r.error !== null),
+    passed: count((r) => r.pass === true),
+    failed: count((r) => r.pass === false),
+    unchecked: count((r) => r.error !== null && r.pass === null),
+  };
+  // A pass needs every point measured and within its tolerance.
+  summary.verdict = summary.failed > 0 ? "fail" : summary.points > 0 && summary.passed === summary.points ? "pass" : "incomplete";
+  return { rows, fits, summary };
+}
+
+/** Downloadable report: evaluation results rounded for reading, plus context. */
+export function resultsReport(evaluation, { systems = [], unitId, date = new Date(), title = "" } = {}) {
+  const { verdict, ...summary } = evaluation.summary;
+  const digits = (name, extra) => getParameter(name).decimals + extra;
+  const r = (n, d) => (n === null || Number.isNaN(n) ? null : roundTo(n, d));
+  return {
+    title,
+    generated: date.toISOString(),
+    temperature_unit: unitFor(PRIMARY_PARAMETER, unitId),
+    verdict,
+    summary,
+    systems: systems.map((s) => ({ system_id: Number(s.systemId), name: s.name })),
+    points: evaluation.rows.map((row) => ({
+      setpoint: row.setpoint,
+      system_id: row.systemId,
+      parameter: row.parameter,
+      unit: row.unit,
+      nominal: r(row.nominal, digits(row.parameter, 1)),
+      reference: r(row.reference, digits(row.parameter, 2)),
+      dut: r(row.dut, digits(row.parameter, 2)),
+      error: r(row.error, digits(row.parameter, 2)),
+      correction: r(row.correction, digits(row.parameter, 2)),
+      tolerance: r(row.tolerance, digits(row.parameter, 2)),
+      pass: row.pass,
+    })),
+    fits: evaluation.fits.map((f) => ({
+      system_id: f.systemId,
+      parameter: f.parameter,
+      unit: f.unit,
+      points: f.n,
+      slope: roundTo(f.slope, 6),
+      intercept: roundTo(f.intercept, digits(f.parameter, 3)),
+      r2: roundTo(f.r2, 6),
+      residual_sd: r(f.residualSd, digits(f.parameter, 3)),
+      reference_uncertainty: roundTo(f.referenceUncertainty, digits(f.parameter, 2)),
+      expanded_uncertainty: roundTo(f.expandedUncertainty, digits(f.parameter, 2)),
+      coverage_factor: 2,
+    })),
+  };
+}
+
+// ---- CSV logs ----
+const LOG_COLUMNS = {
+  setpoint: ["setpoint", "sp", "point", "#"],
+  system: ["system", "systemid", "sid"],
+  parameter: ["parameter", "param", "quantity"],
+  nominal: ["nominal", "setvalue", "target"],
+  unit: ["unit", "units"],
+  reference: ["reference", "ref", "referencereading"],
+  dut: ["dut", "dutreading", "device", "uut"],
+};
+const logColumn = (header) => {
+  const key = header.toLowerCase().replace(/\(.*?\)|[\s_\-.]/g, "");
+  return Object.keys(LOG_COLUMNS).find((col) => LOG_COLUMNS[col].includes(key)) ?? null;
+};
+
+/** A CSV log with one row per point and blank reading columns, for filling in at the chamber. */
+export function readingsTemplateCsv(points, unitId) {
+  const lines = ["setpoint,system_id,parameter,nominal,unit,reference,dut"];
+  for (const p of points) {
+    const def = getParameter(p.parameter);
+    lines.push([p.setpoint, p.systemId, p.parameter, fromCanonical(p.nominal, def, unitId), unitFor(def, unitId), "", ""].join(","));
+  }
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Reads a CSV log of readings: a header naming setpoint, parameter and
+ * reference and/or dut columns, optionally system_id, nominal and unit to
+ * tell points apart. Readings are in `unitId` unless a unit column says
+ * otherwise. Returns { readings, errors, rows } where `readings` holds the
+ * converted entries by point key (blank cells leave a reading unchanged).
+ */
+export function readingsFromCsv(text, points, { unitId, delimiter = "auto", decimal = "auto" } = {}) {
+  const delim = delimiter === "auto" ? detectDelimiter(text) : delimiter;
+  const records = parseCsv(text, delim).filter((r) => r.cells.some((c) => c.trim() !== "") && !r.cells[0].trim().startsWith("#"));
+  const dec = decimal === "auto" ? detectDecimal(records.slice(1), delim) : decimal;
+  const result = { readings: {}, errors: [], rows: 0 };
+  if (records.length < 2) {
+    result.errors.push("The CSV needs a header row and at least one data row.");
+    return result;
+  }
+  const [header, ...rows] = records;
+  const col = {};
+  header.cells.forEach((h, i) => {
+    const name = logColumn(h);
+    if (name && col[name] === undefined) col[name] = i;
+  });
+  const missing = ["setpoint", "parameter"].filter((c) => col[c] === undefined);
+  if (col.reference === undefined && col.dut === undefined) missing.push("reference or dut");
+  if (missing.length) {
+    result.errors.push(`Header: missing ${missing.join(", ")} column${missing.length === 1 ? "" : "s"}.`);
+    return result;
+  }
+
+  for (const { line, cells } of rows) {
+    result.rows += 1;
+    const at = `Row ${line}`;
+    const cell = (name) => (col[name] === undefined ? "" : (cells[col[name]] ?? "").trim());
+    const number = (name) => {
+      const raw = cell(name);
+      if (raw === "") return null;
+      const n = parseDecimal(raw, dec);
+      if (!Number.isFinite(n)) result.errors.push(`${at}: "${raw}" in ${name} is not a number.`);
+      return Number.isFinite(n) ? n : NaN;
+    };
+
+    const def = getParameter(headerParameter(cell("parameter")) ?? "");
+    if (!def) {
+      result.errors.push(`${at}: unknown parameter "${cell("parameter")}".`);
+      continue;
+    }
+    const unitCell = cell("unit");
+    let unit = unitId;
+    if (unitCell !== "") {
+      const t = TEMPERATURE_UNITS.find((u) => u.id === unitCell || u.id.replace("°", "") === unitCell.replace("°", "").toUpperCase());
+      if (unitCell !== def.unit && !(t && def.unit === TEMPERATURE_UNITS[0].id)) {
+        result.errors.push(`${at}: unit "${unitCell}" does not fit ${def.name}.`);
+        continue;
+      }
+      unit = t ? t.id : unitId;
+    }
+    const setpoint = number("setpoint");
+    const system = number("system");
+    const nominal = number("nominal");
+    const reference = number("reference");
+    const dut = number("dut");
+    if ([setpoint, system, nominal, reference, dut].some(Number.isNaN)) continue;
+    if (setpoint === null) {
+      result.errors.push(`${at}: missing setpoint number.`);
+      continue;
+    }
+
+    const matches = points.filter((p) =>
+      p.setpoint === setpoint && p.parameter === def.name &&
+      (system === null || p.systemId === system) &&
+      (nominal === null || Math.abs(fromCanonical(p.nominal, def, unit) - nominal) < 10 ** -(def.decimals + 1))
+    );
+    if (matches.length !== 1) {
+      result.errors.push(matches.length
+        ? `${at}: matches ${matches.length} points of setpoint #${setpoint}; add the system_id or nominal column.`
+        : `${at}: no ${def.name} point in setpoint #${setpoint}${system !== null ? ` for system ${system}` : ""}${nominal !== null ? ` at ${nominal}` : ""}.`);
+      continue;
+    }
+    if (reference === null && dut === null) continue;
+    const entry = result.readings[matches[0].key] ?? {};
+    if (reference !== null) entry.reference = String(toCanonical(reference, def, unit));
+    if (dut !== null) entry.dut = String(toCanonical(dut, def, unit));
+    result.readings[matches[0].key] = entry;
+  }
+  return result;
+}
+
+// Parameters that appear in the points, in registry order.
+export const pointParameters = (points) => PARAMETERS.filter((def) => points.some((p) => p.parameter === def.name));
@@ -0,0 +1,125 @@
+import { isOutputOptions } from "./units.js";
+
+// Share links: the plan is packed into a compact array form, deflated when the
+// browser supports CompressionStream, base64url-encoded and put in the URL
+// hash (`#plan=...`) so GitHub Pages never sees it as a route.
+export const SHARE_PARAM = "plan";
+const SHARE_VERSION = 1;
+
+// Packed form: { v, s: [[systemId, name]], g: [[primary, [[parameter, nominal]], { parameter: [systemIndex] }, criteria]], p, o, f }
+// where `o` is the output schema and `f` the output options (units.js).
+// Element ids are not shared; `makeId` recreates them on decode.
+export function packPlan(plan) {
+  const index = new Map(plan.systems.map((s, i) => [s.id, i]));
+  return {
+    v: SHARE_VERSION,
+    s: plan.systems.map((s) => [s.systemId, s.name]),
+    g: plan.groups.map((g) => {
+      const targets = Object.fromEntries(
+        Object.entries(g.targets || {}).map(([name, keys]) => [name, keys.filter((k) => index.has(k)).map((k) => index.get(k))])
+      );
+      const row = [g.primary, g.values.map((v) => [v.parameter, v.nominal])];
+      const criteria = g.criteria && Object.keys(g.criteria).length ? g.criteria : null;
+      if (Object.keys(targets).length || criteria) row.push(targets);
+      if (criteria) row.push(criteria);
+      return row;
+    }),
+    ...(plan.activeProfileId ? { p: plan.activeProfileId } : {}),
+    ...(plan.schema ? { o: plan.schema } : {}),
+    ...(plan.output ? { f: plan.output } : {}),
+  };
+}
+
+const isStr = (v) => typeof v === "string";
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Returns the plan fields ({ systems, groups, activeProfileId, schema, output }) or null when the packed data is malformed.
+export function unpackPlan(packed, makeId) {
+  if (!packed || packed.v !== SHARE_VERSION || !Array.isArray(packed.s) || !Array.isArray(packed.g)) return null;
+  if (!packed.s.every((s) => Array.isArray(s) && isStr(s[0]) && isStr(s[1]))) return null;
+  const systems = packed.s.map(([systemId, name]) => ({ id: makeId(), systemId, name }));
+  const groups = [];
+  for (const row of packed.g) {
+    if (!Array.isArray(row) || !isStr(row[0]) || !Array.isArray(row[1])) return null;
+    if (!row[1].every((v) => Array.isArray(v) && isStr(v[0]) && isStr(v[1]))) return null;
+    const targets = {};
+    if (row[2] != null) {
+      if (typeof row[2] !== "object" || Array.isArray(row[2])) return null;
+      for (const [name, idx] of Object.entries(row[2])) {
+        if (!Array.isArray(idx) || !idx.every((i) => Number.isInteger(i) && i >= 0 && i < systems.length)) return null;
+        targets[name] = idx.map((i) => systems[i].id);
+      }
+    }
+    const group = {
+      id: makeId(),
+      primary: row[0],
+      values: row[1].map(([parameter, nominal]) => ({ id: makeId(), parameter, nominal })),
+      targets,
+    };
+    if (row[3] != null) {
+      if (!isObj(row[3]) || !Object.values(row[3]).every((c) => isObj(c) && Object.values(c).every(isStr))) return null;
+      group.criteria = row[3];
+    }
+    groups.push(group);
+  }
+  return {
+    systems,
+    groups,
+    activeProfileId: isStr(packed.p) ? packed.p : null,
+    schema: packed.o === 1 || packed.o === 2 ? packed.o : null,
+    output: isOutputOptions(packed.f) ? packed.f : null,
+  };
+}
+
+// ---- byte helpers ----
+function toBase64Url(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const b64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+async function pipeBytes(bytes, stream) {
+  const out = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(out).arrayBuffer());
+}
+
+const canCompress = () => typeof CompressionStream === "function" && typeof DecompressionStream === "function";
+
+// A one-letter prefix records the encoding: "z" = deflate-raw, "j" = plain JSON.
+export async function encodeShare(plan) {
+  const bytes = new TextEncoder().encode(JSON.stringify(packPlan(plan)));
+  if (canCompress()) return "z" + toBase64Url(await pipeBytes(bytes, new CompressionStream("deflate-raw")));
+  return "j" + toBase64Url(bytes);
+}
+
+// Returns { plan } or { error } (never throws).
+export async function decodeShare(token, makeId) {
+  try {
+    let bytes = fromBase64Url(token.slice(1));
+    if (token[0] === "z") {
+      if (!canCompress()) return { error: "This browser cannot open compressed share links." };
+      bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+    } else if (token[0] !== "j") {
+      return { error: "The share link is not in a recognised format." };
+    }
+    const plan = unpackPlan(JSON.parse(new TextDecoder().decode(bytes)), makeId);
+    return plan ? { plan } : { error: "The share link is incomplete or malformed." };
+  } catch {
+    return { error: "The share link is damaged and could not be decoded." };
+  }
+}
+
+export function readShareToken(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  return params.get(SHARE_PARAM);
+}
+
+export function shareUrl(location, token) {
+  return `${location.origin}${location.pathname}${location.search}#${SHARE_PARAM}=${token}`;
+}
@@ -0,0 +1,170 @@
+import { getParameter } from "./parameters.js";
+import { CRITERIA } from "./criteria.js";
+import { DEFAULT_OUTPUT, unitFor } from "./units.js";
+
+// Printable pages: the calibration test sheet, a standalone HTML page
+// listing every object of the payload with blank columns for the reference
+// and DUT readings and a sign-off block, and the certificate-style summary of
+// recorded results (see results.js). Printing them (or saving as PDF from the
+// print dialog) gives the paper record.
+
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const STYLE = `
+  @page { size: A4; margin: 12mm; }
+  body { font: 10pt system-ui, sans-serif; color: #000; margin: 0 auto; max-width: 190mm; padding: 8mm 0; }
+  h1 { font-size: 15pt; margin: 0 0 2mm; }
+  .meta { color: #444; margin: 0 0 4mm; }
+  .fields, .signoff { display: grid; grid-template-columns: repeat(2, 1fr); gap: 3mm 8mm; margin-bottom: 5mm; }
+  .field { border-bottom: 1px solid #000; padding-top: 5mm; font-size: 8pt; color: #444; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 6mm; }
+  th, td { border: 1px solid #000; padding: 1.5mm 2mm; text-align: left; vertical-align: top; }
+  th { background: #eee; font-size: 8.5pt; }
+  td.blank { min-width: 20mm; }
+  td.num { text-align: right; white-space: nowrap; }
+  tr { break-inside: avoid; }
+  tbody.setpoint { break-inside: avoid; }
+  .small { font-size: 8pt; color: #444; }
+  .print { margin-bottom: 4mm; }
+  .verdict { display: inline-block; border: 2px solid; padding: 1mm 4mm; font-weight: bold; font-size: 12pt; margin-bottom: 4mm; }
+  .pass { color: #166534; } .fail { color: #b91c1c; } .incomplete { color: #92400e; }
+  h2 { font-size: 11pt; margin: 0 0 2mm; }
+  @media print { .print { display: none; } th { -webkit-print-color-adjust: exact; print-color-adjust: exact; } }
+`;
+
+// "Soak 30 min, samples 10" for the criteria the objects of a setpoint share.
+function setpointNotes(setpoint) {
+  const notes = [];
+  for (const c of CRITERIA) {
+    if (c.key === "tolerance") continue;
+    const values = [...new Set(setpoint.map((obj) => obj[c.payloadKey]).filter((v) => v !== undefined))];
+    if (values.length) notes.push(`${notes.length ? c.label.toLowerCase() : c.label} ${values.join("/")}${c.unit ? ` ${c.unit}` : ""}`);
+  }
+  return notes.join(", ");
+}
+
+/**
+ * Returns the sheet as an HTML document. `systems` ({ systemId, name }) label
+ * the system column; `output` says which unit the payload's temperatures are in.
+ */
+export function testSheetHtml(payload, { title = "Calibration test sheet", date = new Date(), systems = [], profile = "", output = DEFAULT_OUTPUT } = {}) {
+  const systemName = (id) => {
+    const s = systems.find((x) => Number(x.systemId) === id);
+    return s?.name ? `${id} – ${s.name}` : String(id);
+  };
+  const hasTolerance = payload.some((sp) => sp.some((obj) => obj.tolerance !== undefined));
+  const columns = ["#", "System", "Parameter", "Nominal", ...(hasTolerance ? ["Tolerance ±"] : []), "Reference reading", "DUT reading", "Pass / fail", "Time / initials"];
+
+  const body = payload.map((setpoint, i) => {
+    const notes = setpointNotes(setpoint);
+    const rows = setpoint.map((obj, j) => {
+      const def = getParameter(obj.parameter);
+      const unit = obj.unit ?? (def ? unitFor(def, output.temperatureUnit) : "");
+      const cells = [
+        ...(j === 0 ? [`<td rowspan="${setpoint.length}"><strong>${i + 1}</strong>${notes ? `<div class="small">${escapeHtml(notes)}</div>` : ""}</td>`] : []),
+        `<td>${escapeHtml(systemName(obj.system_id))}</td>`,
+        `<td>${escapeHtml(def?.label ?? obj.parameter)}</td>`,
+        `<td class="num">${escapeHtml(`${obj.nominal} ${unit}`)}</td>`,
+        ...(hasTolerance ? [`<td class="num">${obj.tolerance !== undefined ? escapeHtml(`${obj.tolerance} ${unit}`) : ""}</td>`] : []),
+        `<td class="blank"></td>`, `<td class="blank"></td>`, `<td class="blank"></td>`, `<td class="blank"></td>`,
+      ];
+      return `<tr>${cells.join("")}</tr>`;
+    });
+    return `<tbody class="setpoint">${rows.join("")}</tbody>`;
+  });
+
+  const meta = [`Generated ${date.toLocaleString()}`, `${payload.length} setpoint${payload.length === 1 ? "" : "s"}`, ...(profile ? [`Profile: ${profile}`] : [])];
+
+  return page(title, `
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${meta.map(escapeHtml).join(" · ")}</p>
+<div class="fields">
+${["Date", "Operator", "Reference instrument and serial", "Reference calibration due", "DUT model and serial", "Ambient conditions"].map(field).join("\n")}
+</div>
+${table(columns, body)}
+<div class="signoff">
+${["Performed by (name)", "Reviewed by (name)", "Signature", "Signature", "Date", "Date"].map(field).join("\n")}
+</div>`);
+}
+
+const VERDICTS = { pass: "PASS", fail: "FAIL", incomplete: "INCOMPLETE" };
+const show = (n, unit = "") => (n === null ? "–" : `${n}${unit ? ` ${unit}` : ""}`);
+
+/** Certificate-style summary of a results report (resultsReport in results.js). */
+export function certificateHtml(report, { title = "Calibration certificate", profile = "" } = {}) {
+  const systemName = (id) => {
+    const s = report.systems.find((x) => x.system_id === id);
+    return s?.name ? `${id} – ${s.name}` : String(id);
+  };
+  const { summary } = report;
+  const meta = [
+    `Issued ${new Date(report.generated).toLocaleString()}`,
+    `${summary.measured} of ${summary.points} point${summary.points === 1 ? "" : "s"} measured`,
+    `${summary.passed} passed, ${summary.failed} failed${summary.unchecked ? `, ${summary.unchecked} without tolerance` : ""}`,
+    ...(profile ? [`Profile: ${profile}`] : []),
+  ];
+
+  const pointRows = report.points.map((p) => {
+    const def = getParameter(p.parameter);
+    const verdict = p.pass === null ? "" : p.pass ? `<span class="pass">pass</span>` : `<span class="fail">fail</span>`;
+    const cells = [
+      `<td>${p.setpoint}</td>`,
+      `<td>${escapeHtml(systemName(p.system_id))}</td>`,
+      `<td>${escapeHtml(def?.label ?? p.parameter)}</td>`,
+      ...[p.nominal, p.reference, p.dut, p.error, p.tolerance, p.correction].map((n) => `<td class="num">${escapeHtml(show(n, p.unit))}</td>`),
+      `<td>${verdict}</td>`,
+    ];
+    return `<tr>${cells.join("")}</tr>`;
+  });
+  const fitRows = report.fits.map((f) => {
+    const def = getParameter(f.parameter);
+    const cells = [
+      escapeHtml(systemName(f.system_id)),
+      escapeHtml(def?.label ?? f.parameter),
+      f.points,
+      `reference = ${f.slope} × DUT ${f.intercept < 0 ? "−" : "+"} ${Math.abs(f.intercept)} ${escapeHtml(f.unit)}`,
+      f.r2,
+      escapeHtml(show(f.expanded_uncertainty, f.unit)),
+    ];
+    return `<tr>${cells.map((c) => `<td>${c}</td>`).join("")}</tr>`;
+  });
+
+  return page(title, `
+<h1>${escapeHtml(report.title || title)}</h1>
+<p class="meta">${meta.map(escapeHtml).join(" · ")}</p>
+<div class="verdict ${report.verdict}">${VERDICTS[report.verdict]}</div>
+<div class="fields">
+${["Customer", "DUT model and serial", "Reference instrument and serial", "Reference calibration due"].map(field).join("\n")}
+</div>
+<h2>Results</h2>
+${table(["#", "System", "Parameter", "Nominal", "Reference", "DUT", "Error", "Tolerance ±", "Correction", "Result"], pointRows)}
+${fitRows.length ? `<h2>Linear fit and uncertainty</h2>
+${table(["System", "Parameter", "Points", "Correction", "r²", "U (k=2)"], fitRows)}
+<p class="small">Errors are DUT − reference; corrections are reference − DUT. U combines the reference uncertainty with the fit residual at a coverage factor of k=2.</p>` : ""}
+<div class="signoff">
+${["Calibrated by (name)", "Approved by (name)", "Signature", "Signature", "Date", "Date"].map(field).join("\n")}
+</div>`);
+}
+
+// ---- page scaffolding ----
+const field = (label) => `<div class="field">${escapeHtml(label)}</div>`;
+
+const table = (columns, body) => `<table>
+<thead><tr>${columns.map((c) => `<th>${escapeHtml(c)}</th>`).join("")}</tr></thead>
+${body.join("\n")}
+</table>`;
+
+function page(title, content) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<button type="button" class="print" onclick="window.print()">Print / save as PDF</button>${content}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,33 @@
+// Keyboard shortcuts of the builder. Ctrl stands for ⌘ on a Mac. Letter
+// shortcuts match the physical key, so Alt+Shift combinations work on
+// layouts where they type a character.
+export const SHORTCUTS = [
+  { id: "add-value", keys: "Enter", description: "in a temperature field: add a value of the profile's first secondary parameter, e.g. humidity; in a value field: add another of that parameter" },
+  { id: "add-group", keys: "Ctrl+Enter", description: "add a setpoint group" },
+  { id: "copy", keys: "Alt+Shift+C", description: "copy the output JSON" },
+  { id: "download", keys: "Alt+Shift+D", description: "go to Download .json" },
+  { id: "undo", keys: "Ctrl+Z", description: "undo an edit to the groups or systems (outside text fields)" },
+  { id: "redo", keys: "Ctrl+Shift+Z or Ctrl+Y", description: "redo" },
+];
+
+export const shortcutKeys = (id) => SHORTCUTS.find((s) => s.id === id).keys;
+
+/**
+ * The shortcut id for a keydown event, or null. Enter is left to the fields
+ * that handle it; `typing` (focus in a text field) leaves undo and redo to
+ * the field's own history.
+ */
+export function matchShortcut(e, { typing = false } = {}) {
+  const ctrl = e.ctrlKey || e.metaKey;
+  if (ctrl && !e.altKey && !e.shiftKey && e.key === "Enter") return "add-group";
+  if (e.altKey && e.shiftKey && !ctrl) {
+    if (e.code === "KeyC") return "copy";
+    if (e.code === "KeyD") return "download";
+    return null;
+  }
+  if (!ctrl || e.altKey || typing) return null;
+  const key = e.key.toLowerCase();
+  if (key === "z") return e.shiftKey ? "redo" : "undo";
+  if (key === "y" && !e.shiftKey) return "redo";
+  return null;
+}
@@ -0,0 +1,172 @@
+import { TEMPERATURE_UNITS, isOutputOptions } from "./units.js";
+import { isResults } from "./results.js";
+
+// Browser persistence for the builder: an autosaved working plan plus a list
+// of named drafts. Everything read back from localStorage is checked and, if
+// it comes from an older layout, migrated; anything unreadable is discarded
+// and reported through the returned `message` instead of throwing.
+export const PLAN_VERSION = 1;
+
+const AUTOSAVE_KEY = "calpoints.autosave";
+const DRAFTS_KEY = "calpoints.drafts";
+
+const isStr = (v) => typeof v === "string";
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const numStr = (v) => (typeof v === "number" && Number.isFinite(v) ? String(v) : v);
+// criteria: { scope: { key: string } } (see criteria.js); optional.
+const isCriteria = (c) => c === undefined || (isObj(c) && Object.values(c).every((scope) => isObj(scope) && Object.values(scope).every(isStr)));
+
+// Version 0 is the original single-system layout:
+// { systemId, compact, groups: [{ id, temperature, humidities: [{ id, nominal }] }] }
+function migrateV0(raw) {
+  if (!Array.isArray(raw.groups)) return null;
+  return {
+    version: 1,
+    systems: [{ id: "s1", systemId: numStr(raw.systemId ?? "1"), name: "" }],
+    groups: raw.groups.map((g) => ({
+      id: g?.id,
+      primary: numStr(g?.temperature),
+      values: Array.isArray(g?.humidities) ? g.humidities.map((h) => ({ id: h?.id, parameter: "Humidity", nominal: numStr(h?.nominal) })) : null,
+      targets: {},
+    })),
+    compact: raw.compact,
+  };
+}
+
+function checkPlan(p) {
+  if (!Array.isArray(p.systems) || p.systems.length === 0) return false;
+  if (!p.systems.every((s) => isObj(s) && isStr(s.id) && isStr(s.systemId) && isStr(s.name))) return false;
+  if (!Array.isArray(p.groups)) return false;
+  return p.groups.every((g) =>
+    isObj(g) && isStr(g.id) && isStr(g.primary) &&
+    Array.isArray(g.values) && g.values.every((v) => isObj(v) && isStr(v.id) && isStr(v.parameter) && isStr(v.nominal)) &&
+    isObj(g.targets) && Object.values(g.targets).every((keys) => Array.isArray(keys) && keys.every(isStr)) &&
+    isCriteria(g.criteria)
+  );
+}
+
+/**
+ * Checks a stored plan and upgrades older layouts.
+ * Returns { plan, migrated } or { plan: null } when the data is unusable.
+ */
+export function normalizePlan(raw) {
+  if (!isObj(raw)) return { plan: null, migrated: false };
+  let p = raw;
+  let migrated = false;
+  if (raw.version == null) {
+    p = migrateV0(raw);
+    migrated = true;
+  } else if (raw.version !== PLAN_VERSION) {
+    return { plan: null, migrated: false };
+  }
+  if (!p || !checkPlan(p)) return { plan: null, migrated: false };
+  return {
+    plan: {
+      version: PLAN_VERSION,
+      systems: p.systems.map(({ id, systemId, name }) => ({ id, systemId, name })),
+      groups: p.groups.map(({ id, primary, values, targets, criteria }) => ({
+        id,
+        primary,
+        values: values.map((v) => ({ id: v.id, parameter: v.parameter, nominal: v.nominal })),
+        targets: { ...targets },
+        ...(criteria ? { criteria: Object.fromEntries(Object.entries(criteria).map(([scope, c]) => [scope, { ...c }])) } : {}),
+      })),
+      compact: typeof p.compact === "boolean" ? p.compact : true,
+      schema: p.schema === 1 || p.schema === 2 ? p.schema : null,
+      activeProfileId: isStr(p.activeProfileId) ? p.activeProfileId : null,
+      output: isOutputOptions(p.output) ? { ...p.output, decimals: { ...p.output.decimals } } : null,
+      inputUnit: TEMPERATURE_UNITS.some((u) => u.id === p.inputUnit) ? p.inputUnit : null,
+      results: isResults(p.results) ? {
+        readings: Object.fromEntries(Object.entries(p.results.readings).map(([key, e]) => [key, { reference: e.reference, dut: e.dut }])),
+        uncertainty: { ...p.results.uncertainty },
+      } : null,
+    },
+    migrated,
+  };
+}
+
+function readJson(key) {
+  const text = localStorage.getItem(key);
+  return text == null ? undefined : JSON.parse(text);
+}
+
+function writeJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function discard(key) {
+  try {
+    localStorage.removeItem(key);
+  } catch {}
+}
+
+// ---- autosave ----
+export function loadAutosave() {
+  let raw;
+  try {
+    raw = readJson(AUTOSAVE_KEY);
+  } catch (e) {
+    if (e instanceof SyntaxError) {
+      discard(AUTOSAVE_KEY);
+      return { plan: null, message: "Autosaved work was corrupt and has been discarded." };
+    }
+    return { plan: null, message: null };
+  }
+  if (raw === undefined) return { plan: null, message: null };
+  const { plan, migrated } = normalizePlan(raw);
+  if (!plan) {
+    discard(AUTOSAVE_KEY);
+    return { plan: null, message: "Autosaved work could not be read (corrupt or from an unsupported version) and has been discarded." };
+  }
+  return { plan, message: migrated ? "Autosaved work from an older version was upgraded." : null };
+}
+
+export function saveAutosave(plan) {
+  return writeJson(AUTOSAVE_KEY, plan);
+}
+
+// ---- drafts: [{ id, name, updatedAt (ISO string), plan }] ----
+export function loadDrafts() {
+  let raw;
+  try {
+    raw = readJson(DRAFTS_KEY);
+  } catch (e) {
+    if (e instanceof SyntaxError) {
+      discard(DRAFTS_KEY);
+      return { drafts: [], message: "Saved drafts were corrupt and have been discarded." };
+    }
+    return { drafts: [], message: null };
+  }
+  if (raw === undefined) return { drafts: [], message: null };
+  if (!Array.isArray(raw)) {
+    discard(DRAFTS_KEY);
+    return { drafts: [], message: "Saved drafts could not be read and have been discarded." };
+  }
+
+  let dropped = 0;
+  let upgraded = 0;
+  const drafts = raw.flatMap((d) => {
+    const { plan, migrated } = isObj(d) ? normalizePlan(d.plan) : { plan: null };
+    if (!plan || !isStr(d.id) || !isStr(d.name) || Number.isNaN(Date.parse(d.updatedAt))) {
+      dropped += 1;
+      return [];
+    }
+    if (migrated) upgraded += 1;
+    return [{ id: d.id, name: d.name, updatedAt: d.updatedAt, plan }];
+  });
+
+  const notes = [];
+  if (dropped) notes.push(`${dropped} unreadable draft${dropped === 1 ? " was" : "s were"} discarded.`);
+  if (upgraded) notes.push(`${upgraded} draft${upgraded === 1 ? " was" : "s were"} upgraded from an older version.`);
+  if (dropped || upgraded) writeJson(DRAFTS_KEY, drafts);
+  return { drafts, message: notes.length ? notes.join(" ") : null };
+}
+
+export function saveDrafts(drafts) {
+  return writeJson(DRAFTS_KEY, drafts);
+}
@@ -0,0 +1,120 @@
+import { PRIMARY_PARAMETER, getParameter, isInRange, formatRange, roundTo } from "./parameters.js";
+import { CANONICAL_TEMPERATURE_UNIT, displayParameter, toCanonical } from "./units.js";
+
+// Sweep/grid generator. Produces setpoints in the profile shape
+// ({ primary, values: [{ parameter, nominal }] }) so the builder turns them
+// into ordinary groups and the output still goes through buildPayload.
+export const MAX_SWEEP_POINTS = 500;
+
+export const SWEEP_ORDERS = [
+  { id: "ascending", label: "Ascending" },
+  { id: "descending", label: "Descending" },
+  { id: "updown", label: "Up, then down (hysteresis)" },
+];
+
+const decimalsOf = (n) => {
+  const s = String(n);
+  const i = s.indexOf(".");
+  return i < 0 ? 0 : s.length - i - 1;
+};
+
+const parseNum = (v) => (v === "" || v == null ? NaN : Number(v));
+
+// Inclusive start→stop series; the sign of `step` is ignored and the series
+// runs in whichever direction stop lies. Returns { values } or { error }.
+export function expandRange(startRaw, stopRaw, stepRaw) {
+  const start = parseNum(startRaw);
+  const stop = parseNum(stopRaw);
+  const step = Math.abs(parseNum(stepRaw));
+  if (!Number.isFinite(start) || !Number.isFinite(stop)) return { error: "start and stop must be numbers." };
+  if (start === stop) return { values: [start] };
+  if (!Number.isFinite(step) || step === 0) return { error: "step must be a non-zero number." };
+  const count = Math.floor(Math.abs(stop - start) / step + 1e-9) + 1;
+  if (count > MAX_SWEEP_POINTS) return { error: `more than ${MAX_SWEEP_POINTS} points.` };
+  const dir = stop > start ? 1 : -1;
+  const decimals = Math.max(decimalsOf(start), decimalsOf(step));
+  return { values: Array.from({ length: count }, (_, i) => roundTo(start + dir * i * step, decimals)) };
+}
+
+// "5, 10; 20 30" -> [5, 10, 20, 30]. Returns { values } or { error }.
+export function parseList(text) {
+  const parts = String(text).split(/[\s,;]+/).filter(Boolean);
+  if (parts.length === 0) return { error: "enter at least one value." };
+  const values = parts.map(Number);
+  const bad = parts.find((p, i) => !Number.isFinite(values[i]));
+  if (bad !== undefined) return { error: `"${bad}" is not a number.` };
+  if (values.length > MAX_SWEEP_POINTS) return { error: `more than ${MAX_SWEEP_POINTS} points.` };
+  return { values };
+}
+
+// axis: { mode: "range" | "list" | "none", start, stop, step, list }
+export function axisValues(axis) {
+  if (axis.mode === "none") return { values: [] };
+  if (axis.mode === "list") return parseList(axis.list);
+  return expandRange(axis.start, axis.stop, axis.step);
+}
+
+// A limit applies to temperatures strictly below `below` and/or strictly
+// above `above` (blank = unbounded) and restricts RH to [rhMin, rhMax].
+export function allowedByLimits(t, rh, limits) {
+  return limits.every((l) => {
+    const below = parseNum(l.below);
+    const above = parseNum(l.above);
+    if (Number.isFinite(below) && !(t < below)) return true;
+    if (Number.isFinite(above) && !(t > above)) return true;
+    const rhMin = parseNum(l.rhMin);
+    const rhMax = parseNum(l.rhMax);
+    if (Number.isFinite(rhMin) && rh < rhMin) return false;
+    if (Number.isFinite(rhMax) && rh > rhMax) return false;
+    return true;
+  });
+}
+
+const uniqueSorted = (nums, dir) => [...new Set(nums)].sort((a, b) => dir * (a - b));
+
+/**
+ * Builds the setpoint list for a sweep. Returns { setpoints, skipped, errors }:
+ * `skipped` counts humidity points removed by the limits. Temperatures and
+ * the limits' bounds are given in `unit`; the setpoints hold °C.
+ */
+export function generateSweep({ temperature, humidity, limits = [], order = "ascending", unit = CANONICAL_TEMPERATURE_UNIT }) {
+  const errors = [];
+  const primaryDef = displayParameter(PRIMARY_PARAMETER, unit);
+  const humidityDef = getParameter("Humidity");
+  const t = axisValues(temperature);
+  const h = axisValues(humidity);
+  if (t.error) errors.push(`${PRIMARY_PARAMETER.label}: ${t.error}`);
+  if (h.error) errors.push(`${humidityDef.label}: ${h.error}`);
+  if (errors.length) return { setpoints: [], skipped: 0, errors };
+  if (t.values.length === 0) return { setpoints: [], skipped: 0, errors: [`${PRIMARY_PARAMETER.label}: enter at least one value.`] };
+
+  for (const n of t.values) {
+    if (!isInRange(n, primaryDef)) errors.push(`${primaryDef.label} ${n} is outside ${formatRange(primaryDef)}.`);
+  }
+  for (const n of h.values) {
+    if (!isInRange(n, humidityDef)) errors.push(`${humidityDef.label} ${n} is outside ${formatRange(humidityDef)}.`);
+  }
+  if (errors.length) return { setpoints: [], skipped: 0, errors };
+
+  const up = uniqueSorted(t.values, 1);
+  const legs = order === "descending"
+    ? [[up.slice().reverse(), -1]]
+    : order === "updown"
+      ? [[up, 1], [up.slice(0, -1).reverse(), -1]]
+      : [[up, 1]];
+
+  let skipped = 0;
+  const setpoints = [];
+  for (const [temps, dir] of legs) {
+    const rhs = uniqueSorted(h.values, dir);
+    for (const temp of temps) {
+      const allowed = rhs.filter((rh) => allowedByLimits(temp, rh, limits));
+      skipped += rhs.length - allowed.length;
+      setpoints.push({ primary: toCanonical(temp, PRIMARY_PARAMETER, unit), values: allowed.map((rh) => ({ parameter: humidityDef.name, nominal: rh })) });
+    }
+  }
+  if (setpoints.length > MAX_SWEEP_POINTS) {
+    return { setpoints: [], skipped: 0, errors: [`The sweep would create ${setpoints.length} groups (limit ${MAX_SWEEP_POINTS}).`] };
+  }
+  return { setpoints, skipped, errors: [] };
+}
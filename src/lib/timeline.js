@@ -0,0 +1,153 @@
+import { PRIMARY_PARAMETER, getParameter, isInRange } from "./parameters.js";
+import { CANONICAL_TEMPERATURE_UNIT, deltaFromCanonical, deltaToCanonical, displayParameter, fromCanonical, toCanonical } from "./units.js";
+import { effectiveCriteria } from "./criteria.js";
+import { saturationVaporPressure } from "./envelope.js";
+
+// Run-time estimate. The chamber works through the groups in order: it ramps
+// to the group's temperature, then visits each humidity (or dew point) of the
+// group in turn, dwelling at every point for the soak time plus the stability
+// window. A group without humidity values is a single temperature-only point.
+// Temperature and humidity ramp at the same time, so a ramp lasts as long as
+// the slower of the two. Humidity ramps start from the last controlled
+// humidity; the first one only waits for the temperature ramp.
+export const DEFAULT_RUN_SETTINGS = {
+  temperatureRate: 1,
+  humidityRate: 2,
+  defaultSoak: 30,
+  startTemperature: 23,
+};
+
+const STORAGE_KEY = "calpoints.run.v1";
+
+// The settings as entered with temperatures in `unitId`: `fromSetting` and
+// `toSetting` convert between the entered number and the stored (°C) one.
+export function runSettingFields(unitId = CANONICAL_TEMPERATURE_UNIT) {
+  const t = displayParameter(PRIMARY_PARAMETER, unitId);
+  const same = { fromSetting: (n) => n, toSetting: (n) => n };
+  return [
+    {
+      key: "temperatureRate", label: `Temperature ramp (${t.unit}/min)`, min: 0, exclusiveMin: true,
+      fromSetting: (n) => deltaFromCanonical(n, PRIMARY_PARAMETER, unitId), toSetting: (n) => deltaToCanonical(n, PRIMARY_PARAMETER, unitId),
+    },
+    { key: "humidityRate", label: "Humidity ramp (%RH/min)", min: 0, exclusiveMin: true, ...same },
+    { key: "defaultSoak", label: "Default soak (min)", min: 0, ...same },
+    {
+      key: "startTemperature", label: `Start temperature (${t.unit})`, min: t.min, max: t.max,
+      fromSetting: (n) => fromCanonical(n, PRIMARY_PARAMETER, unitId), toSetting: (n) => toCanonical(n, PRIMARY_PARAMETER, unitId),
+    },
+  ];
+}
+
+export const RUN_SETTING_FIELDS = runSettingFields();
+
+// Returns an error message or null.
+export function checkRunSetting(field, n) {
+  if (!Number.isFinite(n)) return `${field.label} must be a number.`;
+  if (field.exclusiveMin && n <= field.min) return `${field.label} must be greater than ${field.min}.`;
+  if (n < field.min || (field.max !== undefined && n > field.max)) {
+    return `${field.label} must be ${field.max !== undefined ? `within ${field.min}–${field.max}` : `at least ${field.min}`}.`;
+  }
+  return null;
+}
+
+const num = (raw, def) => {
+  if (raw === "") return null;
+  const n = Number(raw);
+  return isInRange(n, def) ? n : null;
+};
+
+// %RH at temperature t for a dew point td.
+const humidityFromDewPoint = (t, td) => Math.min(100, (100 * saturationVaporPressure(td)) / saturationVaporPressure(t));
+
+// The points a group visits, as { temperature, humidity }; humidity is null when not controlled.
+function groupPoints(group) {
+  const t = num(group.primary, PRIMARY_PARAMETER);
+  if (t === null) return [];
+  const points = [];
+  for (const v of group.values) {
+    const def = getParameter(v.parameter);
+    const n = def ? num(v.nominal, def) : null;
+    if (n === null) continue;
+    if (v.parameter === "Humidity") points.push({ temperature: t, humidity: n });
+    else if (v.parameter === "DewPoint" && n <= t) points.push({ temperature: t, humidity: humidityFromDewPoint(t, n) });
+  }
+  return points.length ? points : [{ temperature: t, humidity: null }];
+}
+
+// Minutes spent at each point of a group: the longest soak of its parameters
+// (or the default) plus the longest stability window.
+function dwellMinutes(group, settings) {
+  const used = [PRIMARY_PARAMETER.name, ...new Set(group.values.map((v) => v.parameter))];
+  const criteria = used.map((name) => effectiveCriteria(group, name));
+  const soaks = criteria.map((c) => c.soak_minutes).filter((n) => n !== undefined);
+  const windows = criteria.map((c) => c.stability_window_minutes).filter((n) => n !== undefined);
+  return (soaks.length ? Math.max(...soaks) : settings.defaultSoak) + (windows.length ? Math.max(...windows) : 0);
+}
+
+/**
+ * Lays the groups out in time. Returns { segments, spans, total } in minutes:
+ * `segments` are { groupId, kind: "ramp" | "dwell", start, end, from, to }
+ * with from/to as { temperature, humidity }, and `spans` maps each group that
+ * contributes a point to { start, end }. Groups without a valid temperature
+ * are left out.
+ */
+export function computeTimeline(groups, settings = DEFAULT_RUN_SETTINGS) {
+  const segments = [];
+  const spans = {};
+  let time = 0;
+  let state = { temperature: settings.startTemperature, humidity: null };
+
+  for (const g of groups) {
+    const points = groupPoints(g);
+    if (points.length === 0) continue;
+    const dwell = dwellMinutes(g, settings);
+    const start = time;
+    for (const to of points) {
+      const tRamp = Math.abs(to.temperature - state.temperature) / settings.temperatureRate;
+      const hRamp = to.humidity !== null && state.humidity !== null ? Math.abs(to.humidity - state.humidity) / settings.humidityRate : 0;
+      const ramp = Math.max(tRamp, hRamp);
+      if (ramp > 0) {
+        segments.push({ groupId: g.id, kind: "ramp", start: time, end: time + ramp, from: state, to });
+        time += ramp;
+      }
+      segments.push({ groupId: g.id, kind: "dwell", start: time, end: time + dwell, from: to, to });
+      time += dwell;
+      state = to;
+    }
+    spans[g.id] = { start, end: time };
+  }
+  return { segments, spans, total: time };
+}
+
+// "2 d 3 h 5 min"; minutes are rounded up.
+export function formatDuration(minutes) {
+  const m = Math.ceil(minutes - 1e-9);
+  const d = Math.floor(m / 1440);
+  const h = Math.floor((m % 1440) / 60);
+  const parts = [];
+  if (d) parts.push(`${d} d`);
+  if (h) parts.push(`${h} h`);
+  if (m % 60 || parts.length === 0) parts.push(`${m % 60} min`);
+  return parts.join(" ");
+}
+
+// ---- persistence ----
+export function loadRunSettings() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    if (!raw || typeof raw !== "object") return DEFAULT_RUN_SETTINGS;
+    const ok = RUN_SETTING_FIELDS.every((f) => checkRunSetting(f, raw[f.key]) === null);
+    return ok ? Object.fromEntries(RUN_SETTING_FIELDS.map((f) => [f.key, raw[f.key]])) : DEFAULT_RUN_SETTINGS;
+  } catch {
+    return DEFAULT_RUN_SETTINGS;
+  }
+}
+
+export function saveRunSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,72 @@
+import { PARAMETERS, roundTo } from "./parameters.js";
+
+// Temperature units. Groups always hold °C (the registry unit of Temperature
+// and DewPoint); other units are converted on entry and on output. `scale`
+// converts differences such as tolerances and shifts; `decimals` turns the
+// decimals of a °C value into those that write it exactly in the unit.
+export const CANONICAL_TEMPERATURE_UNIT = "°C";
+
+export const TEMPERATURE_UNITS = [
+  { id: "°C", label: "°C", fromC: (c) => c, toC: (x) => x, scale: 1, decimals: (d) => d },
+  { id: "°F", label: "°F", fromC: (c) => (c * 9) / 5 + 32, toC: (f) => ((f - 32) * 5) / 9, scale: 9 / 5, decimals: (d) => d + 1 },
+  { id: "K", label: "K", fromC: (c) => c + 273.15, toC: (k) => k - 273.15, scale: 1, decimals: (d) => Math.max(d, 2) },
+];
+
+export const getTemperatureUnit = (id) => TEMPERATURE_UNITS.find((u) => u.id === id) || TEMPERATURE_UNITS[0];
+export const isTemperature = (def) => def.unit === CANONICAL_TEMPERATURE_UNIT;
+
+// Converted values keep this many decimals, enough to convert back exactly
+// at any output precision.
+const CONVERTED_DECIMALS = 6;
+
+// Unit of a parameter when temperatures are shown or written in `unitId`.
+export const unitFor = (def, unitId) => (isTemperature(def) ? getTemperatureUnit(unitId).id : def.unit);
+
+export function fromCanonical(n, def, unitId) {
+  return isTemperature(def) ? roundTo(getTemperatureUnit(unitId).fromC(n), CONVERTED_DECIMALS) : n;
+}
+
+export function toCanonical(n, def, unitId) {
+  return isTemperature(def) ? roundTo(getTemperatureUnit(unitId).toC(n), CONVERTED_DECIMALS) : n;
+}
+
+// For differences (tolerance, shift amounts).
+export function deltaFromCanonical(n, def, unitId) {
+  return isTemperature(def) ? roundTo(n * getTemperatureUnit(unitId).scale, CONVERTED_DECIMALS) : n;
+}
+
+export function deltaToCanonical(n, def, unitId) {
+  return isTemperature(def) ? roundTo(n / getTemperatureUnit(unitId).scale, CONVERTED_DECIMALS) : n;
+}
+
+// Decimals that keep a difference with `decimals` exact in `unitId` (°F needs one more).
+export function deltaDecimals(decimals, def, unitId) {
+  return isTemperature(def) && !Number.isInteger(getTemperatureUnit(unitId).scale) ? decimals + 1 : decimals;
+}
+
+// Registry entry with range and unit expressed in `unitId`, for inputs and messages.
+export function displayParameter(def, unitId) {
+  if (!isTemperature(def)) return def;
+  return { ...def, unit: unitFor(def, unitId), min: fromCanonical(def.min, def, unitId), max: fromCanonical(def.max, def, unitId) };
+}
+
+// ---- output options ----
+// What the payload is written in: the temperature unit the target system
+// expects, decimals per parameter (when missing, the registry's, raised for
+// temperatures in °F or K so 20.1 °C is written as 293.25 K) and whether
+// each object carries a `unit` key.
+export const DEFAULT_OUTPUT = { temperatureUnit: CANONICAL_TEMPERATURE_UNIT, decimals: {}, unitKey: false };
+export const MAX_DECIMALS = 6;
+
+export const defaultOutputDecimals = (def, unitId) =>
+  isTemperature(def) ? getTemperatureUnit(unitId).decimals(def.decimals) : def.decimals;
+
+export const outputDecimals = (def, output) => output?.decimals?.[def.name] ?? defaultOutputDecimals(def, output?.temperatureUnit);
+
+export function isOutputOptions(o) {
+  return o !== null && typeof o === "object" &&
+    TEMPERATURE_UNITS.some((u) => u.id === o.temperatureUnit) &&
+    typeof o.unitKey === "boolean" &&
+    o.decimals !== null && typeof o.decimals === "object" &&
+    Object.entries(o.decimals).every(([name, d]) => PARAMETERS.some((p) => p.name === name) && Number.isInteger(d) && d >= 0 && d <= MAX_DECIMALS);
+}
@@ -0,0 +1,68 @@
+// Minimal ZIP writer: files are stored uncompressed, which every unzip tool
+// reads and keeps this free of dependencies. Names are written as UTF-8.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields (local time, two-second resolution, from 1980).
+function dosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+const UTF8_FLAG = 0x0800;
+
+/** Packs [{ name, content }] (content: string or Uint8Array) into a ZIP archive. */
+export function createZip(files, { date = new Date() } = {}) {
+  const encoder = new TextEncoder();
+  const stamp = dosDateTime(date);
+  const entries = files.map((f) => {
+    const data = typeof f.content === "string" ? encoder.encode(f.content) : f.content;
+    return { name: encoder.encode(f.name), data, crc: crc32(data) };
+  });
+
+  const localSize = entries.reduce((n, e) => n + 30 + e.name.length + e.data.length, 0);
+  const centralSize = entries.reduce((n, e) => n + 46 + e.name.length, 0);
+  const out = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(out.buffer);
+  let pos = 0;
+  const u16 = (v) => { view.setUint16(pos, v, true); pos += 2; };
+  const u32 = (v) => { view.setUint32(pos, v, true); pos += 4; };
+  const bytes = (b) => { out.set(b, pos); pos += b.length; };
+
+  const offsets = [];
+  for (const e of entries) {
+    offsets.push(pos);
+    u32(0x04034b50);
+    u16(20); u16(UTF8_FLAG); u16(0); u16(stamp.time); u16(stamp.date);
+    u32(e.crc); u32(e.data.length); u32(e.data.length);
+    u16(e.name.length); u16(0);
+    bytes(e.name);
+    bytes(e.data);
+  }
+  const centralStart = pos;
+  entries.forEach((e, i) => {
+    u32(0x02014b50);
+    u16(20); u16(20); u16(UTF8_FLAG); u16(0); u16(stamp.time); u16(stamp.date);
+    u32(e.crc); u32(e.data.length); u32(e.data.length);
+    u16(e.name.length); u16(0); u16(0); u16(0); u16(0); u32(0);
+    u32(offsets[i]);
+    bytes(e.name);
+  });
+  u32(0x06054b50);
+  u16(0); u16(0); u16(entries.length); u16(entries.length);
+  u32(centralSize); u32(centralStart); u16(0);
+  return out;
+}
@@ -0,0 +1,129 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildPayload, clampNumberOrEmpty, newGroup, newSystem, newValue, parsePayload,
+  validateGroups, validateSystems,
+} from "../src/lib/calibration.js";
+import { BUILT_IN_PROFILES } from "../src/lib/profiles.js";
+import { DEFAULT_OUTPUT } from "../src/lib/units.js";
+
+const one = [newSystem("1")];
+const tp = (system_id, nominal) => ({ system_id, parameter: "Temperature", nominal });
+const rh = (system_id, nominal) => ({ system_id, parameter: "Humidity", nominal });
+
+test("clampNumberOrEmpty", () => {
+  assert.equal(clampNumberOrEmpty("", {}), "");
+  assert.equal(clampNumberOrEmpty("-", {}), "");
+  assert.equal(clampNumberOrEmpty("abc", {}), "");
+  assert.equal(clampNumberOrEmpty("5", { min: 10 }), "10");
+  assert.equal(clampNumberOrEmpty("150", { max: 100 }), "100");
+  assert.equal(clampNumberOrEmpty("42.5"), "42.5");
+});
+
+test("buildPayload emits the primary first, then secondary values", () => {
+  const groups = [newGroup("20", [newValue("Humidity", "30"), newValue("Humidity", "60")])];
+  assert.deepEqual(buildPayload(one, groups), [[tp(1, 20), rh(1, 30), rh(1, 60)]]);
+});
+
+test("buildPayload orders secondary parameters by the registry", () => {
+  const groups = [newGroup("25", [newValue("CO2", "400"), newValue("Humidity", "50"), newValue("Pressure", "1013.25")])];
+  const [setpoint] = buildPayload(one, groups);
+  assert.deepEqual(setpoint.map((o) => o.parameter), ["Temperature", "Humidity", "Pressure", "CO2"]);
+  assert.equal(setpoint[2].nominal, 1013.3);
+});
+
+test("buildPayload skips blank, invalid and out-of-range values", () => {
+  const groups = [
+    newGroup("", [newValue("Humidity", "50")]),
+    newGroup("20", [newValue("Humidity", ""), newValue("Humidity", "120")]),
+  ];
+  assert.deepEqual(buildPayload(one, groups), [[tp(1, 20)]]);
+});
+
+test("buildPayload fans out across systems and honours targets", () => {
+  const systems = [newSystem("1"), newSystem("2")];
+  const all = newGroup("20", [newValue("Humidity", "50")]);
+  assert.deepEqual(buildPayload(systems, [all]), [[tp(1, 20), tp(2, 20), rh(1, 50), rh(2, 50)]]);
+  const targeted = newGroup("20", [newValue("Humidity", "50")], { Humidity: [systems[1].id] });
+  assert.deepEqual(buildPayload(systems, [targeted]), [[tp(1, 20), tp(2, 20), rh(2, 50)]]);
+});
+
+test("parsePayload round-trips buildPayload output", () => {
+  const systems = [newSystem("1"), newSystem("4")];
+  const groups = [
+    newGroup("20", [newValue("Humidity", "30"), newValue("CO2", "400")], { CO2: [systems[1].id] }),
+    newGroup("-10"),
+  ];
+  const payload = buildPayload(systems, groups);
+  const parsed = parsePayload(JSON.stringify(payload));
+  assert.deepEqual(parsed.errors, []);
+  assert.deepEqual(parsed.systems.map((s) => s.systemId), ["1", "4"]);
+  assert.deepEqual(buildPayload(parsed.systems, parsed.groups), payload);
+});
+
+test("parsePayload reports malformed input", () => {
+  assert.match(parsePayload("{").errors[0], /^Invalid JSON/);
+  assert.deepEqual(parsePayload("{}").errors, ["Top level must be an array of setpoints."]);
+  assert.deepEqual(parsePayload("[]").errors, ["The file contains no setpoints."]);
+  const errors = (payload) => parsePayload(JSON.stringify(payload)).errors;
+  assert.deepEqual(errors([[rh(1, 50)]]), ["Setpoint #1, object #1: Humidity appears before Temperature.", "Setpoint #1: missing Temperature."]);
+  assert.match(errors([[{ ...tp(1, 20), extra: 1 }]])[0], /unexpected key "extra"/);
+  assert.match(errors([[tp(0, 20)]])[0], /system_id must be a positive number/);
+  assert.match(errors([[tp(1, "20")]])[0], /nominal must be a finite number/);
+  assert.match(errors([[tp(1, 20), { system_id: 1, parameter: "Wind", nominal: 1 }]])[0], /unknown parameter "Wind"/);
+  assert.match(errors([[tp(1, 500)]])[0], /Temperature 500 is outside/);
+  assert.match(errors([[tp(1, 20), tp(1, 20)]])[0], /more than one Temperature for system_id 1/);
+  assert.match(errors([[tp(1, 20), tp(2, 25)]])[0], /differs from 20/);
+  assert.match(errors([[tp(1, 20), rh(1, 50), rh(1, 50)]])[0], /duplicate Humidity 50/);
+  assert.match(errors([[tp(1, 20), tp(2, 20), rh(1, 30), rh(2, 60)]])[0], /must target the same systems/);
+});
+
+test("validateSystems flags bad and duplicate ids", () => {
+  assert.deepEqual(validateSystems([]), { systems: "Add at least one system." });
+  const [a, b, c] = [newSystem("1"), newSystem("1"), newSystem("")];
+  const problems = validateSystems([a, b, c]);
+  assert.match(problems[a.id], /used more than once/);
+  assert.match(problems[c.id], /positive number/);
+});
+
+test("validateGroups checks ranges, profiles and targets", () => {
+  const g = newGroup("", [newValue("Humidity", "150")]);
+  const problems = validateGroups([g], one);
+  assert.match(problems[g.id], /is required/);
+  assert.match(problems[g.values[0].id], /within 0–100 %RH/);
+
+  const probe = BUILT_IN_PROFILES.find((p) => p.id === "builtin:t-probe");
+  const h = newGroup("20", [newValue("Humidity", "50")]);
+  assert.match(validateGroups([h], one, probe)[h.values[0].id], /not supported for Temperature probe/);
+
+  const untargeted = newGroup("20", [newValue("Humidity", "50")], { Humidity: [] });
+  assert.match(validateGroups([untargeted], one)[`${untargeted.id}:Humidity`], /Select at least one system/);
+  assert.deepEqual(validateGroups([newGroup("20", [newValue("Humidity", "50")])], one), {});
+
+  const hot = newGroup("250", [newValue("DewPoint", "150")]);
+  assert.deepEqual(Object.values(validateGroups([hot], one, null, { unit: "°F" })), [
+    "Temperature must be within -148–392 °F.",
+    "Dew point must be within -112–212 °F.",
+  ]);
+});
+
+test("validateGroups flags repeated values, so what it accepts parses back", () => {
+  const g = newGroup("20", [newValue("Humidity", "50"), newValue("Humidity", "50.0"), newValue("Humidity", "60")]);
+  assert.deepEqual(validateGroups([g], one), { [g.values[1].id]: "Humidity 50 %RH is already in this group." });
+  assert.match(parsePayload(JSON.stringify(buildPayload(one, [g]))).errors[0], /duplicate Humidity 50 for system_id 1/);
+  const output = { ...DEFAULT_OUTPUT, decimals: { Humidity: 2 } };
+  const close = newGroup("20", [newValue("Humidity", "50.04"), newValue("Humidity", "50.01")]);
+  assert.deepEqual(validateGroups([close], one, null, { output }), {});
+  assert.deepEqual(parsePayload(JSON.stringify(buildPayload(one, [close], { output }))).errors, []);
+  assert.equal(Object.keys(validateGroups([close], one)).length, 2);
+});
+
+test("validateGroups flags values the output decimals would round", () => {
+  const g = newGroup("20.25", [newValue("CO2", "412.5")]);
+  const problems = validateGroups([g], one);
+  assert.equal(problems[g.id], "Temperature 20.25 °C would be written as 20.3; round it or raise the output decimals.");
+  assert.equal(problems[g.values[0].id], "CO₂ 412.5 ppm would be written as 413; round it or raise the output decimals.");
+  const output = { ...DEFAULT_OUTPUT, decimals: { Temperature: 2, CO2: 1 } };
+  assert.deepEqual(validateGroups([g], one, null, { output }), {});
+  assert.deepEqual(buildPayload(one, [g], { output })[0].map((o) => o.nominal), [20.25, 412.5]);
+});
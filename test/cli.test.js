@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync, spawnSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const CLI = fileURLToPath(new URL("../scripts/build-setpoints.mjs", import.meta.url));
+const run = (args, input) => spawnSync(process.execPath, [CLI, ...args], { input, encoding: "utf8" });
+
+test("CLI turns a YAML plan into the payload", () => {
+  const out = execFileSync(process.execPath, [CLI, "-", "--format", "yaml"], {
+    input: "setpoints:\n  - Temperature: 20\n    Humidity: [60]\n",
+    encoding: "utf8",
+  });
+  assert.deepEqual(JSON.parse(out), [[
+    { system_id: 1, parameter: "Temperature", nominal: 20 },
+    { system_id: 1, parameter: "Humidity", nominal: 60 },
+  ]]);
+});
+
+test("CLI exits 1 with located errors for an invalid plan", () => {
+  const result = run(["-", "-f", "csv", "-p", "t-probe"], "Temperature,Humidity\n20,50\n");
+  assert.equal(result.status, 1);
+  assert.equal(result.stderr.trim(), "error: Setpoint #1: Humidity is not supported for Temperature probe.");
+});
+
+test("CLI exits 2 on usage errors", () => {
+  assert.equal(run([]).status, 2);
+  assert.equal(run(["plan.txt"]).status, 2);
+});
+
+test("CLI writes criteria unless --schema 1 is given", () => {
+  const plan = "setpoints:\n  - Temperature: 20\n    soak_minutes: 15\n";
+  assert.deepEqual(JSON.parse(run(["-", "-f", "yaml"], plan).stdout), [[{ system_id: 1, parameter: "Temperature", nominal: 20, soak_minutes: 15 }]]);
+  assert.deepEqual(JSON.parse(run(["-", "-f", "yaml", "--schema", "1"], plan).stdout), [[{ system_id: 1, parameter: "Temperature", nominal: 20 }]]);
+  assert.equal(run(["-", "-f", "yaml", "--schema", "3"], plan).status, 2);
+});
+
+test("CLI converts temperatures and applies the output options", () => {
+  const plan = "setpoints:\n  - Temperature: 20\n    Humidity: [33.33]\n";
+  assert.deepEqual(JSON.parse(run(["-", "-f", "yaml", "--unit", "F", "--unit-key", "--decimals", "Humidity=2"], plan).stdout), [[
+    { system_id: 1, parameter: "Temperature", nominal: 68, unit: "°F" },
+    { system_id: 1, parameter: "Humidity", nominal: 33.33, unit: "%RH" },
+  ]]);
+  const finer = run(["-", "-f", "yaml", "--decimals", "Humidity=1"], plan);
+  assert.equal(finer.status, 1);
+  assert.match(finer.stderr, /Setpoint #1: Humidity 33.33 %RH would be written as 33.3; round it or raise the output decimals\./);
+  assert.equal(run(["-", "-f", "yaml", "--unit", "R"], plan).status, 2);
+  assert.equal(run(["-", "-f", "yaml", "--decimals", "Humidity=9"], plan).status, 2);
+});
+
+test("CLI writes YAML for a .yaml output file", () => {
+  const dir = mkdtempSync(join(tmpdir(), "setpoints-"));
+  const out = join(dir, "out.yaml");
+  assert.equal(run(["-", "-f", "yaml", "-o", out], "setpoints:\n  - Temperature: 20\n").status, 0);
+  assert.equal(readFileSync(out, "utf8"), "- - system_id: 1\n    parameter: Temperature\n    nominal: 20\n");
+  rmSync(dir, { recursive: true });
+});
@@ -0,0 +1,166 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { fileURLToPath } from "node:url";
+import {
+  MAX_POLL_FAILURES, cancelRun, checkEndpoint, fetchRun, followRun, isRunFinished, normalizeRun, parseAuthHeader, sendPlan,
+} from "../src/lib/controller.js";
+
+const MOCK = fileURLToPath(new URL("../scripts/mock-controller.mjs", import.meta.url));
+const payload = [
+  [{ system_id: 1, parameter: "Temperature", nominal: 20 }],
+  [{ system_id: 1, parameter: "Temperature", nominal: 40 }],
+];
+
+// Starts the mock on a free port; resolves to { endpoint, stop }.
+async function startMock(args = []) {
+  const child = spawn(process.execPath, [MOCK, "--port", "0", ...args], { stdio: ["ignore", "pipe", "inherit"] });
+  const [line] = await once(child.stdout, "data");
+  const endpoint = /http:\/\/\S+/.exec(String(line))[0];
+  return { endpoint, stop: () => child.kill() };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("checkEndpoint and parseAuthHeader", () => {
+  assert.equal(checkEndpoint("http://localhost:8787/api/"), null);
+  assert.equal(checkEndpoint(""), "Enter the controller URL.");
+  assert.equal(checkEndpoint("localhost:8787"), "The controller URL must start with http:// or https://.");
+  assert.equal(checkEndpoint("nope"), "Enter a full URL such as http://localhost:8787.");
+  assert.equal(checkEndpoint("http://x/?a=1"), "The controller URL must not have a query or fragment.");
+  assert.deepEqual(parseAuthHeader(" "), { headers: {} });
+  assert.deepEqual(parseAuthHeader("Authorization: Bearer a:b"), { headers: { Authorization: "Bearer a:b" } });
+  assert.ok(parseAuthHeader("Bearer abc").error);
+  assert.ok(parseAuthHeader("X-Key:").error);
+});
+
+test("normalizeRun keeps only protocol fields", () => {
+  assert.deepEqual(
+    normalizeRun({ id: "r1", state: "running", current_setpoint: 1, setpoints: [{ state: "soaking", extra: 1 }, { state: "failed", error: "Hot" }], x: 2 }),
+    { id: "r1", state: "running", current_setpoint: 1, setpoints: [{ state: "soaking" }, { state: "failed", error: "Hot" }] }
+  );
+  assert.equal(normalizeRun({ id: "r1", state: "sleeping", setpoints: [] }), null);
+  assert.equal(normalizeRun({ id: "r1", state: "running", setpoints: [{ state: "?" }] }), null);
+  assert.equal(isRunFinished({ state: "cancelled" }), true);
+  assert.equal(isRunFinished({ state: "running" }), false);
+});
+
+test("requests report network, HTTP and protocol errors", async () => {
+  const calls = [];
+  const reply = (status, body) => async (url, init) => {
+    calls.push({ url, init });
+    return new Response(JSON.stringify(body), { status, statusText: status === 422 ? "Unprocessable Entity" : "" });
+  };
+  const sent = await sendPlan("http://c.test/api/", { "X-Key": "k" }, payload, reply(201, { id: "a b", state: "queued", setpoints: [{ state: "pending" }] }));
+  assert.equal(sent.run.id, "a b");
+  assert.equal(calls[0].url, "http://c.test/api/runs");
+  assert.equal(calls[0].init.method, "POST");
+  assert.equal(calls[0].init.headers["X-Key"], "k");
+  assert.deepEqual(JSON.parse(calls[0].init.body), payload);
+  await fetchRun("http://c.test", {}, "a b", reply(200, sent.run));
+  assert.equal(calls[1].url, "http://c.test/runs/a%20b");
+
+  assert.deepEqual(await sendPlan("http://c.test", {}, payload, reply(422, { error: "Bad", errors: ["Setpoint #1: x"] })), {
+    error: "The controller answered 422 Unprocessable Entity: Bad", details: ["Setpoint #1: x"],
+  });
+  assert.deepEqual(await fetchRun("http://c.test", {}, "x", reply(200, { ok: true })), { error: "The controller's answer is not a run status." });
+  const offline = await cancelRun("http://c.test", {}, "x", async () => { throw new TypeError("Failed to fetch"); });
+  assert.match(offline.error, /^Could not reach the controller \(Failed to fetch\)/);
+});
+
+test("mock controller steps through the setpoints", async () => {
+  const mock = await startMock(["--step-ms", "150"]);
+  try {
+    const { run, error } = await sendPlan(mock.endpoint, {}, payload);
+    assert.equal(error, undefined);
+    assert.equal(run.state, "running");
+    assert.deepEqual(run.setpoints.map((s) => s.state), ["ramping", "pending"]);
+    assert.equal(run.current_setpoint, 1);
+    await sleep(400);
+    const done = await fetchRun(mock.endpoint, {}, run.id);
+    assert.deepEqual(done.run, { id: run.id, state: "completed", current_setpoint: null, setpoints: [{ state: "done" }, { state: "done" }] });
+    assert.match((await cancelRun(mock.endpoint, {}, run.id)).error, /^The controller answered 409.*: The run is already completed\.$/);
+
+    const invalid = await sendPlan(mock.endpoint, {}, [[{ system_id: 1, parameter: "Humidity", nominal: 50 }]]);
+    assert.match(invalid.error, /^The controller answered 422/);
+    assert.ok(invalid.details.length > 0);
+    assert.match((await fetchRun(mock.endpoint, {}, "nope")).error, /404.*No run with id nope\./);
+  } finally {
+    mock.stop();
+  }
+});
+
+test("mock controller reads temperatures in the unit the objects declare", async () => {
+  const mock = await startMock(["--step-ms", "100"]);
+  try {
+    const kelvin = [[{ system_id: 1, parameter: "Temperature", nominal: 293.2, unit: "K" }], [{ system_id: 1, parameter: "Temperature", nominal: 392, unit: "°F" }]];
+    const { run, error } = await sendPlan(mock.endpoint, {}, kelvin);
+    assert.equal(error, undefined);
+    assert.equal(run.setpoints.length, 2);
+    const bare = await sendPlan(mock.endpoint, {}, [[{ system_id: 1, parameter: "Temperature", nominal: 293.2 }]]);
+    assert.match(bare.details[0], /Temperature 293.2 is outside -100–200 °C/);
+  } finally {
+    mock.stop();
+  }
+});
+
+test("mock controller checks the token, fails and cancels runs", async () => {
+  const mock = await startMock(["--step-ms", "100", "--token", "s3cret", "--fail-at", "2"]);
+  try {
+    assert.match((await sendPlan(mock.endpoint, {}, payload)).error, /401.*Missing or wrong Authorization header\./);
+    const auth = parseAuthHeader("Authorization: Bearer s3cret").headers;
+    const { run } = await sendPlan(mock.endpoint, auth, payload);
+    await sleep(250);
+    const failed = (await fetchRun(mock.endpoint, auth, run.id)).run;
+    assert.equal(failed.state, "failed");
+    assert.deepEqual(failed.setpoints[0], { state: "done" });
+    assert.deepEqual(failed.setpoints[1], { state: "failed", error: "Chamber did not reach 40 within the ramp timeout." });
+    assert.equal(failed.error, "Setpoint 2 failed; the run was stopped.");
+
+    const second = (await sendPlan(mock.endpoint, auth, payload)).run;
+    const cancelled = (await cancelRun(mock.endpoint, auth, second.id)).run;
+    assert.equal(cancelled.state, "cancelled");
+    assert.deepEqual(cancelled.setpoints.map((s) => s.state), ["skipped", "skipped"]);
+  } finally {
+    mock.stop();
+  }
+});
+
+// Follows a run until polling stops by itself; resolves to the updates.
+function follow(endpoint, id) {
+  return new Promise((resolve) => {
+    const updates = [];
+    followRun(endpoint, {}, id, (update) => {
+      updates.push(update);
+      if (update.run ? isRunFinished(update.run) : update.failures >= MAX_POLL_FAILURES) resolve(updates);
+    }, { interval: 20 });
+  });
+}
+
+test("followRun keeps polling after a failed request", async () => {
+  const mock = await startMock(["--step-ms", "100", "--flaky", "1"]);
+  try {
+    const { run } = await sendPlan(mock.endpoint, {}, payload);
+    const updates = await follow(mock.endpoint, run.id);
+    assert.match(updates[0].error, /^The controller answered 500.*: Simulated controller fault\.$/);
+    assert.equal(updates[0].failures, 1);
+    assert.equal(updates[1].failures, 0);
+    assert.equal(updates.at(-1).run.state, "completed");
+  } finally {
+    mock.stop();
+  }
+});
+
+test("followRun gives up after MAX_POLL_FAILURES failed requests", async () => {
+  const mock = await startMock(["--step-ms", "100", "--flaky", "10"]);
+  try {
+    const { run } = await sendPlan(mock.endpoint, {}, payload);
+    const updates = await follow(mock.endpoint, run.id);
+    await sleep(100);
+    assert.deepEqual(updates.map((u) => u.failures), Array.from({ length: MAX_POLL_FAILURES }, (_, i) => i + 1));
+    assert.ok(updates.every((u) => u.error && !u.run));
+  } finally {
+    mock.stop();
+  }
+});
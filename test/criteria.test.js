@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildPayload, newGroup, newSystem, newValue, parsePayload, validateGroups } from "../src/lib/calibration.js";
+import { GROUP_SCOPE, criteriaFromPayload, effectiveCriteria, hasCriteria } from "../src/lib/criteria.js";
+
+const withCriteria = (group, criteria) => ({ ...group, criteria });
+
+test("effectiveCriteria applies group settings and parameter overrides", () => {
+  const g = withCriteria(newGroup("20", [newValue("Humidity", "50")]), {
+    [GROUP_SCOPE]: { soak: "30", samples: "5", tolerance: "9" },
+    Humidity: { samples: "10", tolerance: "2.05" },
+  });
+  assert.deepEqual(effectiveCriteria(g, "Temperature"), { soak_minutes: 30, sample_count: 5 });
+  assert.deepEqual(effectiveCriteria(g, "Humidity"), { soak_minutes: 30, tolerance: 2.05, sample_count: 10 });
+  assert.deepEqual(effectiveCriteria(newGroup("20"), "Temperature"), {});
+  assert.equal(hasCriteria(g), true);
+  assert.equal(hasCriteria(withCriteria(newGroup("20"), { [GROUP_SCOPE]: { soak: "" } })), false);
+});
+
+test("buildPayload emits criteria only for schema 2", () => {
+  const systems = [newSystem("1")];
+  const g = withCriteria(newGroup("20"), { Temperature: { tolerance: "0.25", stability: "10" } });
+  assert.deepEqual(buildPayload(systems, [g]), [[{ system_id: 1, parameter: "Temperature", nominal: 20 }]]);
+  assert.deepEqual(buildPayload(systems, [g], { schema: 2 }), [[
+    { system_id: 1, parameter: "Temperature", nominal: 20, tolerance: 0.25, stability_window_minutes: 10 },
+  ]]);
+});
+
+test("validateGroups reports criteria problems", () => {
+  const g = withCriteria(newGroup("20", [newValue("Humidity", "50")]), {
+    [GROUP_SCOPE]: { soak: "-1", samples: "2.5" },
+    Humidity: { tolerance: "0" },
+    CO2: { tolerance: "-5" },
+  });
+  assert.deepEqual(validateGroups([g], [newSystem("1")]), {
+    [`${g.id}:*:soak`]: "Soak (all parameters) must be within 0–10080 min.",
+    [`${g.id}:*:samples`]: "Samples (all parameters) must be a whole number.",
+    [`${g.id}:Humidity:tolerance`]: "Tolerance ± (Humidity) must be at least 0.01 %RH.",
+  });
+});
+
+test("tolerances that round to 0 are rejected and left out of the payload", () => {
+  const g = withCriteria(newGroup("20"), { Temperature: { tolerance: "0.001" } });
+  assert.deepEqual(validateGroups([g], [newSystem("1")]), {
+    [`${g.id}:Temperature:tolerance`]: "Tolerance ± (Temperature) must be at least 0.01 °C.",
+  });
+  assert.deepEqual(effectiveCriteria(g, "Temperature"), {});
+  assert.deepEqual(buildPayload([newSystem("1")], [g], { schema: 2 }), [[{ system_id: 1, parameter: "Temperature", nominal: 20 }]]);
+  assert.equal(effectiveCriteria(withCriteria(newGroup("20"), { Temperature: { tolerance: "0.005" } }), "Temperature").tolerance, 0.01);
+});
+
+test("parsePayload reads criteria back and hoists shared settings", () => {
+  const systems = [newSystem("1"), newSystem("2")];
+  const g = withCriteria(newGroup("20", [newValue("Humidity", "30"), newValue("Humidity", "60")]), {
+    [GROUP_SCOPE]: { soak: "45" },
+    Humidity: { tolerance: "2", samples: "3" },
+  });
+  const payload = buildPayload(systems, [g], { schema: 2 });
+  const parsed = parsePayload(JSON.stringify(payload));
+  assert.deepEqual(parsed.errors, []);
+  assert.equal(parsed.schema, 2);
+  assert.deepEqual(parsed.groups[0].criteria, { [GROUP_SCOPE]: { soak: "45" }, Humidity: { tolerance: "2", samples: "3" } });
+  assert.deepEqual(buildPayload(parsed.systems, parsed.groups, { schema: 2 }), payload);
+  assert.equal(parsePayload('[[{"system_id":1,"parameter":"Temperature","nominal":20}]]').schema, 1);
+});
+
+test("parsePayload rejects bad or inconsistent criteria", () => {
+  const errors = (setpoint) => parsePayload(JSON.stringify([setpoint])).errors;
+  assert.match(errors([{ system_id: 1, parameter: "Temperature", nominal: 20, sample_count: 0 }])[0], /sample_count must be a number within 1–100000/);
+  assert.match(errors([{ system_id: 1, parameter: "Temperature", nominal: 20, tolerance: 0 }])[0], /and above 0/);
+  assert.match(errors([
+    { system_id: 1, parameter: "Temperature", nominal: 20 },
+    { system_id: 1, parameter: "Humidity", nominal: 30, tolerance: 2 },
+    { system_id: 1, parameter: "Humidity", nominal: 60, tolerance: 3 },
+  ])[0], /Humidity criteria differ/);
+});
+
+test("criteriaFromPayload keeps differing values per parameter", () => {
+  assert.deepEqual(criteriaFromPayload({ Temperature: { soak_minutes: 30 }, Humidity: { soak_minutes: 20 } }), {
+    Temperature: { soak: "30" },
+    Humidity: { soak: "20" },
+  });
+});
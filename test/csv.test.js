@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { csvToSetpoints, detectDelimiter, headerParameter, headerTemperatureUnit, parseCsv, parseDecimal, setpointsToCsv } from "../src/lib/csv.js";
+
+const sp = (primary, ...humidities) => ({ primary, values: humidities.map((nominal) => ({ parameter: "Humidity", nominal })) });
+
+test("parseCsv handles quotes, embedded delimiters and line numbers", () => {
+  const records = parseCsv('a,"b,c"\r\n"say ""hi""",x\n"multi\nline",y\n', ",");
+  assert.deepEqual(records.map((r) => r.cells), [["a", "b,c"], ['say "hi"', "x"], ["multi\nline", "y"]]);
+  assert.deepEqual(records.map((r) => r.line), [1, 2, 3]);
+});
+
+test("detectDelimiter and parseDecimal", () => {
+  assert.equal(detectDelimiter("Temperature;Humidity\n20,5;30"), ";");
+  assert.equal(detectDelimiter("﻿Temperature\tHumidity\n"), "\t");
+  assert.equal(detectDelimiter("Temperature\n20"), ",");
+  assert.equal(parseDecimal("20,5", "comma"), 20.5);
+  assert.equal(parseDecimal("1.013,25", "comma"), 1013.25);
+  assert.equal(parseDecimal("1,000", "point"), 1000);
+  assert.ok(Number.isNaN(parseDecimal("20.5", "comma")));
+  assert.ok(Number.isNaN(parseDecimal("0x10", "point")));
+});
+
+test("headerParameter understands units, aliases and numbered columns", () => {
+  assert.equal(headerParameter("Temperature (°C)"), "Temperature");
+  assert.equal(headerParameter("T"), "Temperature");
+  assert.equal(headerParameter("%RH"), "Humidity");
+  assert.equal(headerParameter("humidity_2"), "Humidity");
+  assert.equal(headerParameter("CO₂ [ppm]"), "CO2");
+  assert.equal(headerParameter("Dew point"), "DewPoint");
+  assert.equal(headerParameter("Notes"), null);
+});
+
+test("temperature columns are converted from the unit in their header", () => {
+  assert.deepEqual(["Temperature", "Temperature (°C)", "T (F)", "temp [degF]", "Temperature (K)", "Temperature (R)"].map(headerTemperatureUnit), ["°C", "°C", "°F", "°F", "K", null]);
+  const f = csvToSetpoints("Temperature (°F),Humidity (%RH),DewPoint (K)\n68,50,283.15\n-40,,\n");
+  assert.deepEqual(f.errors, []);
+  assert.deepEqual(f.setpoints, [
+    { primary: 20, values: [{ parameter: "Humidity", nominal: 50 }, { parameter: "DewPoint", nominal: 10 }] },
+    { primary: -40, values: [] },
+  ]);
+  assert.deepEqual(csvToSetpoints("Temperature (K)\n500\n").errors, ["Row 2: Temperature 500 is outside 173.15–473.15 K."]);
+  assert.deepEqual(csvToSetpoints("Temperature (R)\n500\n").errors, ['Header: "Temperature (R)" names a unit other than °C, °F, K.']);
+});
+
+test("long layout merges consecutive rows and blank temperatures", () => {
+  const result = csvToSetpoints("Temperature,Humidity\n20,30\n20,60\n,70\n40,33\n20,50\n");
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.setpoints, [sp(20, 30, 60, 70), sp(40, 33), sp(20, 50)]);
+  assert.equal(result.layout, "long");
+});
+
+test("wide layout with European settings", () => {
+  const result = csvToSetpoints("Temp (°C);RH 1;RH 2;Notes\n20,5;30;60,25;first\n40;33;;\n");
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual([result.delimiter, result.decimal, result.layout], [";", "comma", "wide"]);
+  assert.deepEqual(result.setpoints, [sp(20.5, 30, 60.3), sp(40, 33)]);
+  assert.deepEqual(result.notes, ['Column "Notes" is not a known parameter and was ignored.']);
+});
+
+test("errors are reported row by row", () => {
+  const result = csvToSetpoints("Temperature,Humidity\n20,abc\n500,30\n,40\n30,120\n30,50,9\n30,60\n30,60\n");
+  assert.deepEqual(result.errors, [
+    'Row 2: "abc" in Humidity is not a number.',
+    "Row 3: Temperature 500 is outside -100–200 °C.",
+    "Row 4: missing Temperature.",
+    "Row 5: Humidity 120 is outside 0–100 %RH.",
+    "Row 6: has 3 cells but the header has 2.",
+    "Row 8: Humidity 60 is already listed for 30 °C.",
+  ]);
+  assert.match(csvToSetpoints("Temperature;Humidity\n20.5;30", { decimal: "comma" }).errors[0], /decimal point\?/);
+  assert.match(csvToSetpoints("Humidity\n30").errors[0], /a Temperature column is required/);
+  assert.deepEqual(csvToSetpoints("Temperature").errors, ["The CSV needs a header row and at least one data row."]);
+});
+
+test("export round-trips through import in every layout", () => {
+  const setpoints = [sp(20, 30, 60), sp(-10.5), { primary: 25, values: [{ parameter: "CO2", nominal: 400 }, { parameter: "Humidity", nominal: 50.5 }] }];
+  for (const layout of ["long", "wide"]) {
+    for (const [delimiter, decimal] of [[",", "point"], [";", "comma"]]) {
+      const text = setpointsToCsv(setpoints, { delimiter, decimal, layout });
+      const back = csvToSetpoints(text);
+      assert.deepEqual(back.errors, [], text);
+      assert.deepEqual(back.setpoints.map((s) => [s.primary, s.values.map((v) => v.nominal).sort()]), [[20, [30, 60]], [-10.5, []], [25, [400, 50.5]]]);
+    }
+  }
+  assert.equal(setpointsToCsv([sp(20, 30, 60)], { layout: "wide" }), "﻿Temperature (°C),Humidity 1 (%RH),Humidity 2 (%RH)\r\n20,30,60\r\n");
+  assert.equal(setpointsToCsv([sp(20.04, 30)], { delimiter: ";", decimal: "comma" }), "﻿Temperature (°C);Humidity (%RH)\r\n20;30\r\n");
+});
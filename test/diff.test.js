@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { newGroup, newSystem, newValue } from "../src/lib/calibration.js";
+import { describeGroup, diffPlans, mergeDifference, summarizeDiff } from "../src/lib/diff.js";
+
+const sys1 = newSystem("1");
+const plan = (groups, systems = [sys1]) => ({ systems, groups });
+const h = (...ns) => ns.map((n) => newValue("Humidity", String(n)));
+
+test("describeGroup keeps what the payload would contain", () => {
+  const g = newGroup("20.04", [...h(30, ""), newValue("Humidity", "130")]);
+  assert.deepEqual(describeGroup(g, [sys1]), {
+    primary: 20,
+    values: { Humidity: [30] },
+    systems: { Temperature: [1], Humidity: [1] },
+    criteria: { Temperature: {}, Humidity: {} },
+  });
+  assert.equal(describeGroup(newGroup(""), [sys1]), null);
+});
+
+test("diffPlans aligns setpoints and lists their changes", () => {
+  const left = plan([newGroup("20", h(30, 60)), newGroup("40"), newGroup(""), newGroup("60")]);
+  const right = plan([newGroup("20", h(30, 80)), newGroup("30"), newGroup("60")]);
+  const rows = diffPlans(left, right);
+  assert.deepEqual(rows.map((r) => r.status), ["modified", "removed", "added", "same"]);
+  assert.deepEqual(rows[0].changes, [
+    { type: "value-removed", parameter: "Humidity", nominal: 60 },
+    { type: "value-added", parameter: "Humidity", nominal: 80 },
+  ]);
+  assert.equal(rows[2].insertAt, 2);
+  assert.deepEqual(summarizeDiff(rows), { added: 1, removed: 1, modified: 1, same: 1 });
+});
+
+test("diffPlans compares systems by id and criteria by effect", () => {
+  const s2 = newSystem("2");
+  const left = plan([{ ...newGroup("20", h(50), { Humidity: [s2.id] }), criteria: { "*": { soak: "30" } } }], [sys1, s2]);
+  const r1 = newSystem("1");
+  const right = plan([{ ...newGroup("20", h(50)), criteria: { Temperature: { soak: "30" }, Humidity: { soak: "30" } } }], [r1]);
+  assert.deepEqual(diffPlans(left, right)[0].changes, [
+    { type: "systems", parameter: "Temperature", left: [1, 2], right: [1] },
+    { type: "systems", parameter: "Humidity", left: [2], right: [1] },
+  ]);
+});
+
+test("mergeDifference applies one difference to the left plan", () => {
+  const s2 = newSystem("2");
+  const left = plan([newGroup("20", h(30, 60)), newGroup("40")]);
+  const right = plan([newGroup("10", [], { Temperature: [s2.id] }), newGroup("20", h(30, 80))], [sys1, s2]);
+  const rows = diffPlans(left, right);
+  assert.deepEqual(rows.map((r) => r.status), ["added", "modified", "removed"]);
+
+  const added = mergeDifference(left, rows[0]);
+  assert.deepEqual(added.systems.map((s) => s.systemId), ["1", "2"]);
+  assert.deepEqual(describeGroup(added.groups[0], added.systems), describeGroup(right.groups[0], right.systems));
+
+  let merged = mergeDifference(left, rows[1], rows[1].changes[0]);
+  merged = mergeDifference(merged, diffPlans(merged, right)[1], diffPlans(merged, right)[1].changes[0]);
+  assert.deepEqual(describeGroup(merged.groups[0], merged.systems).values, { Humidity: [30, 80] });
+
+  assert.deepEqual(mergeDifference(left, rows[2]).groups.map((g) => g.primary), ["20"]);
+  const all = diffPlans(mergeDifference(added, diffPlans(added, right)[2]), right);
+  assert.equal(all.at(-1).status, "modified");
+});
+
+test("merging criteria copies the other group's settings", () => {
+  const left = plan([newGroup("20")]);
+  const right = plan([{ ...newGroup("20"), criteria: { "*": { soak: "15" } } }]);
+  const [row] = diffPlans(left, right);
+  assert.equal(row.changes[0].type, "criteria");
+  const merged = mergeDifference(left, row, row.changes[0]);
+  assert.deepEqual(merged.groups[0].criteria, { "*": { soak: "15" } });
+  assert.equal(diffPlans(merged, right)[0].status, "same");
+});
+
+test("merging a new system leaves other groups on their systems", () => {
+  const s2 = newSystem("2");
+  const left = plan([newGroup("40", h(50))]);
+  const right = plan([newGroup("20", h(50), { Temperature: [sys1.id] })], [sys1, s2]);
+  const merged = mergeDifference(left, diffPlans(left, right).find((r) => r.status === "added"));
+  assert.deepEqual(merged.systems.map((s) => s.systemId), ["1", "2"]);
+  assert.deepEqual(describeGroup(merged.groups[0], merged.systems).systems, { Temperature: [1], Humidity: [1] });
+  assert.deepEqual(describeGroup(merged.groups[1], merged.systems).systems, { Temperature: [1], Humidity: [1, 2] });
+});
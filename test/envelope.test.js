@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { newGroup, newValue } from "../src/lib/calibration.js";
+import { DEFAULT_ENVELOPE, dewPoint, evaluateEnvelope, parsePolygon, pointInPolygon } from "../src/lib/envelope.js";
+
+test("dewPoint matches reference values", () => {
+  assert.ok(Math.abs(dewPoint(20, 50) - 9.3) < 0.1);
+  assert.ok(Math.abs(dewPoint(25, 100) - 25) < 1e-9);
+  assert.equal(dewPoint(20, 0), -Infinity);
+});
+
+test("pointInPolygon counts edges as inside", () => {
+  const square = [[0, 0], [0, 10], [10, 10], [10, 0]];
+  assert.equal(pointInPolygon(5, 5, square), true);
+  assert.equal(pointInPolygon(10, 5, square), true);
+  assert.equal(pointInPolygon(11, 5, square), false);
+});
+
+test("evaluateEnvelope grades temperatures and humidities", () => {
+  const ok = newGroup("25", [newValue("Humidity", "50")]);
+  const outside = newGroup("160", [newValue("Humidity", "99")]);
+  const near = newGroup("149.5");
+  const report = evaluateEnvelope([ok, outside, near], DEFAULT_ENVELOPE);
+  assert.equal(report.entries[ok.id].level, null);
+  assert.equal(report.entries[ok.values[0].id].level, null);
+  assert.equal(report.entries[outside.id].level, "error");
+  assert.equal(report.entries[outside.values[0].id].level, "error");
+  assert.equal(report.entries[near.id].level, "warning");
+  assert.deepEqual([report.errors, report.warnings], [2, 1]);
+  assert.deepEqual(evaluateEnvelope([outside], { ...DEFAULT_ENVELOPE, enabled: false }), { entries: {}, errors: 0, warnings: 0 });
+});
+
+test("evaluateEnvelope rejects a dew point above the air temperature", () => {
+  const g = newGroup("20", [newValue("DewPoint", "25")]);
+  assert.match(evaluateEnvelope([g], DEFAULT_ENVELOPE).entries[g.values[0].id].messages.join(" "), /above the air temperature/);
+});
+
+test("evaluateEnvelope states temperatures in the given unit", () => {
+  const hot = newGroup("160");
+  const near = newGroup("149.5");
+  const report = evaluateEnvelope([hot, near], DEFAULT_ENVELOPE, "°F");
+  assert.deepEqual(report.entries[hot.id].messages, ["320 °F is outside the chamber range -40–302 °F."]);
+  assert.deepEqual(report.entries[near.id].messages, ["301.1 °F is within 1.8 °F of the chamber range limit."]);
+});
+
+test("parsePolygon", () => {
+  assert.deepEqual(parsePolygon("10, 20\n10 90\n40;98").polygon, [[10, 20], [10, 90], [40, 98]]);
+  assert.equal(parsePolygon("10, 20\n10, 90").error, "The humidity envelope needs at least three vertices.");
+  assert.match(parsePolygon("10, 120\n1, 2\n3, 4").error, /Line 1: humidity/);
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import YAML from "yaml";
+import {
+  DEFAULT_FILENAME_TEMPLATE, checkFilenameTemplate, filenameContext, payloadToYaml, renderFilename, setpointFiles,
+} from "../src/lib/formats.js";
+import { validateJson } from "../src/lib/jsonschema.js";
+
+const tp = (id, nominal) => ({ system_id: id, parameter: "Temperature", nominal });
+const payload = [[tp(1, 20), { system_id: 1, parameter: "Humidity", nominal: 60 }], [tp(1, -5)], [tp(2, 40)]];
+const date = new Date(2026, 9, 19, 8, 5);
+
+test("the default template keeps the original file names", () => {
+  const name = (p) => renderFilename(DEFAULT_FILENAME_TEMPLATE, filenameContext(p, { date }), "json");
+  assert.equal(name([[tp(3, 20)]]), "calibration_setpoints_system_3.json");
+  assert.equal(name(payload), "calibration_setpoints_systems_1_2.json");
+  assert.equal(name([]), "calibration_setpoints_system_none.json");
+});
+
+test("templates fill placeholders and clean up the result", () => {
+  const context = filenameContext(payload, { date, draft: "Lab A / run 2", profile: "LHT65N", output: { temperatureUnit: "°F", decimals: {}, unitKey: false } });
+  assert.equal(renderFilename("{date}_{time}_{draft}_{count}pts_{unit}", context, "yaml"), "2026-10-19_0805_Lab_A_run_2_3pts_F.yaml");
+  assert.equal(renderFilename("{profile}__{draft}", { ...context, draft: "" }, "csv"), "LHT65N.csv");
+  assert.equal(renderFilename("{n}", context, "json"), "calibration_setpoints.json");
+  assert.equal(checkFilenameTemplate("{date}_{ids}"), null);
+  assert.equal(checkFilenameTemplate("{serial}"), "Unknown placeholder {serial}.");
+  assert.match(checkFilenameTemplate("plan_{date"), /Braces/);
+  assert.equal(checkFilenameTemplate("  "), "Enter a filename template.");
+});
+
+test("setpointFiles writes one valid payload per setpoint", () => {
+  const files = setpointFiles(payload, "{systems}_{temperature}", filenameContext(payload, { date }));
+  assert.deepEqual(files.map((f) => f.name), ["systems_1_2_20C_1.json", "systems_1_2_-5C_2.json", "systems_1_2_40C_3.json"]);
+  assert.deepEqual(JSON.parse(files[0].content), [payload[0]]);
+  assert.match(files[0].content, /\n {2}\[/);
+  for (const f of files) assert.deepEqual(validateJson(JSON.parse(f.content)), []);
+  assert.deepEqual(setpointFiles(payload, "sp_{n}", filenameContext(payload)).map((f) => f.name), ["sp_1.json", "sp_2.json", "sp_3.json"]);
+});
+
+test("payloadToYaml round-trips", () => {
+  assert.deepEqual(YAML.parse(payloadToYaml(payload)), payload);
+});
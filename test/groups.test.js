@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { newGroup, newValue } from "../src/lib/calibration.js";
+import { duplicateGroup, insertDuplicate, moveById, moveItem, neighbourId, shiftPrimaries, sortByPrimary, stepValue, withBlankValue } from "../src/lib/groups.js";
+import { HISTORY_LIMIT, commit, initHistory, redo, undo } from "../src/lib/history.js";
+
+const primaries = (gs) => gs.map((g) => g.primary);
+
+test("moveItem and moveById", () => {
+  assert.deepEqual(moveItem(["a", "b", "c"], 0, 2), ["b", "c", "a"]);
+  assert.deepEqual(moveItem(["a", "b", "c"], 2, 0), ["c", "a", "b"]);
+  const list = ["a", "b"];
+  assert.equal(moveItem(list, 0, 5), list);
+  const items = [{ id: 1 }, { id: 2 }, { id: 3 }];
+  assert.deepEqual(moveById(items, 3, 1).map((x) => x.id), [3, 1, 2]);
+});
+
+test("stepValue moves among values of the same parameter", () => {
+  const values = [newValue("Humidity", "30"), newValue("CO2", "400"), newValue("Humidity", "60")];
+  const moved = stepValue(values, values[2].id, -1);
+  assert.deepEqual(moved.filter((v) => v.parameter === "Humidity").map((v) => v.nominal), ["60", "30"]);
+  assert.equal(stepValue(values, values[0].id, -1), values);
+});
+
+test("duplicateGroup copies values and targets with fresh ids", () => {
+  const g = newGroup("20", [newValue("Humidity", "50")], { Humidity: ["s2"] });
+  const copy = duplicateGroup(g);
+  assert.notEqual(copy.id, g.id);
+  assert.notEqual(copy.values[0].id, g.values[0].id);
+  assert.deepEqual([copy.primary, copy.values[0].nominal, copy.targets], ["20", "50", { Humidity: ["s2"] }]);
+  copy.targets.Humidity.push("s3");
+  assert.deepEqual(g.targets.Humidity, ["s2"]);
+  const groups = [g, newGroup("40")];
+  assert.deepEqual(primaries(insertDuplicate(groups, g.id)), ["20", "20", "40"]);
+});
+
+test("shiftPrimaries shifts selected groups and refuses to leave the range", () => {
+  const groups = [newGroup("20"), newGroup(""), newGroup("199.5")];
+  const ids = groups.map((g) => g.id);
+  assert.deepEqual(primaries(shiftPrimaries(groups, ids.slice(0, 2), 0.15).groups), ["20.2", "", "199.5"]);
+  assert.match(shiftPrimaries(groups, ids, 1).error, /would leave -100–200 °C/);
+  assert.equal(shiftPrimaries(groups, ids, NaN).error, "Enter the amount to shift by.");
+  assert.deepEqual(primaries(shiftPrimaries(groups, ids.slice(0, 1), 9, "°F").groups), ["25", "", "199.5"]);
+  assert.match(shiftPrimaries(groups, ids, 1, "K").error, /Shifting 472.65 K by 1 would leave 173.15–473.15 K/);
+});
+
+test("sortByPrimary sorts selected groups within their slots", () => {
+  const groups = [newGroup("40"), newGroup("5"), newGroup(""), newGroup("20")];
+  const [a, b, c, d] = groups.map((g) => g.id);
+  assert.deepEqual(primaries(sortByPrimary(groups, [a, c, d])), ["20", "5", "40", ""]);
+  assert.deepEqual(primaries(sortByPrimary(groups, [a, b, c, d], -1)), ["40", "20", "5", ""]);
+});
+
+test("history undoes, redoes and merges tagged edits", () => {
+  let h = initHistory([]);
+  h = commit(h, ["a"]);
+  h = commit(h, ["a", "1"], "field");
+  h = commit(h, ["a", "12"], "field");
+  assert.equal(h.past.length, 2);
+  h = undo(h);
+  assert.deepEqual(h.present, ["a"]);
+  h = redo(h);
+  assert.deepEqual(h.present, ["a", "12"]);
+  h = undo(undo(h));
+  assert.deepEqual(h.present, []);
+  assert.equal(undo(h), h);
+  h = commit(h, ["b"]);
+  assert.equal(h.future.length, 0);
+  assert.equal(commit(h, h.present), h);
+
+  let long = initHistory(0);
+  for (let i = 1; i <= HISTORY_LIMIT + 10; i++) long = commit(long, i);
+  assert.equal(long.past.length, HISTORY_LIMIT);
+});
+
+test("withBlankValue reuses a blank value or appends one", () => {
+  const blank = newValue("Humidity");
+  const g = newGroup("20", [newValue("Humidity", "50"), blank]);
+  assert.deepEqual(withBlankValue(g, "Humidity"), { group: g, id: blank.id });
+  const { group, id } = withBlankValue(g, "CO2");
+  assert.equal(group.values.length, 3);
+  assert.deepEqual(group.values[2], { id, parameter: "CO2", nominal: "" });
+  assert.equal(g.values.length, 2);
+});
+
+test("neighbourId prefers the next item", () => {
+  const list = [{ id: "a" }, { id: "b" }, { id: "c" }];
+  assert.equal(neighbourId(list, "b"), "c");
+  assert.equal(neighbourId(list, "c"), "b");
+  assert.equal(neighbourId([{ id: "a" }], "a"), null);
+  assert.equal(neighbourId(list, "x"), null);
+});
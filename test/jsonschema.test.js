@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { buildPayload, newGroup, newSystem, newValue } from "../src/lib/calibration.js";
+import { PAYLOAD_SCHEMA, PAYLOAD_SCHEMA_FILE, describeSchemaError, payloadSchema, validateJson } from "../src/lib/jsonschema.js";
+
+const messages = (payload) => validateJson(payload).map((e) => describeSchemaError(e, payload));
+
+test("the published schema matches the registries (run npm run schema)", () => {
+  const published = JSON.parse(readFileSync(new URL(`../public/${PAYLOAD_SCHEMA_FILE}`, import.meta.url), "utf8"));
+  assert.deepEqual(published, PAYLOAD_SCHEMA);
+});
+
+test("builder output satisfies the schema in both output formats", () => {
+  const g = { ...newGroup("20", [newValue("Humidity", "50"), newValue("CO2", "400")]), criteria: { "*": { soak: "30", samples: "5" }, Humidity: { tolerance: "2" } } };
+  const systems = [newSystem("1"), newSystem("2")];
+  assert.deepEqual(validateJson(buildPayload(systems, [g])), []);
+  assert.deepEqual(validateJson(buildPayload(systems, [g], { schema: 2 })), []);
+  assert.deepEqual(validateJson([]), []);
+});
+
+test("validateJson reports located violations", () => {
+  assert.deepEqual(messages({}), ["The payload must be an array."]);
+  assert.deepEqual(messages([[]]), ["Setpoint #1 must have at least 1 item."]);
+  assert.deepEqual(messages([[{ system_id: 1, parameter: "Humidity", nominal: 50 }]]), [
+    'Setpoint #1, object 1 (Humidity), parameter must be "Temperature".',
+  ]);
+  assert.deepEqual(messages([[
+    { system_id: 0, parameter: "Temperature", nominal: 20, sample_count: 1.5 },
+    { system_id: 1, parameter: "Humidity", nominal: 120, tolerance: 200, note: "x" },
+    { system_id: 1, parameter: "Ozone", nominal: 1 },
+    { parameter: "CO2", nominal: "400" },
+  ]]), [
+    "Setpoint #1, object 1 (Temperature), system_id must be greater than 0.",
+    "Setpoint #1, object 1 (Temperature), sample_count must be an integer.",
+    "Setpoint #1, object 2 (Humidity), note is not allowed.",
+    "Setpoint #1, object 2 (Humidity), nominal must be at most 100.",
+    "Setpoint #1, object 2 (Humidity), tolerance must be at most 100.",
+    'Setpoint #1, object 3, parameter must be one of "Temperature", "Humidity", "Pressure", "CO2", "DewPoint".',
+    'Setpoint #1, object 4 (CO2) is missing "system_id".',
+    "Setpoint #1, object 4 (CO2), nominal must be a number.",
+  ]);
+});
+
+test("temperature bounds follow the unit key or the assumed unit", () => {
+  const t = (nominal, extra = {}) => [[{ system_id: 1, parameter: "Temperature", nominal, ...extra }]];
+  assert.deepEqual(validateJson(t(392, { unit: "°F" })), []);
+  assert.deepEqual(validateJson(t(473.15, { unit: "K" })), []);
+  assert.deepEqual(messages(t(300)), ["Setpoint #1, object 1 (Temperature), nominal must be at most 200."]);
+  assert.deepEqual(messages(t(20, { unit: "%RH" })), ['Setpoint #1, object 1 (Temperature), unit must be one of "°C", "°F", "K".']);
+  assert.deepEqual(validateJson(t(300), payloadSchema({ temperatureUnit: "°F" })), []);
+  assert.deepEqual(messages([[...t(20)[0], { system_id: 1, parameter: "Humidity", nominal: 50, unit: "°F" }]]), [
+    'Setpoint #1, object 2 (Humidity), unit must be one of "%RH".',
+  ]);
+});
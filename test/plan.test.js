@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildPayload } from "../src/lib/calibration.js";
+import { findProfile, planFromCsv, planFromObject } from "../src/lib/plan.js";
+
+test("planFromObject builds groups, systems and targets", () => {
+  const plan = planFromObject({
+    profile: "LHT65N",
+    systems: [1, { id: 2, name: "DUT" }],
+    setpoints: [
+      { Temperature: 20, humidity: [30, 60], systems: { Humidity: [2] } },
+      { temperature: 40, Humidity: 33 },
+    ],
+  });
+  assert.deepEqual(plan.errors, []);
+  assert.equal(plan.profile.id, "builtin:lht65n");
+  assert.deepEqual(plan.systems.map((s) => [s.systemId, s.name]), [["1", ""], ["2", "DUT"]]);
+  assert.deepEqual(buildPayload(plan.systems, plan.groups), [
+    [
+      { system_id: 1, parameter: "Temperature", nominal: 20 },
+      { system_id: 2, parameter: "Temperature", nominal: 20 },
+      { system_id: 2, parameter: "Humidity", nominal: 30 },
+      { system_id: 2, parameter: "Humidity", nominal: 60 },
+    ],
+    [
+      { system_id: 1, parameter: "Temperature", nominal: 40 },
+      { system_id: 2, parameter: "Temperature", nominal: 40 },
+      { system_id: 1, parameter: "Humidity", nominal: 33 },
+      { system_id: 2, parameter: "Humidity", nominal: 33 },
+    ],
+  ]);
+});
+
+test("planFromObject defaults to system 1", () => {
+  const plan = planFromObject({ setpoints: [{ Temperature: 5 }] });
+  assert.deepEqual(plan.systems.map((s) => s.systemId), ["1"]);
+  assert.equal(plan.groups.length, 1);
+});
+
+test("planFromObject reports problems by location", () => {
+  assert.deepEqual(planFromObject([]).errors, ["A plan must be an object with a setpoints list."]);
+  const { errors, groups } = planFromObject({
+    profile: "nope",
+    systems: [0],
+    extra: true,
+    setpoints: [
+      { Humidity: 50 },
+      { Temperature: [10, 20] },
+      { Temperature: 20, Wind: 3, Humidity: "x" },
+      { Temperature: 20, systems: { Humidity: [7] } },
+    ],
+  });
+  assert.equal(groups.length, 0);
+  assert.deepEqual(errors, [
+    'Unexpected top-level key "extra".',
+    'Unknown profile "nope" (known: LHT65N, Generic T/RH logger, Temperature probe, CO₂ sensor).',
+    "systems[0]: id must be a positive number (got 0).",
+    "setpoints[0]: missing Temperature.",
+    "setpoints[1].Temperature: exactly one Temperature value is required.",
+    'setpoints[2]: unknown parameter "Wind" (expected one of Temperature, Humidity, Pressure, CO2, DewPoint).',
+    "setpoints[2].Humidity: values must be numbers.",
+    "setpoints[3].systems.Humidity: system id(s) 7 are not listed under systems.",
+  ]);
+});
+
+test("planFromCsv merges consecutive rows with the same primary", () => {
+  const plan = planFromCsv("Temperature,Humidity\n20,30\n20,60\n# comment\n40,\n", { systems: [3] });
+  assert.deepEqual(plan.errors, []);
+  assert.deepEqual(buildPayload(plan.systems, plan.groups), [
+    [
+      { system_id: 3, parameter: "Temperature", nominal: 20 },
+      { system_id: 3, parameter: "Humidity", nominal: 30 },
+      { system_id: 3, parameter: "Humidity", nominal: 60 },
+    ],
+    [{ system_id: 3, parameter: "Temperature", nominal: 40 }],
+  ]);
+});
+
+test("planFromCsv passes CSV errors through", () => {
+  assert.match(planFromCsv("Humidity,Wind\n50,1").errors[0], /^Header: a Temperature column is required/);
+  assert.deepEqual(planFromCsv("Temperature,Humidity\nabc,50\n,60").errors, [
+    'Row 2: "abc" in Temperature is not a number.',
+    "Row 3: missing Temperature.",
+  ]);
+});
+
+test("findProfile matches ids, short ids and names", () => {
+  assert.equal(findProfile("builtin:co2").id, "builtin:co2");
+  assert.equal(findProfile("CO2").id, "builtin:co2");
+  assert.equal(findProfile("temperature probe").id, "builtin:t-probe");
+  assert.equal(findProfile("unknown"), null);
+});
+
+test("planFromObject reads criteria", () => {
+  const plan = planFromObject({ setpoints: [{ Temperature: 20, Humidity: 50, soak_minutes: 30, tolerance: { humidity: 2 } }] });
+  assert.deepEqual(plan.errors, []);
+  assert.deepEqual(plan.groups[0].criteria, { "*": { soak: "30" }, Humidity: { tolerance: "2" } });
+  assert.deepEqual(planFromObject({ setpoints: [{ Temperature: 20, tolerance: 1 }] }).errors, [
+    "setpoints[0].tolerance: must be a mapping of parameter names to numbers.",
+  ]);
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BUILT_IN_PROFILES, formatSetpoint, parseProfileFile, profileParameter, serializeProfile, validateProfile } from "../src/lib/profiles.js";
+
+test("built-in profiles are valid", () => {
+  for (const p of BUILT_IN_PROFILES) assert.deepEqual(validateProfile(p).errors, [], p.name);
+});
+
+test("profileParameter narrows ranges and excludes unlisted parameters", () => {
+  const lht = BUILT_IN_PROFILES[0];
+  assert.deepEqual([profileParameter(lht, "Temperature").min, profileParameter(lht, "Temperature").max], [-40, 85]);
+  assert.equal(profileParameter(lht, "CO2"), null);
+  assert.equal(profileParameter(null, "CO2").max, 10000);
+});
+
+test("profile files round-trip", () => {
+  const { profile, errors } = parseProfileFile(serializeProfile(BUILT_IN_PROFILES[1]));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(profile.setpoints, BUILT_IN_PROFILES[1].setpoints);
+  assert.match(parseProfileFile("{}").errors[0], /Not a profile file/);
+});
+
+test("validateProfile reports setpoints outside the profile ranges", () => {
+  const raw = { name: "X", ranges: { Temperature: { min: 0, max: 50 } }, setpoints: [{ primary: 60, values: [{ parameter: "Humidity", nominal: 50 }] }] };
+  assert.deepEqual(validateProfile(raw).errors, [
+    "setpoints[0].primary 60 is outside 0–50 °C.",
+    "setpoints[0].values[0]: Humidity has no entry in ranges.",
+  ]);
+});
+
+test("formatSetpoint", () => {
+  assert.equal(formatSetpoint(BUILT_IN_PROFILES[0].setpoints[0]), "20 °C / 60 %RH");
+  assert.equal(formatSetpoint({ primary: 20, values: [{ parameter: "DewPoint", nominal: 10 }] }, "K"), "293.15 K / 283.15 K");
+});
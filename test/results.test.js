@@ -0,0 +1,136 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { clampNumberOrEmpty, newGroup, newSystem, newValue } from "../src/lib/calibration.js";
+import {
+  EMPTY_RESULTS, evaluateResults, isResults, linearFit, parseReading, pointParameters,
+  readingsFromCsv, readingsTemplateCsv, resultPoints, resultsReport,
+} from "../src/lib/results.js";
+
+const systems = [newSystem("1", "Chamber"), newSystem("2")];
+const groups = [
+  { ...newGroup("20", [newValue("Humidity", "50")]), criteria: { Temperature: { tolerance: "0.5" } } },
+  newGroup(""),
+  { ...newGroup("40"), targets: { Temperature: [systems[0].id] } },
+];
+const points = resultPoints(groups, systems);
+const withReadings = (readings, uncertainty = {}) => ({ readings, uncertainty });
+
+test("resultPoints lists every payload object with its tolerance", () => {
+  assert.deepEqual(
+    points.map((p) => [p.setpoint, p.systemId, p.parameter, p.nominal, p.tolerance]),
+    [[1, 1, "Temperature", 20, 0.5], [1, 2, "Temperature", 20, 0.5], [1, 1, "Humidity", 50, null], [1, 2, "Humidity", 50, null], [2, 1, "Temperature", 40, null]]
+  );
+  assert.equal(new Set(points.map((p) => p.key)).size, points.length);
+  assert.deepEqual(pointParameters(points).map((d) => d.name), ["Temperature", "Humidity"]);
+});
+
+test("parseReading and isResults", () => {
+  assert.equal(parseReading(""), null);
+  assert.equal(parseReading(" 20.5 "), 20.5);
+  assert.ok(Number.isNaN(parseReading("abc")));
+  assert.equal(isResults(EMPTY_RESULTS), true);
+  assert.equal(isResults(withReadings({ a: { reference: "1", dut: "" } }, { Humidity: "1" })), true);
+  assert.equal(isResults(withReadings({ a: { reference: 1, dut: "" } })), false);
+  assert.equal(isResults(withReadings({}, { Nope: "1" })), false);
+});
+
+test("linearFit", () => {
+  assert.equal(linearFit([1, 1], [2, 3]), null);
+  const exact = linearFit([0, 10], [1, 21]);
+  assert.deepEqual([exact.slope, exact.intercept, exact.r2, exact.residualSd], [2, 1, 1, null]);
+  const fit = linearFit([0, 1, 2], [0, 1, 3]);
+  assert.equal(fit.slope, 1.5);
+  assert.ok(Math.abs(fit.intercept - -1 / 6) < 1e-12);
+  assert.ok(fit.residualSd > 0 && fit.r2 < 1);
+});
+
+test("evaluateResults computes errors, pass/fail and the verdict", () => {
+  const [t1, t2, h1] = points;
+  const results = withReadings({
+    [t1.key]: { reference: "20.1", dut: "20.4" },
+    [t2.key]: { reference: "20", dut: "20.6" },
+    [h1.key]: { reference: "50", dut: "49" },
+  });
+  const { rows, summary } = evaluateResults(points, results, "°C");
+  assert.deepEqual([rows[0].error, rows[0].correction, rows[0].pass], [0.3, -0.3, true]);
+  assert.equal(rows[1].pass, false);
+  assert.equal(rows[2].pass, null);
+  assert.equal(rows[4].error, null);
+  assert.deepEqual(summary, { points: 5, measured: 3, passed: 1, failed: 1, unchecked: 1, verdict: "fail" });
+
+  const all = withReadings(Object.fromEntries(points.map((p) => [p.key, { reference: String(p.nominal), dut: String(p.nominal) }])));
+  assert.equal(evaluateResults(points, all, "°C").summary.verdict, "incomplete");
+  assert.equal(evaluateResults(points.filter((p) => p.tolerance !== null), all, "°C").summary.verdict, "pass");
+  assert.equal(evaluateResults(points, EMPTY_RESULTS, "°C").summary.verdict, "incomplete");
+});
+
+test("readings outside the parameter range are evaluated as entered", () => {
+  const humid = resultPoints([{ ...newGroup("20", [newValue("Humidity", "100")]), criteria: { Humidity: { tolerance: "1" } } }], [systems[0]])
+    .filter((p) => p.parameter === "Humidity");
+  // What ConvertedInput passes on with clamp={false}.
+  assert.equal(clampNumberOrEmpty("101.5", {}), "101.5");
+  const { rows, summary } = evaluateResults(humid, withReadings({ [humid[0].key]: { reference: "100", dut: "101.5" } }), "°C");
+  assert.deepEqual([rows[0].dut, rows[0].error, rows[0].pass], [101.5, 1.5, false]);
+  assert.equal(summary.verdict, "fail");
+});
+
+test("evaluateResults works in the report unit and fits per system and parameter", () => {
+  const [t1, , , , t3] = points;
+  const results = withReadings(
+    { [t1.key]: { reference: "20", dut: "20.5" }, [t3.key]: { reference: "40", dut: "40.5" } },
+    { Temperature: "0.1" }
+  );
+  const { rows, fits } = evaluateResults(points, results, "°F");
+  assert.deepEqual([rows[0].unit, rows[0].nominal, rows[0].error, rows[0].tolerance], ["°F", 68, 0.9, 0.9]);
+  assert.equal(fits.length, 1);
+  assert.deepEqual([fits[0].systemId, fits[0].parameter, fits[0].n, fits[0].slope], [1, "Temperature", 2, 1]);
+  assert.ok(Math.abs(fits[0].intercept - -0.9) < 1e-9);
+  assert.ok(Math.abs(fits[0].expandedUncertainty - 0.18) < 1e-9);
+
+  const report = resultsReport(evaluateResults(points, results, "°F"), { systems, unitId: "°F", date: new Date("2026-01-02T03:04:05Z") });
+  assert.equal(report.generated, "2026-01-02T03:04:05.000Z");
+  assert.equal(report.temperature_unit, "°F");
+  assert.deepEqual(report.systems, [{ system_id: 1, name: "Chamber" }, { system_id: 2, name: "" }]);
+  assert.deepEqual(report.points[0], {
+    setpoint: 1, system_id: 1, parameter: "Temperature", unit: "°F", nominal: 68, reference: 68, dut: 68.9, error: 0.9, correction: -0.9, tolerance: 0.9, pass: true,
+  });
+  assert.equal(report.points[1].reference, null);
+  assert.deepEqual(report.fits[0], {
+    system_id: 1, parameter: "Temperature", unit: "°F", points: 2, slope: 1, intercept: -0.9, r2: 1,
+    residual_sd: null, reference_uncertainty: 0.18, expanded_uncertainty: 0.18, coverage_factor: 2,
+  });
+});
+
+test("readingsTemplateCsv round-trips through readingsFromCsv", () => {
+  const template = readingsTemplateCsv(points, "°F");
+  const lines = template.replace("\uFEFF", "").trim().split("\r\n");
+  assert.equal(lines[0], "setpoint,system_id,parameter,nominal,unit,reference,dut");
+  assert.equal(lines[1], "1,1,Temperature,68,°F,,");
+  const filled = lines.map((l, i) => (i === 1 ? l.replace(/,,$/, ",68.18,68.9") : l)).join("\n");
+  const { readings, errors, rows } = readingsFromCsv(filled, points, { unitId: "°F" });
+  assert.deepEqual(errors, []);
+  assert.equal(rows, points.length);
+  assert.deepEqual(readings, { [points[0].key]: { reference: "20.1", dut: "20.5" } });
+});
+
+test("readingsFromCsv matches rows and reports problems", () => {
+  const csv = [
+    "Setpoint;Parameter;System;Ref (°C);DUT",
+    "1;Humidity;2;51,5;50",
+    "2;temp;;40,1;",
+    "1;Temperature;;20;20",
+    "3;Temperature;;1;1",
+    "1;Foo;;1;1",
+    "1;Humidity;1;x;1",
+  ].join("\n");
+  const { readings, errors } = readingsFromCsv(csv, points, { unitId: "°C" });
+  assert.deepEqual(readings, { [points[3].key]: { reference: "51.5", dut: "50" }, [points[4].key]: { reference: "40.1" } });
+  assert.deepEqual(errors, [
+    "Row 4: matches 2 points of setpoint #1; add the system_id or nominal column.",
+    "Row 5: no Temperature point in setpoint #3.",
+    'Row 6: unknown parameter "Foo".',
+    'Row 7: "x" in reference is not a number.',
+  ]);
+  assert.deepEqual(readingsFromCsv("setpoint,nominal\n1,20", points).errors, ["Header: missing parameter, reference or dut columns."]);
+  assert.deepEqual(readingsFromCsv("setpoint,parameter,unit,dut\n1,Humidity,°C,1", points).errors, ['Row 2: unit "°C" does not fit Humidity.']);
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PLAN_VERSION } from "../src/lib/storage.js";
+import { decodeShare, encodeShare, packPlan, readShareToken, unpackPlan } from "../src/lib/share.js";
+
+const plan = {
+  version: PLAN_VERSION,
+  systems: [{ id: "a", systemId: "1", name: "" }, { id: "b", systemId: "2", name: "Ref" }],
+  groups: [{ id: "g", primary: "20", values: [{ id: "v", parameter: "Humidity", nominal: "50" }], targets: { Humidity: ["b"] } }],
+  compact: false,
+  activeProfileId: "builtin:lht65n",
+};
+
+test("share links round-trip a plan", async () => {
+  let n = 0;
+  const makeId = () => `id${n++}`;
+  const unpacked = unpackPlan(packPlan(plan), makeId);
+  assert.deepEqual(unpacked.systems.map((s) => s.systemId), ["1", "2"]);
+  assert.deepEqual(unpacked.groups[0].targets, { Humidity: [unpacked.systems[1].id] });
+
+  const token = await encodeShare(plan);
+  assert.equal(readShareToken(`#plan=${token}`), token);
+  const decoded = await decodeShare(token, makeId);
+  assert.equal(decoded.plan.activeProfileId, "builtin:lht65n");
+  assert.equal(decoded.plan.groups[0].values[0].nominal, "50");
+  assert.match((await decodeShare("zAAAA", makeId)).error, /damaged/);
+  assert.match((await decodeShare("q123", makeId)).error, /not in a recognised format/);
+});
+
+test("share links carry criteria, the output schema and output options", () => {
+  let n = 0;
+  const makeId = () => `id${n++}`;
+  const withCriteria = { ...plan, schema: 1, groups: [{ ...plan.groups[0], targets: {}, criteria: { "*": { soak: "30" } } }] };
+  const unpacked = unpackPlan(packPlan(withCriteria), makeId);
+  assert.equal(unpacked.schema, 1);
+  assert.deepEqual(unpacked.groups[0].criteria, { "*": { soak: "30" } });
+  assert.equal(unpackPlan({ ...packPlan(withCriteria), g: [["20", [], {}, { "*": { soak: 30 } }]] }, makeId), null);
+  const output = { temperatureUnit: "K", decimals: { Temperature: 2 }, unitKey: false };
+  assert.deepEqual(unpackPlan(packPlan({ ...plan, output }), makeId).output, output);
+  assert.equal(unpacked.output, null);
+  assert.equal(unpackPlan({ ...packPlan(plan), f: { temperatureUnit: "K", decimals: { Temperature: 9 }, unitKey: false } }, makeId).output, null);
+});
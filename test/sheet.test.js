@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { certificateHtml, testSheetHtml } from "../src/lib/sheet.js";
+
+test("testSheetHtml lists every object with blank reading columns", () => {
+  const payload = [
+    [
+      { system_id: 1, parameter: "Temperature", nominal: 68, tolerance: 0.9, soak_minutes: 30 },
+      { system_id: 2, parameter: "Humidity", nominal: 50, unit: "%RH", soak_minutes: 30 },
+    ],
+    [{ system_id: 1, parameter: "Temperature", nominal: 104 }],
+  ];
+  const html = testSheetHtml(payload, {
+    title: "Chamber <A>",
+    systems: [{ systemId: "1", name: "" }, { systemId: "2", name: "Ref & co" }],
+    output: { temperatureUnit: "°F", decimals: {}, unitKey: false },
+  });
+  assert.match(html, /<title>Chamber &lt;A&gt;<\/title>/);
+  assert.match(html, /<th>Tolerance ±<\/th><th>Reference reading<\/th><th>DUT reading<\/th>/);
+  assert.match(html, /<td rowspan="2"><strong>1<\/strong><div class="small">Soak 30 min<\/div><\/td><td>1<\/td><td>Temperature<\/td><td class="num">68 °F<\/td><td class="num">0.9 °F<\/td>/);
+  assert.match(html, /<td>2 – Ref &amp; co<\/td><td>Humidity<\/td><td class="num">50 %RH<\/td>/);
+  assert.equal(html.match(/<tbody/g).length, 2);
+  assert.match(html, /Performed by/);
+  assert.doesNotMatch(testSheetHtml([[payload[1][0]]]), /Tolerance/);
+});
+
+test("certificateHtml shows the verdict, every point and the fits", () => {
+  const report = {
+    title: "",
+    generated: "2026-01-02T03:04:05.000Z",
+    temperature_unit: "°C",
+    verdict: "fail",
+    summary: { points: 2, measured: 2, passed: 1, failed: 1, unchecked: 0 },
+    systems: [{ system_id: 1, name: "A & B" }],
+    points: [
+      { setpoint: 1, system_id: 1, parameter: "Temperature", unit: "°C", nominal: 20, reference: 20.01, dut: 20.2, error: 0.19, correction: -0.19, tolerance: 0.5, pass: true },
+      { setpoint: 2, system_id: 1, parameter: "Temperature", unit: "°C", nominal: 40, reference: 40, dut: 41, error: 1, correction: -1, tolerance: 0.5, pass: false },
+    ],
+    fits: [{ system_id: 1, parameter: "Temperature", unit: "°C", points: 2, slope: 0.9, intercept: -0.18, r2: 1, residual_sd: null, reference_uncertainty: 0.1, expanded_uncertainty: 0.1, coverage_factor: 2 }],
+  };
+  const html = certificateHtml(report, { profile: "Lab <1>" });
+  assert.match(html, /<title>Calibration certificate<\/title>/);
+  assert.match(html, /<div class="verdict fail">FAIL<\/div>/);
+  assert.match(html, /1 passed, 1 failed · Profile: Lab &lt;1&gt;/);
+  assert.match(html, /<td>1<\/td><td>1 – A &amp; B<\/td><td>Temperature<\/td><td class="num">20 °C<\/td><td class="num">20.01 °C<\/td>/);
+  assert.match(html, /<span class="fail">fail<\/span>/);
+  assert.match(html, /reference = 0.9 × DUT − 0.18 °C/);
+  assert.doesNotMatch(certificateHtml({ ...report, fits: [] }), /Linear fit/);
+});
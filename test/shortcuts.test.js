@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SHORTCUTS, matchShortcut, shortcutKeys } from "../src/lib/shortcuts.js";
+
+const key = (k, mods = {}) => ({ key: k, code: /^[a-z]$/i.test(k) ? `Key${k.toUpperCase()}` : k, ctrlKey: false, metaKey: false, altKey: false, shiftKey: false, ...mods });
+
+test("matchShortcut maps key combinations to shortcut ids", () => {
+  assert.equal(matchShortcut(key("Enter", { ctrlKey: true })), "add-group");
+  assert.equal(matchShortcut(key("Enter", { metaKey: true }), { typing: true }), "add-group");
+  assert.equal(matchShortcut(key("Enter")), null);
+  assert.equal(matchShortcut(key("Enter", { ctrlKey: true, shiftKey: true })), null);
+  // Option+Shift+C types "Ç" on a Mac; the physical key still counts.
+  assert.equal(matchShortcut({ ...key("Ç", { altKey: true, shiftKey: true }), code: "KeyC" }, { typing: true }), "copy");
+  assert.equal(matchShortcut(key("D", { altKey: true, shiftKey: true })), "download");
+  assert.equal(matchShortcut(key("X", { altKey: true, shiftKey: true })), null);
+});
+
+test("matchShortcut leaves undo and redo to text fields", () => {
+  assert.equal(matchShortcut(key("z", { ctrlKey: true })), "undo");
+  assert.equal(matchShortcut(key("Z", { ctrlKey: true, shiftKey: true })), "redo");
+  assert.equal(matchShortcut(key("y", { metaKey: true })), "redo");
+  assert.equal(matchShortcut(key("z", { ctrlKey: true }), { typing: true }), null);
+  assert.equal(matchShortcut(key("z", { ctrlKey: true, altKey: true })), null);
+  assert.equal(matchShortcut(key("c", { ctrlKey: true })), null);
+});
+
+test("every shortcut has keys and a description", () => {
+  assert.equal(new Set(SHORTCUTS.map((s) => s.id)).size, SHORTCUTS.length);
+  assert.ok(SHORTCUTS.every((s) => s.keys && s.description));
+  assert.equal(shortcutKeys("add-group"), "Ctrl+Enter");
+});
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PLAN_VERSION, normalizePlan } from "../src/lib/storage.js";
+
+const plan = {
+  version: PLAN_VERSION,
+  systems: [{ id: "a", systemId: "1", name: "" }, { id: "b", systemId: "2", name: "Ref" }],
+  groups: [{ id: "g", primary: "20", values: [{ id: "v", parameter: "Humidity", nominal: "50" }], targets: { Humidity: ["b"] }, criteria: { "*": { soak: "30" } } }],
+  compact: false,
+  activeProfileId: "builtin:lht65n",
+  schema: 2,
+  output: { temperatureUnit: "°F", decimals: { Humidity: 2 }, unitKey: true },
+  inputUnit: "K",
+  results: { readings: { "g@a": { reference: "20.01", dut: "20.2" } }, uncertainty: { Temperature: "0.05" } },
+};
+
+test("normalizePlan keeps current plans and migrates the single-system layout", () => {
+  assert.deepEqual(normalizePlan(plan), { plan, migrated: false });
+  const { plan: migrated, migrated: flag } = normalizePlan({ systemId: 3, groups: [{ id: "g", temperature: 20, humidities: [{ id: "h", nominal: 60 }] }] });
+  assert.equal(flag, true);
+  assert.deepEqual(migrated.systems.map((s) => s.systemId), ["3"]);
+  assert.deepEqual(migrated.groups[0].values, [{ id: "h", parameter: "Humidity", nominal: "60" }]);
+});
+
+test("normalizePlan rejects unknown versions and malformed plans", () => {
+  assert.equal(normalizePlan({ ...plan, version: 99 }).plan, null);
+  assert.equal(normalizePlan({ ...plan, systems: [] }).plan, null);
+  assert.equal(normalizePlan("x").plan, null);
+  assert.equal(normalizePlan({ ...plan, groups: [{ ...plan.groups[0], criteria: { "*": { soak: 30 } } }] }).plan, null);
+  const loose = normalizePlan({ ...plan, output: { temperatureUnit: "R", decimals: {}, unitKey: false }, inputUnit: "C" }).plan;
+  assert.deepEqual([loose.output, loose.inputUnit, loose.results], [null, null, plan.results]);
+  assert.equal(normalizePlan({ ...plan, results: { readings: { k: { reference: 20 } }, uncertainty: {} } }).plan.results, null);
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MAX_SWEEP_POINTS, allowedByLimits, expandRange, generateSweep, parseList } from "../src/lib/sweep.js";
+
+const range = (start, stop, step) => ({ mode: "range", start, stop, step });
+const list = (text) => ({ mode: "list", list: text });
+const primaries = (result) => result.setpoints.map((sp) => sp.primary);
+
+test("expandRange is inclusive and runs towards stop", () => {
+  assert.deepEqual(expandRange("10", "40", "10").values, [10, 20, 30, 40]);
+  assert.deepEqual(expandRange("40", "10", "10").values, [40, 30, 20, 10]);
+  assert.deepEqual(expandRange("0", "0.3", "0.1").values, [0, 0.1, 0.2, 0.3]);
+  assert.deepEqual(expandRange("5", "5", "").values, [5]);
+  assert.match(expandRange("0", "10", "0").error, /step/);
+  assert.match(expandRange("0", String(MAX_SWEEP_POINTS), "1").error, /more than/);
+});
+
+test("parseList accepts mixed separators", () => {
+  assert.deepEqual(parseList("5, 10; 20 30").values, [5, 10, 20, 30]);
+  assert.equal(parseList("").error, "enter at least one value.");
+  assert.equal(parseList("5, x").error, '"x" is not a number.');
+});
+
+test("allowedByLimits applies limits inside their temperature band", () => {
+  const limits = [{ below: "10", above: "", rhMin: "", rhMax: "50" }];
+  assert.equal(allowedByLimits(5, 80, limits), false);
+  assert.equal(allowedByLimits(20, 80, limits), true);
+  assert.equal(allowedByLimits(20, 10, [{ below: "", above: "", rhMin: "20", rhMax: "" }]), false);
+});
+
+test("generateSweep builds the grid in the requested order", () => {
+  const base = { temperature: list("10, 20"), humidity: list("30, 60") };
+  assert.deepEqual(primaries(generateSweep(base)), [10, 20]);
+  assert.deepEqual(primaries(generateSweep({ ...base, order: "descending" })), [20, 10]);
+  assert.deepEqual(generateSweep({ ...base, order: "descending" }).setpoints[0].values.map((v) => v.nominal), [60, 30]);
+  assert.deepEqual(primaries(generateSweep({ temperature: range("10", "30", "10"), humidity: { mode: "none" }, order: "updown" })), [10, 20, 30, 20, 10]);
+});
+
+test("generateSweep counts points removed by limits and rejects bad ranges", () => {
+  const result = generateSweep({ temperature: list("5, 25"), humidity: list("30, 90"), limits: [{ below: "10", above: "", rhMin: "", rhMax: "50" }] });
+  assert.equal(result.skipped, 1);
+  assert.deepEqual(result.setpoints[0].values.map((v) => v.nominal), [30]);
+  assert.deepEqual(generateSweep({ temperature: list("500"), humidity: { mode: "none" } }).errors, ["Temperature 500 is outside -100–200 °C."]);
+});
+
+test("generateSweep reads temperatures and limits in the given unit", () => {
+  const result = generateSweep({ temperature: range("50", "104", "54"), humidity: list("30, 90"), limits: [{ below: "60", above: "", rhMin: "", rhMax: "50" }], unit: "°F" });
+  assert.deepEqual(primaries(result), [10, 40]);
+  assert.equal(result.skipped, 1);
+  assert.deepEqual(generateSweep({ temperature: list("500"), humidity: { mode: "none" }, unit: "K" }).errors, ["Temperature 500 is outside 173.15–473.15 K."]);
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { newGroup, newValue } from "../src/lib/calibration.js";
+import { DEFAULT_RUN_SETTINGS, RUN_SETTING_FIELDS, checkRunSetting, computeTimeline, formatDuration, runSettingFields } from "../src/lib/timeline.js";
+
+const settings = { temperatureRate: 1, humidityRate: 2, defaultSoak: 30, startTemperature: 20 };
+
+test("computeTimeline ramps and soaks through the groups in order", () => {
+  const a = newGroup("40", [newValue("Humidity", "30"), newValue("Humidity", "70")]);
+  const b = newGroup("20");
+  const { segments, spans, total } = computeTimeline([a, newGroup(""), b], settings);
+  // 20 min ramp to 40 °C, soak, 20 min humidity ramp 30 -> 70, soak, 20 min ramp down, soak.
+  assert.deepEqual(segments.map((s) => [s.kind, s.end - s.start]), [
+    ["ramp", 20], ["dwell", 30], ["ramp", 20], ["dwell", 30], ["ramp", 20], ["dwell", 30],
+  ]);
+  assert.deepEqual(spans, { [a.id]: { start: 0, end: 100 }, [b.id]: { start: 100, end: 150 } });
+  assert.equal(total, 150);
+  assert.equal(segments[5].to.humidity, null);
+});
+
+test("computeTimeline takes the slower ramp and the group's criteria", () => {
+  const a = newGroup("20", [newValue("Humidity", "10")]);
+  const b = { ...newGroup("25", [newValue("Humidity", "90")]), criteria: { "*": { soak: "10" }, Humidity: { soak: "15", stability: "5" } } };
+  const { segments, total } = computeTimeline([a, b], settings);
+  // The humidity ramp (80 %RH at 2 %RH/min) outlasts the 5 °C temperature ramp.
+  assert.equal(segments[1].end - segments[1].start, 40);
+  assert.equal(segments[2].end - segments[2].start, 20);
+  assert.equal(total, 30 + 40 + 20);
+});
+
+test("dew point values become humidity points", () => {
+  const { segments } = computeTimeline([newGroup("20", [newValue("DewPoint", "20")])], settings);
+  assert.equal(segments[0].to.humidity, 100);
+});
+
+test("formatDuration rounds up to whole minutes", () => {
+  assert.equal(formatDuration(0), "0 min");
+  assert.equal(formatDuration(59.2), "1 h");
+  assert.equal(formatDuration(60 * 27 + 5), "1 d 3 h 5 min");
+});
+
+test("checkRunSetting rejects zero ramp rates", () => {
+  const [rate, , soak] = RUN_SETTING_FIELDS;
+  assert.match(checkRunSetting(rate, 0), /greater than 0/);
+  assert.equal(checkRunSetting(soak, 0), null);
+  assert.ok(RUN_SETTING_FIELDS.every((f) => checkRunSetting(f, DEFAULT_RUN_SETTINGS[f.key]) === null));
+});
+
+test("runSettingFields take temperatures in the given unit", () => {
+  const [rate, , , start] = runSettingFields("°F");
+  assert.deepEqual([rate.label, rate.fromSetting(1), rate.toSetting(1.8)], ["Temperature ramp (°F/min)", 1.8, 1]);
+  assert.deepEqual([start.label, start.fromSetting(23), start.toSetting(73.4)], ["Start temperature (°F)", 73.4, 23]);
+  assert.match(checkRunSetting(start, 400), /within -148–392/);
+});
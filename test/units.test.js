@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildPayload, newGroup, newSystem, newValue, parsePayload, validateGroups } from "../src/lib/calibration.js";
+import { getParameter } from "../src/lib/parameters.js";
+import { DEFAULT_OUTPUT, defaultOutputDecimals, deltaDecimals, deltaFromCanonical, displayParameter, fromCanonical, isOutputOptions, toCanonical } from "../src/lib/units.js";
+
+const T = getParameter("Temperature");
+const H = getParameter("Humidity");
+
+test("temperature conversions round-trip and leave other parameters alone", () => {
+  assert.equal(fromCanonical(20, T, "°F"), 68);
+  assert.equal(fromCanonical(-40, T, "°F"), -40);
+  assert.equal(fromCanonical(25, T, "K"), 298.15);
+  assert.equal(toCanonical(fromCanonical(21.3, T, "°F"), T, "°F"), 21.3);
+  assert.equal(toCanonical(70, T, "°F"), 21.111111);
+  assert.equal(deltaFromCanonical(0.5, T, "°F"), 0.9);
+  assert.equal(fromCanonical(50, H, "°F"), 50);
+  assert.deepEqual([displayParameter(T, "°F").min, displayParameter(T, "°F").max, displayParameter(T, "°F").unit], [-148, 392, "°F"]);
+});
+
+test("buildPayload writes the output unit, decimals and unit key", () => {
+  const g = { ...newGroup("21.111111", [newValue("Humidity", "33.333"), newValue("DewPoint", "10")]), criteria: { Temperature: { tolerance: "0.5" } } };
+  const output = { temperatureUnit: "°F", decimals: { Humidity: 2 }, unitKey: true };
+  assert.deepEqual(buildPayload([newSystem("1")], [g], { schema: 2, output }), [[
+    { system_id: 1, parameter: "Temperature", nominal: 70, unit: "°F", tolerance: 0.9 },
+    { system_id: 1, parameter: "Humidity", nominal: 33.33, unit: "%RH" },
+    { system_id: 1, parameter: "DewPoint", nominal: 50, unit: "°F" },
+  ]]);
+  assert.deepEqual(buildPayload([newSystem("1")], [newGroup("21.111111")]), [[{ system_id: 1, parameter: "Temperature", nominal: 21.1 }]]);
+});
+
+test("buildPayload keeps tolerances at their own precision whatever the output decimals", () => {
+  const g = { ...newGroup("20", [newValue("Humidity", "50")]), criteria: { Temperature: { tolerance: "0.25" }, Humidity: { tolerance: "0.04" } } };
+  const tolerances = (output) => buildPayload([newSystem("1")], [g], { schema: 2, output })[0].map((o) => o.tolerance);
+  const none = { ...DEFAULT_OUTPUT, decimals: { Temperature: 0, Humidity: 0 } };
+  assert.deepEqual(tolerances(none), [0.25, 0.04]);
+  assert.deepEqual(parsePayload(JSON.stringify(buildPayload([newSystem("1")], [g], { schema: 2, output: none }))).errors, []);
+  assert.deepEqual(tolerances({ ...none, temperatureUnit: "°F" }), [0.45, 0.04]);
+  g.criteria.Temperature.tolerance = "0.01";
+  assert.deepEqual(tolerances({ ...none, temperatureUnit: "°F" }), [0.018, 0.04]);
+  assert.equal(deltaDecimals(2, T, "K"), 2);
+});
+
+test("default output decimals write a °C value exactly in °F and K", () => {
+  assert.deepEqual(["°C", "°F", "K"].map((u) => defaultOutputDecimals(T, u)), [1, 2, 2]);
+  assert.equal(defaultOutputDecimals(H, "K"), 1);
+  const groups = [newGroup("20.1", [newValue("DewPoint", "-0.1")])];
+  for (const temperatureUnit of ["°F", "K"]) {
+    const output = { ...DEFAULT_OUTPUT, temperatureUnit, unitKey: true };
+    assert.deepEqual(validateGroups(groups, [newSystem("1")], null, { output }), {});
+    const parsed = parsePayload(JSON.stringify(buildPayload([newSystem("1")], groups, { output })));
+    assert.deepEqual(parsed.errors, []);
+    assert.equal(parsed.groups[0].primary, "20.1");
+    assert.equal(parsed.groups[0].values[0].nominal, "-0.1");
+  }
+  assert.deepEqual(buildPayload([newSystem("1")], groups, { output: { ...DEFAULT_OUTPUT, temperatureUnit: "K" } })[0].map((o) => o.nominal), [293.25, 273.05]);
+  const coarse = { ...DEFAULT_OUTPUT, temperatureUnit: "K", decimals: { Temperature: 1 } };
+  assert.deepEqual(Object.values(validateGroups(groups, [newSystem("1")], null, { output: coarse })), [
+    "Temperature 293.25 K would be written as 293.3; round it or raise the output decimals.",
+  ]);
+});
+
+test("validateGroups accepts temperatures typed in the output unit despite the conversion to °C", () => {
+  const output = { ...DEFAULT_OUTPUT, temperatureUnit: "°F" };
+  const typed = newGroup(String(toCanonical(310, T, "°F")));
+  assert.equal(typed.primary, "154.444444");
+  assert.deepEqual(validateGroups([typed], [newSystem("1")], null, { output }), {});
+  assert.equal(buildPayload([newSystem("1")], [typed], { output })[0][0].nominal, 310);
+  const finer = newGroup(String(toCanonical(68.455, T, "°F")));
+  assert.deepEqual(Object.values(validateGroups([finer], [newSystem("1")], null, { output })), [
+    "Temperature 68.455 °F would be written as 68.46; round it or raise the output decimals.",
+  ]);
+});
+
+test("parsePayload converts objects with a unit key", () => {
+  const parsed = parsePayload(JSON.stringify([[
+    { system_id: 1, parameter: "Temperature", nominal: 68, unit: "°F", tolerance: 0.9 },
+    { system_id: 1, parameter: "Humidity", nominal: 50, unit: "%RH" },
+  ]]));
+  assert.deepEqual(parsed.errors, []);
+  assert.deepEqual(parsed.output, { temperatureUnit: "°F", unitKey: true });
+  assert.equal(parsed.groups[0].primary, "20");
+  assert.deepEqual(parsed.groups[0].criteria, { Temperature: { tolerance: "0.5" } });
+  assert.equal(parsePayload('[[{"system_id":1,"parameter":"Temperature","nominal":20}]]').output, null);
+  assert.deepEqual(parsePayload('[[{"system_id":1,"parameter":"Temperature","nominal":500,"unit":"°F"}]]').errors, [
+    "Setpoint #1, object #1: Temperature 500 is outside -148–392 °F.",
+  ]);
+  assert.match(parsePayload('[[{"system_id":1,"parameter":"Temperature","nominal":20,"unit":"C"}]]').errors[0], /unit "C" does not fit Temperature/);
+});
+
+test("isOutputOptions", () => {
+  assert.equal(isOutputOptions(DEFAULT_OUTPUT), true);
+  assert.equal(isOutputOptions({ ...DEFAULT_OUTPUT, decimals: { Humidity: 7 } }), false);
+  assert.equal(isOutputOptions({ ...DEFAULT_OUTPUT, temperatureUnit: "R" }), false);
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { crc32, createZip } from "../src/lib/zip.js";
+
+// Reads the central directory back: [{ name, data }].
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  let pos = view.getUint32(end + 16, true);
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(pos, true), 0x02014b50);
+    const size = view.getUint32(pos + 24, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const offset = view.getUint32(pos + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+    const start = offset + 30 + view.getUint16(offset + 26, true);
+    const data = bytes.subarray(start, start + size);
+    assert.equal(view.getUint32(offset + 14, true), crc32(data));
+    files.push({ name, data: new TextDecoder().decode(data) });
+    pos += 46 + nameLength;
+  }
+  return files;
+}
+
+test("crc32 matches the reference value", () => {
+  assert.equal(crc32(new TextEncoder().encode("123456789")), 0xcbf43926);
+});
+
+test("createZip stores the files with their names", () => {
+  const zip = createZip([{ name: "a.json", content: "[1]\n" }, { name: "b °C.json", content: new TextEncoder().encode("hello") }]);
+  assert.deepEqual(readZip(zip), [{ name: "a.json", data: "[1]\n" }, { name: "b °C.json", data: "hello" }]);
+  assert.deepEqual(readZip(createZip([])), []);
+});